@@ -15,6 +15,13 @@ const Logger = require('./src/utils/logger');
 const AuthService = require('./src/services/authService');
 const CacheService = require('./src/services/cacheService');
 const VideoService = require('./src/services/videoService');
+const JobService = require('./src/services/jobService');
+const FailureService = require('./src/services/failureService');
+const IndexService = require('./src/services/indexService');
+const WatchService = require('./src/services/watchService');
+const ScheduleService = require('./src/services/scheduleService');
+const LibraryService = require('./src/services/libraryService');
+const MediaServerService = require('./src/services/mediaServerService');
 
 // 导入中间件
 const createAuthMiddleware = require('./src/middleware/auth');
@@ -24,6 +31,28 @@ const createErrorHandler = require('./src/middleware/errorHandler');
 // 导入路由
 const createAuthRoutes = require('./src/routes/auth');
 const createVideoRoutes = require('./src/routes/video');
+const createJobRoutes = require('./src/routes/jobs');
+const createFailureRoutes = require('./src/routes/failures');
+const createWatchRoutes = require('./src/routes/watch');
+const createScheduleRoutes = require('./src/routes/schedules');
+const createLibraryRoutes = require('./src/routes/libraries');
+const createMediaServerRoutes = require('./src/routes/mediaServer');
+
+// 加载配置文件（默认 config.json，可用 CONFIG_FILE 指定），配置无效时退出
+let configLoaded = false;
+try {
+  configLoaded = config.loadFromFile(config.get('configFile'));
+} catch (err) {
+  console.error(`加载配置文件失败（${config.get('configFile')}）: ${err.message}`);
+  process.exit(1);
+}
+
+const { valid, errors: configErrors } = config.validate();
+if (!valid) {
+  console.error('配置无效：');
+  configErrors.forEach(error => console.error(`  - ${error}`));
+  process.exit(1);
+}
 
 // 初始化应用
 const app = express();
@@ -40,7 +69,14 @@ const logger = new Logger({
 // 初始化服务
 const authService = new AuthService(config, logger);
 const cacheService = new CacheService(config, logger);
-const videoService = new VideoService(config, logger, cacheService);
+const indexService = new IndexService(config, logger);
+const videoService = new VideoService(config, logger, cacheService, indexService);
+const failureService = new FailureService(config, logger);
+const mediaServerService = new MediaServerService(config, logger);
+const jobService = new JobService(config, logger, videoService, failureService, mediaServerService);
+const libraryService = new LibraryService(config, logger);
+const watchService = new WatchService(config, logger, videoService, jobService, libraryService);
+const scheduleService = new ScheduleService(config, logger, videoService, jobService, libraryService);
 
 // 中间件
 app.use(cors());
@@ -55,7 +91,13 @@ const authMiddleware = createAuthMiddleware(authService, logger);
 
 // 注册路由
 app.use('/api/auth', createAuthRoutes(authService, authMiddleware));
-app.use('/api', createVideoRoutes(videoService, authMiddleware, logger, config));
+app.use('/api/jobs', createJobRoutes(jobService, authMiddleware, logger));
+app.use('/api/failures', createFailureRoutes(failureService, jobService, authMiddleware, logger));
+app.use('/api/media-server', createMediaServerRoutes(mediaServerService, jobService, authMiddleware, logger));
+app.use('/api/libraries', createLibraryRoutes(libraryService, watchService, authMiddleware, logger));
+app.use('/api/watch', createWatchRoutes(watchService, libraryService, authMiddleware, logger));
+app.use('/api/schedules', createScheduleRoutes(scheduleService, libraryService, authMiddleware, logger));
+app.use('/api', createVideoRoutes(videoService, jobService, libraryService, authMiddleware, logger));
 
 // 错误处理中间件
 app.use(createErrorHandler(logger));
@@ -73,17 +115,43 @@ async function initializeServices() {
     // 初始化缓存服务
     await cacheService.init();
 
+    // 初始化处理索引服务
+    await indexService.init();
+
     // 初始化视频服务
     await videoService.init();
 
+    // 初始化失败列表服务
+    await failureService.init();
+
+    // 初始化任务服务（会续跑上次未完成的任务）
+    await jobService.init();
+
+    // 初始化媒体库服务
+    await libraryService.init();
+
+    // 初始化目录监控服务（开始监控配置中的目录和媒体库）
+    await watchService.init();
+
+    // 初始化定时任务服务
+    await scheduleService.init();
+
     // 启动会话清理定时器（每小时清理一次）
     setInterval(() => {
       authService.cleanExpiredSessions();
     }, 60 * 60 * 1000);
 
+    // 启动定时任务检查（每 30 秒检查一次到期的定时任务）
+    setInterval(() => {
+      scheduleService.runDue().catch(err => {
+        logger.error('运行定时任务失败', { error: err.message });
+      });
+    }, 30 * 1000);
+
     // 启动缓存清理定时器（每天清理一次）
     setInterval(() => {
       cacheService.cleanOldEntries();
+      jobService.cleanOldJobs();
     }, 24 * 60 * 60 * 1000);
 
     logger.info('所有服务初始化完成');
@@ -100,6 +168,24 @@ async function gracefulShutdown(signal) {
   logger.info(`收到 ${signal} 信号，正在关闭服务器...`);
 
   try {
+    // 停止目录监控
+    watchService.close();
+
+    // 保存定时任务
+    await scheduleService.close();
+
+    // 保存媒体库
+    await libraryService.close();
+
+    // 保存任务状态
+    await jobService.close();
+
+    // 保存失败列表
+    await failureService.close();
+
+    // 保存处理索引
+    await indexService.close();
+
     // 保存缓存
     await cacheService.close();
 
@@ -151,7 +237,13 @@ async function startServer() {
       logger.info(`📁 前端地址: http://localhost:${PORT}`);
       logger.info(`🔐 认证已启用`);
       logger.info(`📊 日志级别: ${config.get('logLevel')}`);
+      if (configLoaded) {
+        logger.info(`⚙️  配置文件: ${config.get('configFile')}`);
+      }
       logger.info(`🗄️  缓存大小: ${cacheService.size()} 条记录`);
+      if (mediaServerService.isConfigured()) {
+        logger.info(`📺 媒体服务器: ${mediaServerService.url}`);
+      }
       logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     });
   } catch (err) {
@@ -5,6 +5,13 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const { readFileSync } = require('fs');
+const { validateArtworkOptions } = require('../utils/artwork');
+const { validateTvRules } = require('../utils/mediaClassifier');
+const { validateHostLimits } = require('../utils/hostLimiter');
+const { validateOutputOptions } = require('../utils/outputLayout');
+const { validateImageProfiles, validateProfileSelector } = require('../utils/imageProfile');
+const { validateOverlayTemplates, validateOverlaySelector } = require('../utils/overlay');
 
 class Config {
   constructor() {
@@ -18,24 +25,98 @@ class Config {
       defaultPassword: process.env.DEFAULT_PASSWORD || 'emby123456',
       sessionExpiry: parseInt(process.env.SESSION_EXPIRY || '86400000'), // 24小时
 
+      // 配置文件，启动时加载，文件中的设置覆盖环境变量
+      configFile: process.env.CONFIG_FILE || path.join(process.cwd(), 'config.json'),
+
       // 处理配置
       tmpDir: process.env.TMP_DIR || '/tmp/emby_thumb_temp',
       cacheFile: process.env.CACHE_FILE || path.join(process.cwd(), '.video_cache.json'),
       authConfigFile: process.env.AUTH_CONFIG_FILE || path.join(process.cwd(), 'auth.json'),
+      jobsDir: process.env.JOBS_DIR || path.join(process.cwd(), '.jobs'),
+      failuresFile: process.env.FAILURES_FILE || path.join(process.cwd(), '.failures.json'),
+      indexFile: process.env.INDEX_FILE || path.join(process.cwd(), '.strm_index.json'),
+      schedulesFile: process.env.SCHEDULES_FILE || path.join(process.cwd(), '.schedules.json'),
+      librariesFile: process.env.LIBRARIES_FILE || path.join(process.cwd(), '.libraries.json'),
+
+      // 任务配置
+      jobRetention: parseInt(process.env.JOB_RETENTION || '604800000'), // 7天
+
+      // 重试配置
+      maxRetries: parseInt(process.env.MAX_RETRIES || '2'), // 临时故障的自动重试次数，可被每批次的设置覆盖
+      retryDelay: parseInt(process.env.RETRY_DELAY || '5000'), // 首次重试前等待，之后每次翻倍
+      retryMaxDelay: parseInt(process.env.RETRY_MAX_DELAY || '60000'),
+      retryCategories: (process.env.RETRY_CATEGORIES || 'timeout,server,network,rate_limited').split(',').map(c => c.trim()).filter(Boolean),
+
+      // 目录监控配置
+      watchDirs: (process.env.WATCH_DIRS || '').split(',').map(d => d.trim()).filter(Boolean), // 启动时自动监控的目录
+      watchDebounce: parseInt(process.env.WATCH_DEBOUNCE || '5000'), // 最后一个文件变化后等待多久再提交任务
+      watchPolling: process.env.WATCH_POLLING === 'true', // 强制使用轮询（网络文件系统收不到文件事件时）
+      watchPollInterval: parseInt(process.env.WATCH_POLL_INTERVAL || '60000'),
 
       // 并发配置
       defaultConcurrency: parseInt(process.env.DEFAULT_CONCURRENCY || '4'),
       maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || '8'),
       minConcurrency: parseInt(process.env.MIN_CONCURRENCY || '2'),
+      adaptiveConcurrency: process.env.ADAPTIVE_CONCURRENCY === 'true', // 根据处理耗时和临时故障率在最小/最大并发数之间自动调整
+
+      // 按主机限流配置（0 表示不限制），所有访问视频链接的请求都受其约束
+      hostConcurrency: parseInt(process.env.HOST_CONCURRENCY || '4'), // 同一主机的最大并发连接数
+      hostRequestsPerMinute: parseInt(process.env.HOST_REQUESTS_PER_MINUTE || '0'),
+      hostMinDelay: parseInt(process.env.HOST_MIN_DELAY || '0'), // 同一主机两次请求之间的最小间隔（毫秒）
+      hostLimits: {}, // 按主机覆盖，同时匹配子域名，如 { 'pan.example.com': { concurrency: 2, requestsPerMinute: 30 } }
+
+      // 媒体服务器配置（Emby / Jellyfin），地址和 API Key 都设置后才会同步
+      mediaServerUrl: process.env.MEDIA_SERVER_URL || '', // 如 http://localhost:8096
+      mediaServerApiKey: process.env.MEDIA_SERVER_API_KEY || '',
+      mediaServerSync: process.env.MEDIA_SERVER_SYNC !== 'false', // 批处理结束后上传图片并刷新，可被每批次的设置覆盖
+      mediaServerRefresh: process.env.MEDIA_SERVER_REFRESH || 'item', // item（刷新对应媒体项）/ library（刷新整个媒体库）/ none
+      mediaServerTimeout: parseInt(process.env.MEDIA_SERVER_TIMEOUT || '30000'),
+      // 本地路径前缀 → 媒体服务器中的路径前缀，格式为 本地=服务器，多组用逗号分隔，如 /mnt/strm=/media/strm
+      mediaServerPathMap: Object.fromEntries((process.env.MEDIA_SERVER_PATH_MAP || '').split(',')
+        .map(pair => pair.split('=').map(p => p.trim()))
+        .filter(pair => pair.length === 2 && pair[0] && pair[1])),
+
+      // 选帧配置
+      frameStrategy: process.env.FRAME_STRATEGY || 'middle', // middle / best / scene
+      frameCandidates: parseInt(process.env.FRAME_CANDIDATES || '5'),
+      sceneThreshold: parseFloat(process.env.SCENE_THRESHOLD || '0.3'),
+
+      // 截图位置配置
+      captureMode: process.env.CAPTURE_MODE || 'percent', // percent / offset / random
+      capturePercent: parseFloat(process.env.CAPTURE_PERCENT || '50'),
+      captureOffset: parseFloat(process.env.CAPTURE_OFFSET || '0'),
+      excludeStart: process.env.EXCLUDE_START || '0', // 秒数或百分比，如 90 或 5%
+      excludeEnd: process.env.EXCLUDE_END || '0',
+
+      // 图片配置
+      artworkTypes: (process.env.ARTWORK_TYPES || 'cover').split(',').map(t => t.trim()).filter(Boolean),
+      artworkOverrides: {}, // 按类型覆盖尺寸、裁剪方式、命名后缀，如 { poster: { width: 680, height: 1000 } }
+      imageProfile: process.env.IMAGE_PROFILE || 'default', // 默认的图片输出配置（格式、质量、最大尺寸、适配方式、大小上限）
+      imageProfiles: {}, // 自定义图片输出配置，如 { small: { format: 'webp', quality: 75, maxWidth: 960, maxBytes: 204800 } }
+      fontFile: process.env.FONT_FILE || '', // 图片文字使用的字体文件，留空使用系统默认字体（中文文件名需指定中文字体）
+      overlayTemplate: process.env.OVERLAY_TEMPLATE || '', // 默认的叠加模板（标题、时长、分辨率 / HDR 标记），留空不叠加
+      overlayTemplates: {}, // 自定义叠加模板，如 { corner: { elements: [{ type: 'resolution', position: 'top-left', box: 'black@0.6' }] } }
+      outputLayout: process.env.OUTPUT_LAYOUT || 'flat', // 设置输出目录时：flat（全部放在输出目录下）/ mirror（按 .strm 的子目录结构输出）
+      outputTemplate: process.env.OUTPUT_TEMPLATE || '', // 输出路径命名模板，如 {relDir}/{name}-{type}.{ext}，留空按 outputLayout
+
+      // NFO 配置
+      nfoMode: process.env.NFO_MODE || 'merge', // merge（保留已有字段）/ overwrite
+
+      // 剧集识别配置
+      mediaType: process.env.MEDIA_TYPE || 'auto', // auto / movie / tv
+      tvRules: {}, // 按类别覆盖默认识别正则，如 { seasonFolderPatterns: ['^Season (\\d+)$'] }
+      seasonArtwork: process.env.SEASON_ARTWORK !== 'false', // 在剧集根目录补充缺失的季海报
 
       // 缓存配置
       cacheAutoSaveInterval: parseInt(process.env.CACHE_SAVE_INTERVAL || '300000'), // 5分钟
+      resolvedUrlTtl: parseInt(process.env.RESOLVED_URL_TTL || '600000'), // 链接解析结果缓存时间（无法识别签名过期时间时），10分钟
 
       // 超时配置
       ffprobeTimeout: parseInt(process.env.FFPROBE_TIMEOUT || '10000'),
       ffmpegTimeout: parseInt(process.env.FFMPEG_TIMEOUT || '25000'),
       curlTimeout: parseInt(process.env.CURL_TIMEOUT || '20000'),
       httpTimeout: parseInt(process.env.HTTP_TIMEOUT || '8000'),
+      trickplayTimeout: parseInt(process.env.TRICKPLAY_TIMEOUT || '1800000'), // 拖动预览需读取整个视频流，默认 30 分钟
 
       // 日志配置
       logLevel: process.env.LOG_LEVEL || 'info',
@@ -47,20 +128,24 @@ class Config {
   }
 
   /**
-   * 从文件加载配置
+   * 从文件加载配置（同步读取，需在创建各服务之前调用）
+   * 文件不存在时返回 false，读取或解析失败时抛出异常
    */
-  async loadFromFile(configPath) {
+  loadFromFile(configPath) {
+    let data;
     try {
-      const data = await fs.readFile(configPath, 'utf-8');
-      const fileConfig = JSON.parse(data);
-      this.config = { ...this.config, ...fileConfig };
-      return true;
+      data = readFileSync(configPath, 'utf-8');
     } catch (err) {
-      if (err.code !== 'ENOENT') {
-        console.error('加载配置文件失败:', err.message);
-      }
-      return false;
+      if (err.code === 'ENOENT') return false;
+      throw err;
     }
+
+    const fileConfig = JSON.parse(data);
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+      throw new Error('配置文件必须是 JSON 对象');
+    }
+    this.config = { ...this.config, ...fileConfig };
+    return true;
   }
 
   /**
@@ -115,6 +200,34 @@ class Config {
       errors.push('并发数配置无效');
     }
 
+    if (this.config.minConcurrency < 1 || this.config.minConcurrency > this.config.maxConcurrency) {
+      errors.push('最小并发数配置无效');
+    }
+
+    errors.push(...validateArtworkOptions({
+      artworkTypes: this.config.artworkTypes,
+      artworkOptions: this.config.artworkOverrides
+    }, this.config.imageProfiles));
+    errors.push(...validateTvRules(this.config));
+    errors.push(...validateHostLimits(this.config.hostLimits));
+    errors.push(...validateOutputOptions(this.config));
+
+    const profileErrors = validateImageProfiles(this.config.imageProfiles);
+    errors.push(...profileErrors);
+    if (profileErrors.length === 0) {
+      errors.push(...validateProfileSelector(this.config.imageProfile, this.config.imageProfiles));
+    }
+
+    const overlayErrors = validateOverlayTemplates(this.config.overlayTemplates);
+    errors.push(...overlayErrors);
+    if (overlayErrors.length === 0) {
+      errors.push(...validateOverlaySelector(this.config.overlayTemplate, this.config.overlayTemplates, 'overlayTemplate'));
+    }
+
+    if (!['item', 'library', 'none'].includes(this.config.mediaServerRefresh)) {
+      errors.push('媒体服务器刷新方式必须是 item / library / none 之一');
+    }
+
     return {
       valid: errors.length === 0,
       errors
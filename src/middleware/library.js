@@ -0,0 +1,29 @@
+/**
+ * 媒体库中间件
+ * 请求体中带有 libraryId 时加载对应的媒体库到 req.library，不存在时返回 404
+ * req.strmDir 为媒体库的根目录，未指定媒体库时为请求体中的 strmDir
+ */
+
+function createLibraryLoader(libraryService) {
+  return function loadLibrary(req, res, next) {
+    const { libraryId, strmDir } = req.body || {};
+    if (libraryId === undefined || libraryId === null || libraryId === '') {
+      req.strmDir = typeof strmDir === 'string' && strmDir ? strmDir : null;
+      return next();
+    }
+
+    const library = typeof libraryId === 'string' ? libraryService.get(libraryId) : null;
+    if (!library) {
+      return res.status(404).json({
+        success: false,
+        error: '媒体库不存在'
+      });
+    }
+
+    req.library = library;
+    req.strmDir = library.strmDir;
+    next();
+  };
+}
+
+module.exports = createLibraryLoader;
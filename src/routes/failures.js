@@ -0,0 +1,124 @@
+/**
+ * 失败列表路由
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validator');
+const { validateProcessOptions } = require('../utils/processOptions');
+const { validateRetryOptions } = require('../utils/retry');
+
+function createFailureRoutes(failureService, jobService, authMiddleware, logger) {
+  const router = express.Router();
+
+  /**
+   * 校验筛选条件：files 为文件路径数组，categories 为失败类型数组
+   */
+  const validateFilter = ({ files, categories }) => {
+    const errors = validateRetryOptions({ categories });
+    if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string'))) {
+      errors.push('files 必须是文件路径数组');
+    }
+    return errors;
+  };
+
+  /**
+   * 失败列表，可按失败类型筛选（?category=timeout,server）
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    const categories = typeof req.query.category === 'string' && req.query.category
+      ? req.query.category.split(',')
+      : undefined;
+
+    const errors = validateFilter({ categories });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '筛选条件验证失败',
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      failures: failureService.list({ categories }),
+      stats: failureService.getStats()
+    });
+  });
+
+  /**
+   * 重新处理失败的文件
+   * 不传 files / categories 时重试全部；不传 config 时沿用各文件上次的处理配置
+   */
+  router.post('/retry',
+    authMiddleware,
+    validateBody({
+      files: { required: false, type: 'object' },
+      categories: { required: false, type: 'object' },
+      config: { required: false, type: 'object' }
+    }),
+    async (req, res) => {
+      const { files, categories, config: processConfig } = req.body;
+
+      const errors = validateFilter({ files, categories });
+      if (processConfig) {
+        errors.push(...validateProcessOptions(processConfig));
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '重试参数验证失败',
+          errors
+        });
+      }
+
+      try {
+        const jobs = await jobService.retryFailures({ files, categories }, processConfig || null);
+
+        res.json({
+          success: true,
+          jobIds: jobs.map(job => job.id),
+          count: jobs.reduce((sum, job) => sum + job.files.length, 0)
+        });
+      } catch (error) {
+        logger.error('重试失败文件出错', { error: error.message });
+
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 从失败列表中移除文件，不传 files 时清空
+   */
+  router.delete('/',
+    authMiddleware,
+    validateBody({
+      files: { required: false, type: 'object' }
+    }),
+    (req, res) => {
+      const { files } = req.body;
+
+      const errors = validateFilter({ files });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '参数验证失败',
+          errors
+        });
+      }
+
+      const targets = files || failureService.list().map(f => f.path);
+      res.json({
+        success: true,
+        removed: failureService.remove(targets)
+      });
+    }
+  );
+
+  return router;
+}
+
+module.exports = createFailureRoutes;
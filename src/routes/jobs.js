@@ -0,0 +1,155 @@
+/**
+ * 任务路由
+ */
+
+const express = require('express');
+
+function createJobRoutes(jobService, authMiddleware, logger) {
+  const router = express.Router();
+
+  /**
+   * 查找任务，不存在时返回 404
+   */
+  const loadJob = (req, res, next) => {
+    const job = jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: '任务不存在'
+      });
+    }
+    req.job = job;
+    next();
+  };
+
+  /**
+   * 任务列表
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      jobs: jobService.listJobs()
+    });
+  });
+
+  /**
+   * 任务详情及处理结果
+   */
+  router.get('/:id', authMiddleware, loadJob, (req, res) => {
+    const job = req.job;
+
+    res.json({
+      success: true,
+      job: {
+        ...jobService.getJobSummary(job),
+        config: job.config,
+        files: job.files,
+        failedFiles: jobService.getFailedFiles(job),
+        collisions: job.collisions || []
+      }
+    });
+  });
+
+  /**
+   * 返回任务操作结果，操作与当前状态冲突时返回 409
+   */
+  const sendActionResult = (res, result) => {
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(409).json(result);
+    }
+  };
+
+  /**
+   * 取消任务
+   */
+  router.post('/:id/cancel', authMiddleware, loadJob, async (req, res) => {
+    sendActionResult(res, await jobService.cancelJob(req.job.id));
+  });
+
+  /**
+   * 暂停任务
+   */
+  router.post('/:id/pause', authMiddleware, loadJob, async (req, res) => {
+    sendActionResult(res, await jobService.pauseJob(req.job.id));
+  });
+
+  /**
+   * 恢复任务
+   */
+  router.post('/:id/resume', authMiddleware, loadJob, async (req, res) => {
+    sendActionResult(res, await jobService.resumeJob(req.job.id));
+  });
+
+  /**
+   * 任务事件流 - 支持断线重连（Last-Event-ID）
+   */
+  router.get('/:id/events', authMiddleware, loadJob, (req, res) => {
+    const job = req.job;
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = null;
+
+    const write = (data, id) => {
+      if (closed) return;
+      res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    // 定时发送注释行，防止代理因空闲断开连接
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, 15000);
+
+    req.on('close', finish);
+
+    // 先发送当前状态快照
+    write({
+      type: 'snapshot',
+      job: jobService.getJobSummary(job),
+      failedFiles: jobService.getFailedFiles(job)
+    });
+
+    unsubscribe = jobService.subscribe(job.id, (event) => {
+      write(event.data, event.id);
+      if (event.data.type === 'complete') {
+        finish();
+      }
+    }, lastEventId);
+
+    // 补发的缓冲事件中已有完成事件时，finish 在 subscribe 返回前执行，此时才能取消订阅
+    if (closed) {
+      unsubscribe();
+    }
+
+    // 已结束且缓冲中没有完成事件的任务（如重启后加载的历史任务）
+    if (!closed && !jobService.isUnfinished(job)) {
+      write({
+        type: 'complete',
+        progress: jobService.getProgress(job),
+        failedFiles: jobService.getFailedFiles(job)
+      });
+      finish();
+    }
+
+    logger.debug('客户端订阅任务事件', { jobId: job.id, lastEventId });
+  });
+
+  return router;
+}
+
+module.exports = createJobRoutes;
@@ -0,0 +1,197 @@
+/**
+ * 媒体库路由
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const { validateBody } = require('../middleware/validator');
+const { validateProcessOptions } = require('../utils/processOptions');
+const { validateHostLimits } = require('../utils/hostLimiter');
+
+function createLibraryRoutes(libraryService, watchService, authMiddleware, logger) {
+  const router = express.Router();
+
+  /**
+   * 校验媒体库定义，partial 为 true 时只校验传入的字段
+   */
+  const validateLibrary = async (body, partial = false) => {
+    const errors = [];
+
+    if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+      errors.push('name 必须是非空字符串');
+    }
+    if (!partial || body.strmDir !== undefined) {
+      if (typeof body.strmDir !== 'string' || !body.strmDir) {
+        errors.push('strmDir 必须是非空字符串');
+      } else {
+        try {
+          if (!(await fs.stat(body.strmDir)).isDirectory()) {
+            errors.push('strmDir 不是目录');
+          }
+        } catch (err) {
+          errors.push(`strmDir 无法访问：${err.message}`);
+        }
+      }
+    }
+    if (body.config !== undefined) {
+      if (!body.config || typeof body.config !== 'object' || Array.isArray(body.config)) {
+        errors.push('config 必须是对象');
+      } else {
+        errors.push(...validateProcessOptions(body.config));
+      }
+    }
+    if (body.hostLimits !== undefined) {
+      errors.push(...validateHostLimits(body.hostLimits));
+    }
+    for (const key of ['watch', 'watchPolling']) {
+      if (body[key] !== undefined && typeof body[key] !== 'boolean') {
+        errors.push(`${key} 必须是布尔值`);
+      }
+    }
+
+    return errors;
+  };
+
+  /**
+   * 查找媒体库，不存在时返回 404
+   */
+  const loadLibrary = (req, res, next) => {
+    const library = libraryService.get(req.params.id);
+    if (!library) {
+      return res.status(404).json({
+        success: false,
+        error: '媒体库不存在'
+      });
+    }
+    req.library = library;
+    next();
+  };
+
+  /**
+   * 按媒体库的监控设置更新目录监控，启动失败不影响媒体库的保存
+   */
+  const syncWatch = async (library) => {
+    try {
+      await watchService.syncLibrary(library);
+    } catch (error) {
+      logger.error('启动媒体库监控失败', { libraryId: library.id, error: error.message });
+    }
+  };
+
+  /**
+   * 媒体库列表
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      libraries: libraryService.list()
+    });
+  });
+
+  /**
+   * 媒体库详情
+   */
+  router.get('/:id', authMiddleware, loadLibrary, (req, res) => {
+    res.json({
+      success: true,
+      library: req.library
+    });
+  });
+
+  /**
+   * 创建媒体库
+   */
+  router.post('/',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: true, type: 'string' }
+    }),
+    async (req, res) => {
+      const errors = await validateLibrary(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '媒体库验证失败',
+          errors
+        });
+      }
+
+      try {
+        const { name, strmDir, config: processConfig, hostLimits, watch, watchPolling } = req.body;
+        const library = await libraryService.create({
+          name: name && name.trim(),
+          strmDir,
+          config: processConfig,
+          hostLimits,
+          watch,
+          watchPolling
+        });
+        if (library.watch) {
+          await syncWatch(library);
+        }
+
+        res.json({
+          success: true,
+          library
+        });
+      } catch (error) {
+        logger.error('创建媒体库失败', { error: error.message });
+
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 修改媒体库（根目录或监控设置变化时重新监控）
+   */
+  router.put('/:id', authMiddleware, loadLibrary, async (req, res) => {
+    const errors = await validateLibrary(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '媒体库验证失败',
+        errors
+      });
+    }
+
+    try {
+      const { strmDir, watch, watchPolling } = req.library;
+      const library = await libraryService.update(req.library.id, {
+        ...req.body,
+        name: req.body.name && req.body.name.trim()
+      });
+      if (library.strmDir !== strmDir || library.watch !== watch || library.watchPolling !== watchPolling) {
+        await syncWatch(library);
+      }
+
+      res.json({
+        success: true,
+        library
+      });
+    } catch (error) {
+      logger.error('修改媒体库失败', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * 删除媒体库并停止监控（已生成的图片和已创建的任务不受影响）
+   */
+  router.delete('/:id', authMiddleware, loadLibrary, async (req, res) => {
+    watchService.unwatchLibrary(req.library.id);
+    await libraryService.remove(req.library.id);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = createLibraryRoutes;
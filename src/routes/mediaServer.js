@@ -0,0 +1,96 @@
+/**
+ * 媒体服务器路由
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validator');
+
+function createMediaServerRoutes(mediaServerService, jobService, authMiddleware, logger) {
+  const router = express.Router();
+
+  /**
+   * 媒体服务器配置和最近一次同步结果
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      ...mediaServerService.getStatus()
+    });
+  });
+
+  /**
+   * 测试连接，可传入 url / apiKey 测试尚未保存的设置
+   */
+  router.post('/test',
+    authMiddleware,
+    validateBody({
+      url: { required: false, type: 'string' },
+      apiKey: { required: false, type: 'string' }
+    }),
+    async (req, res) => {
+      const { url, apiKey } = req.body;
+      if (!(url || mediaServerService.url) || !(apiKey || mediaServerService.apiKey)) {
+        return res.status(400).json({
+          success: false,
+          error: '未配置媒体服务器地址或 API Key'
+        });
+      }
+
+      try {
+        const server = await mediaServerService.testConnection({ url, apiKey });
+        res.json({
+          success: true,
+          server
+        });
+      } catch (error) {
+        logger.warn('媒体服务器连接测试失败', { error: error.message });
+
+        res.json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 手动同步已结束任务的处理结果（之前同步失败或未开启同步时使用）
+   */
+  router.post('/sync',
+    authMiddleware,
+    validateBody({
+      jobId: { required: true, type: 'string' }
+    }),
+    async (req, res) => {
+      const job = jobService.getJob(req.body.jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: '任务不存在'
+        });
+      }
+      if (!mediaServerService.isConfigured()) {
+        return res.status(400).json({
+          success: false,
+          error: '未配置媒体服务器地址或 API Key'
+        });
+      }
+      if (jobService.isUnfinished(job)) {
+        return res.status(409).json({
+          success: false,
+          error: '任务尚未结束'
+        });
+      }
+
+      const result = await jobService.syncMediaServer(job);
+      res.json({
+        success: true,
+        result
+      });
+    }
+  );
+
+  return router;
+}
+
+module.exports = createMediaServerRoutes;
@@ -0,0 +1,175 @@
+/**
+ * 定时任务路由
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validator');
+const { validateProcessOptions } = require('../utils/processOptions');
+const { validateCron } = require('../utils/cron');
+
+function createScheduleRoutes(scheduleService, libraryService, authMiddleware, logger) {
+  const router = express.Router();
+
+  /**
+   * 校验定时任务定义，partial 为 true 时只校验传入的字段
+   * 目录（strmDir）和媒体库（libraryId）二选一
+   */
+  const validateSchedule = (body, partial = false) => {
+    const errors = [];
+
+    if (!partial || body.cron !== undefined) {
+      errors.push(...validateCron(body.cron));
+    }
+    if (body.libraryId !== undefined && body.libraryId !== null) {
+      if (body.strmDir !== undefined) {
+        errors.push('strmDir 和 libraryId 只能指定一个');
+      } else if (typeof body.libraryId !== 'string' || !libraryService.get(body.libraryId)) {
+        errors.push('媒体库不存在');
+      }
+    } else if ((!partial || body.strmDir !== undefined) && (typeof body.strmDir !== 'string' || !body.strmDir)) {
+      errors.push('strmDir 或 libraryId 必须指定一个');
+    }
+    if (body.name !== undefined && typeof body.name !== 'string') {
+      errors.push('name 必须是字符串');
+    }
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      errors.push('enabled 必须是布尔值');
+    }
+    if (body.config !== undefined) {
+      if (!body.config || typeof body.config !== 'object' || Array.isArray(body.config)) {
+        errors.push('config 必须是对象');
+      } else {
+        errors.push(...validateProcessOptions(body.config));
+      }
+    }
+
+    return errors;
+  };
+
+  /**
+   * 查找定时任务，不存在时返回 404
+   */
+  const loadSchedule = (req, res, next) => {
+    const schedule = scheduleService.get(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: '定时任务不存在'
+      });
+    }
+    req.schedule = schedule;
+    next();
+  };
+
+  /**
+   * 定时任务列表（含上一次和下一次运行时间）
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      schedules: scheduleService.list()
+    });
+  });
+
+  /**
+   * 创建定时任务
+   */
+  router.post('/',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' },
+      cron: { required: true, type: 'string' }
+    }),
+    async (req, res) => {
+      const errors = validateSchedule(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '定时任务验证失败',
+          errors
+        });
+      }
+
+      try {
+        const { name, strmDir, libraryId, cron, config: processConfig, enabled } = req.body;
+        const schedule = await scheduleService.create({ name, strmDir, libraryId, cron, config: processConfig, enabled });
+
+        res.json({
+          success: true,
+          schedule: scheduleService.getSummary(schedule)
+        });
+      } catch (error) {
+        logger.error('创建定时任务失败', { error: error.message });
+
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 修改定时任务
+   */
+  router.put('/:id', authMiddleware, loadSchedule, async (req, res) => {
+    const errors = validateSchedule(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '定时任务验证失败',
+        errors
+      });
+    }
+
+    try {
+      const schedule = await scheduleService.update(req.schedule.id, req.body);
+
+      res.json({
+        success: true,
+        schedule: scheduleService.getSummary(schedule)
+      });
+    } catch (error) {
+      logger.error('修改定时任务失败', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * 删除定时任务
+   */
+  router.delete('/:id', authMiddleware, loadSchedule, async (req, res) => {
+    await scheduleService.remove(req.schedule.id);
+    res.json({ success: true });
+  });
+
+  /**
+   * 立即运行一次（同一目录的上一次运行未结束时跳过）
+   */
+  router.post('/:id/run', authMiddleware, loadSchedule, async (req, res) => {
+    const run = await scheduleService.run(req.schedule.id, 'manual');
+    res.json({
+      success: true,
+      run
+    });
+  });
+
+  /**
+   * 运行历史，仍保留的处理任务附带任务摘要
+   */
+  router.get('/:id/history', authMiddleware, loadSchedule, (req, res) => {
+    res.json({
+      success: true,
+      history: scheduleService.getHistory(req.schedule.id)
+    });
+  });
+
+  return router;
+}
+
+module.exports = createScheduleRoutes;
@@ -6,10 +6,31 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const { validateBody, validateQuery } = require('../middleware/validator');
-const TaskQueue = require('../utils/taskQueue');
-
-function createVideoRoutes(videoService, authMiddleware, logger, config) {
+const createLibraryLoader = require('../middleware/library');
+const { validateProcessOptions } = require('../utils/processOptions');
+const { validateTvRules } = require('../utils/mediaClassifier');
+const { ARTWORK_TYPES } = require('../utils/artwork');
+const { validateOutputOptions } = require('../utils/outputLayout');
+const { PREVIEW_FORMATS } = require('../utils/animatedPreview');
+const { OVERLAY_TYPES } = require('../utils/overlay');
+
+function createVideoRoutes(videoService, jobService, libraryService, authMiddleware, logger) {
   const router = express.Router();
+  const loadLibrary = createLibraryLoader(libraryService);
+
+  /**
+   * 未指定媒体库时必须提供 strmDir
+   */
+  const requireStrmDir = (req, res, next) => {
+    if (!req.strmDir) {
+      return res.status(400).json({
+        success: false,
+        error: '请求参数验证失败',
+        errors: ['strmDir 或 libraryId 是必填字段']
+      });
+    }
+    next();
+  };
 
   /**
    * 浏览文件系统
@@ -78,23 +99,32 @@ function createVideoRoutes(videoService, authMiddleware, logger, config) {
   );
 
   /**
-   * 扫描 .strm 文件
+   * 扫描 .strm 文件（目录或媒体库）
    */
   router.post('/scan',
     authMiddleware,
     validateBody({
-      strmDir: { required: true, type: 'string' }
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' }
     }),
+    loadLibrary,
+    requireStrmDir,
     async (req, res) => {
-      const { strmDir } = req.body;
+      const strmDir = req.strmDir;
 
       try {
-        const files = await videoService.scanStrmFiles(strmDir);
+        const { files, changes, summary } = await videoService.scanChanges(strmDir);
 
         res.json({
           success: true,
           files: files,
-          count: files.length
+          count: files.length,
+          changes: {
+            new: changes.new,
+            changed: changes.changed,
+            orphaned: changes.orphaned
+          },
+          summary
         });
       } catch (error) {
         logger.error('扫描文件失败', { error: error.message });
@@ -109,83 +139,361 @@ function createVideoRoutes(videoService, authMiddleware, logger, config) {
   );
 
   /**
-   * 处理视频 - 使用 SSE 流式传输进度
+   * 从处理索引中移除目录下已删除的 .strm 文件
    */
-  router.post('/process',
+  router.post('/scan/prune',
     authMiddleware,
     validateBody({
-      files: { required: true, type: 'object' },
-      config: { required: true, type: 'object' }
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' }
     }),
+    loadLibrary,
+    requireStrmDir,
     async (req, res) => {
-      const { files, config: processConfig } = req.body;
+      const strmDir = req.strmDir;
 
-      // 设置 SSE 响应头
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
+      try {
+        const removed = await videoService.pruneIndex(strmDir);
 
-      const sendEvent = (data) => {
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-      };
+        res.json({
+          success: true,
+          removed
+        });
+      } catch (error) {
+        logger.error('清理处理索引失败', { error: error.message });
 
-      const progress = {
-        total: files.length,
-        processed: 0,
-        success: 0,
-        failed: 0
-      };
+        res.json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 检查输出路径冲突 - 按处理配置（输出目录、目录结构、命名模板）计算每个图片的输出路径，列出冲突
+   * 指定媒体库时使用媒体库的处理配置，config 中的字段覆盖媒体库配置
+   */
+  router.post('/scan/outputs',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' },
+      config: { required: false, type: 'object' }
+    }),
+    loadLibrary,
+    requireStrmDir,
+    async (req, res) => {
+      const overrides = req.body.config || {};
+      const optionErrors = validateProcessOptions(overrides);
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '处理配置验证失败',
+          errors: optionErrors
+        });
+      }
+
+      const processConfig = req.library
+        ? { ...libraryService.getProcessConfig(req.library), ...overrides }
+        : overrides;
+
+      try {
+        const result = await videoService.checkOutputCollisions(req.strmDir, processConfig);
+
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        logger.error('检查输出路径失败', { error: error.message, dir: req.strmDir });
+
+        res.json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
 
-      const failedFiles = [];
+  /**
+   * 预览分类 - 显示每个 .strm 文件被识别为电影还是剧集
+   * 指定媒体库时使用媒体库的识别设置
+   */
+  router.post('/scan/preview',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' },
+      mediaType: { required: false, type: 'string' },
+      tvRules: { required: false, type: 'object' }
+    }),
+    loadLibrary,
+    requireStrmDir,
+    async (req, res) => {
+      const strmDir = req.strmDir;
+      const { mediaType, tvRules } = req.library ? req.library.config : req.body;
 
-      // 智能并发控制
-      let concurrency = parseInt(processConfig.concurrency) || config.get('defaultConcurrency');
-      if (files.length < 10) {
-        concurrency = Math.min(concurrency, config.get('minConcurrency'));
-      } else if (files.length > 100) {
-        concurrency = Math.min(concurrency * 1.5, config.get('maxConcurrency'));
+      const optionErrors = validateTvRules({ mediaType, tvRules });
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '识别规则验证失败',
+          errors: optionErrors
+        });
       }
 
-      const taskQueue = new TaskQueue(Math.floor(concurrency), logger);
+      try {
+        const preview = await videoService.previewClassification(strmDir, { mediaType, tvRules });
 
-      sendEvent({
-        type: 'log',
-        message: `🚀 使用 ${Math.floor(concurrency)} 个并发线程处理 ${files.length} 个文件`,
-        level: 'info'
-      });
+        res.json({
+          success: true,
+          ...preview
+        });
+      } catch (error) {
+        logger.error('预览分类失败', { error: error.message });
+
+        res.json({
+          success: false,
+          error: error.message,
+          files: []
+        });
+      }
+    }
+  );
 
-      // 创建任务
-      const tasks = files.map(file => async () => {
-        const result = await videoService.processVideo(file, processConfig, sendEvent);
+  /**
+   * 可选的图片输出配置（内置和配置文件中自定义的）
+   */
+  router.get('/image-profiles', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      ...videoService.getImageProfiles()
+    });
+  });
 
-        if (result.success) {
-          if (!result.skipped) {
-            progress.success++;
+  /**
+   * 可选的叠加模板（内置和配置文件中自定义的）
+   */
+  router.get('/overlay-templates', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      ...videoService.getOverlayTemplates()
+    });
+  });
+
+  /**
+   * 预览叠加效果 - 按处理配置（config.overlay 为模板名称或模板）截取一帧并返回叠加后的图片，不写入媒体目录
+   * 未指定 file 时使用目录（或媒体库）中的第一个 .strm 文件，实际使用的文件在 X-Overlay-File 响应头中
+   */
+  router.post('/overlay/preview',
+    authMiddleware,
+    validateBody({
+      file: { required: false, type: 'string' },
+      type: { required: false, type: 'string' },
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' },
+      config: { required: false, type: 'object' }
+    }),
+    loadLibrary,
+    async (req, res) => {
+      const type = req.body.type || 'cover';
+      const overrides = req.body.config || {};
+      const errors = validateProcessOptions(overrides);
+      if (!OVERLAY_TYPES.includes(type)) {
+        errors.push(`type 必须是 ${OVERLAY_TYPES.join(' / ')} 之一`);
+      }
+      if (req.body.file !== undefined && !req.body.file.endsWith('.strm')) {
+        errors.push('file 必须是 .strm 文件');
+      }
+      if (req.body.file === undefined && !req.strmDir) {
+        errors.push('未指定 file 时 strmDir 或 libraryId 是必填字段');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '预览参数验证失败',
+          errors
+        });
+      }
+
+      const processConfig = req.library
+        ? { ...libraryService.getProcessConfig(req.library), ...overrides }
+        : { ...overrides, strmDir: req.strmDir || undefined };
+
+      let previewPath = null;
+      try {
+        let file = req.body.file && path.resolve(req.body.file);
+        if (!file) {
+          [file] = await videoService.scanStrmFiles(req.strmDir);
+          if (!file) {
+            return res.status(404).json({
+              success: false,
+              error: '目录中没有 .strm 文件'
+            });
           }
-        } else {
-          progress.failed++;
-          failedFiles.push(file);
-          sendEvent({
-            type: 'failed',
-            file: file
+        }
+
+        previewPath = await videoService.previewOverlay(file, type, processConfig);
+
+        res.set('Cache-Control', 'no-store');
+        res.set('X-Overlay-File', encodeURIComponent(file));
+        res.sendFile(previewPath, { dotfiles: 'allow' }, (error) => {
+          fs.unlink(previewPath).catch(() => {});
+          if (error && !res.headersSent) {
+            logger.error('读取叠加预览失败', { error: error.message });
+            res.status(500).json({ success: false, error: error.message });
+          }
+        });
+      } catch (error) {
+        if (previewPath) {
+          await fs.unlink(previewPath).catch(() => {});
+        }
+        logger.error('生成叠加预览失败', { error: error.message });
+
+        res.json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 查看生成的图片（封面、海报、联系表等），需要认证
+   */
+  router.get('/artwork',
+    authMiddleware,
+    validateQuery({
+      file: { required: true, type: 'string' },
+      type: { required: true, type: 'string' },
+      outputDir: { required: false, type: 'string' },
+      outputLayout: { required: false, type: 'string' },
+      outputTemplate: { required: false, type: 'string' },
+      strmDir: { required: false, type: 'string' },
+      format: { required: false, type: 'string' },
+      profile: { required: false, type: 'string' }
+    }),
+    async (req, res) => {
+      const { file, type, outputDir, outputLayout, outputTemplate, strmDir, format, profile } = req.query;
+
+      if (typeof file !== 'string' || !file.endsWith('.strm') || !ARTWORK_TYPES[type] || type === 'trickplay') {
+        return res.status(400).json({
+          success: false,
+          error: '无效的文件或图片类型'
+        });
+      }
+
+      // 动态预览的扩展名随输出格式变化，其他图片的扩展名随图片输出配置变化
+      const artworkOptions = type === 'preview' && PREVIEW_FORMATS.includes(format) ? { preview: { format } } : {};
+      if (typeof profile === 'string' && profile && !ARTWORK_TYPES[type].kind) {
+        if (!videoService.getImageProfiles().profiles[profile]) {
+          return res.status(400).json({
+            success: false,
+            error: '未知的图片输出配置'
           });
         }
+        artworkOptions[type] = { profile };
+      }
+      const outputOptions = {
+        outputDir: typeof outputDir === 'string' ? outputDir : '',
+        outputLayout: typeof outputLayout === 'string' && outputLayout ? outputLayout : undefined,
+        outputTemplate: typeof outputTemplate === 'string' ? outputTemplate : undefined,
+        strmDir: typeof strmDir === 'string' && strmDir ? strmDir : undefined
+      };
+      if (validateOutputOptions(outputOptions).length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '无效的输出布局或命名模板'
+        });
+      }
 
-        progress.processed++;
-        sendEvent({ type: 'progress', progress: { ...progress } });
-      });
+      const artworkPath = videoService.getArtworkPath(path.resolve(file), type, { ...outputOptions, artworkOptions });
 
-      // 并发执行所有任务
-      await Promise.all(tasks.map(task => taskQueue.add(task)));
+      try {
+        await fs.access(artworkPath);
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: '图片不存在'
+        });
+      }
 
-      // 发送完成消息
-      sendEvent({
-        type: 'complete',
-        progress,
-        failedFiles: failedFiles
+      res.set('Cache-Control', 'no-store');
+      res.sendFile(artworkPath, { dotfiles: 'allow' }, (error) => {
+        if (error && !res.headersSent) {
+          logger.error('读取图片失败', { error: error.message, path: artworkPath });
+          res.status(500).json({ success: false, error: error.message });
+        }
       });
+    }
+  );
 
-      res.end();
+  /**
+   * 提交处理任务 - 任务在后台执行，通过 /api/jobs/:id/events 获取进度
+   * 指定 libraryId 时使用媒体库的处理配置（config 中的字段覆盖媒体库配置），未传 files 时处理整个媒体库
+   */
+  router.post('/process',
+    authMiddleware,
+    validateBody({
+      files: { required: false, type: 'object' },
+      config: { required: false, type: 'object' },
+      libraryId: { required: false, type: 'string' }
+    }),
+    loadLibrary,
+    async (req, res) => {
+      const { library } = req;
+      let { files } = req.body;
+
+      if (!library && (files === undefined || req.body.config === undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: '请求参数验证失败',
+          errors: ['未指定 libraryId 时 files 和 config 是必填字段']
+        });
+      }
+
+      if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'files 必须是文件路径数组'
+        });
+      }
+
+      const overrides = req.body.config || {};
+      const optionErrors = validateProcessOptions(overrides);
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '处理配置验证失败',
+          errors: optionErrors
+        });
+      }
+
+      const processConfig = library
+        ? { ...libraryService.getProcessConfig(library), ...overrides }
+        : overrides;
+
+      try {
+        if (files === undefined) {
+          files = await videoService.scanStrmFiles(library.strmDir);
+        }
+
+        const job = await jobService.createJob(files, processConfig);
+
+        res.json({
+          success: true,
+          jobId: job.id,
+          job: jobService.getJobSummary(job)
+        });
+      } catch (error) {
+        logger.error('创建任务失败', { error: error.message });
+
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
     }
   );
 
@@ -0,0 +1,117 @@
+/**
+ * 目录监控路由
+ */
+
+const express = require('express');
+const { validateBody } = require('../middleware/validator');
+const { validateProcessOptions } = require('../utils/processOptions');
+const createLibraryLoader = require('../middleware/library');
+
+function createWatchRoutes(watchService, libraryService, authMiddleware, logger) {
+  const router = express.Router();
+  const loadLibrary = createLibraryLoader(libraryService);
+
+  /**
+   * 监控状态和最近的监控事件
+   */
+  router.get('/', authMiddleware, (req, res) => {
+    res.json({
+      success: true,
+      ...watchService.getStatus()
+    });
+  });
+
+  /**
+   * 开始监控目录，已在监控时按新的设置重新开始
+   * 指定 libraryId 时监控媒体库根目录，并保存到媒体库设置中（重启后继续监控）
+   */
+  router.post('/',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' },
+      config: { required: false, type: 'object' },
+      polling: { required: false, type: 'boolean' }
+    }),
+    loadLibrary,
+    async (req, res) => {
+      const { strmDir, library } = req;
+      const { config: processConfig, polling } = req.body;
+
+      if (!strmDir) {
+        return res.status(400).json({
+          success: false,
+          error: '请求参数验证失败',
+          errors: ['strmDir 或 libraryId 是必填字段']
+        });
+      }
+
+      const optionErrors = processConfig ? validateProcessOptions(processConfig) : [];
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '处理配置验证失败',
+          errors: optionErrors
+        });
+      }
+
+      try {
+        let root;
+        if (library) {
+          const updated = await libraryService.update(library.id, {
+            watch: true,
+            watchPolling: polling !== undefined ? polling : library.watchPolling
+          });
+          root = await watchService.watchLibrary(updated);
+        } else {
+          root = await watchService.watch(strmDir, { config: processConfig, polling });
+        }
+
+        res.json({
+          success: true,
+          root
+        });
+      } catch (error) {
+        logger.error('启动目录监控失败', { error: error.message, dir: strmDir });
+
+        res.json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * 停止监控目录或媒体库
+   */
+  router.delete('/',
+    authMiddleware,
+    validateBody({
+      strmDir: { required: false, type: 'string' },
+      libraryId: { required: false, type: 'string' }
+    }),
+    loadLibrary,
+    async (req, res) => {
+      const { strmDir, library } = req;
+
+      if (library) {
+        await libraryService.update(library.id, { watch: false });
+      }
+
+      const stopped = library ? watchService.unwatchLibrary(library.id) : strmDir && watchService.unwatch(strmDir);
+      if (!stopped) {
+        return res.status(404).json({
+          success: false,
+          error: '该目录未在监控中'
+        });
+      }
+
+      res.json({ success: true });
+    }
+  );
+
+  return router;
+}
+
+module.exports = createWatchRoutes;
@@ -0,0 +1,125 @@
+/**
+ * 失败列表服务模块
+ * 持久化自动重试后仍然失败的文件，记录失败原因、尝试次数和处理配置，供之后重新处理
+ */
+
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('../utils/fsUtils');
+
+class FailureService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.failuresFile = config.get('failuresFile');
+
+    // 文件路径 → 失败记录
+    this.failures = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * 初始化：加载失败列表
+   */
+  async init() {
+    try {
+      const data = await fs.readFile(this.failuresFile, 'utf-8');
+      for (const failure of JSON.parse(data)) {
+        this.failures.set(failure.path, failure);
+      }
+      this.logger.info(`失败列表加载成功，共 ${this.failures.size} 个文件`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('加载失败列表失败', { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * 保存失败列表，多次调用按顺序写入
+   */
+  save() {
+    const data = JSON.stringify(Array.from(this.failures.values()), null, 2);
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.failuresFile, data))
+      .catch(err => {
+        this.logger.error('保存失败列表失败', { error: err.message });
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * 记录失败的文件，尝试次数在已有记录上累加
+   */
+  record(filePath, { error, failure, attempts, jobId, config }) {
+    const previous = this.failures.get(filePath);
+
+    this.failures.set(filePath, {
+      path: filePath,
+      error,
+      failure,
+      attempts: (previous ? previous.attempts : 0) + attempts,
+      lastAttemptAt: new Date().toISOString(),
+      jobId,
+      config
+    });
+
+    this.save();
+  }
+
+  /**
+   * 文件处理成功后从失败列表中移除
+   */
+  resolve(filePath) {
+    if (this.failures.delete(filePath)) {
+      this.save();
+    }
+  }
+
+  /**
+   * 列出失败记录（按最后尝试时间倒序），可按文件路径和失败类型筛选
+   */
+  list({ files = null, categories = null } = {}) {
+    return Array.from(this.failures.values())
+      .filter(f => !files || files.includes(f.path))
+      .filter(f => !categories || categories.includes(f.failure))
+      .sort((a, b) => b.lastAttemptAt.localeCompare(a.lastAttemptAt));
+  }
+
+  /**
+   * 按失败类型统计
+   */
+  getStats() {
+    const categories = {};
+    for (const failure of this.failures.values()) {
+      categories[failure.failure] = (categories[failure.failure] || 0) + 1;
+    }
+    return { total: this.failures.size, categories };
+  }
+
+  /**
+   * 从失败列表中移除指定文件，返回移除的数量
+   */
+  remove(filePaths) {
+    let removed = 0;
+    for (const filePath of filePaths) {
+      if (this.failures.delete(filePath)) removed++;
+    }
+
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * 关闭服务，等待未完成的写入
+   */
+  async close() {
+    await this.saving;
+    this.logger.info('失败列表服务已关闭');
+  }
+}
+
+module.exports = FailureService;
@@ -0,0 +1,197 @@
+/**
+ * 处理索引服务模块
+ * 记录每个已处理 .strm 文件的修改时间、链接哈希和生成的文件，
+ * 再次处理时跳过未变化的文件，链接变化的文件即使已有封面也重新生成
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/fsUtils');
+
+const FILE_CHANGES = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * 计算视频链接的哈希
+ */
+function hashUrl(url) {
+  return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+class IndexService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.indexFile = config.get('indexFile');
+
+    // 文件路径 → 索引记录
+    this.entries = new Map();
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  /**
+   * 初始化：加载处理索引
+   */
+  async init() {
+    try {
+      const data = await fs.readFile(this.indexFile, 'utf-8');
+      for (const entry of JSON.parse(data)) {
+        this.entries.set(entry.path, entry);
+      }
+      this.logger.info(`处理索引加载成功，共 ${this.entries.size} 个文件`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('加载处理索引失败', { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * 保存处理索引，多次调用按顺序写入
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const data = JSON.stringify(Array.from(this.entries.values()), null, 2);
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.indexFile, data))
+      .catch(err => {
+        this.logger.error('保存处理索引失败', { error: err.message });
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * 延迟保存，合并批处理中短时间内的多次修改
+   */
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), 1000);
+    }
+  }
+
+  /**
+   * 检查 .strm 文件相对索引的变化
+   * 修改时间未变时不读取文件内容；修改时间变化但链接相同的文件仍视为未变化
+   */
+  async inspect(strmFile) {
+    const stat = await fs.stat(strmFile);
+    const mtime = stat.mtimeMs;
+    const entry = this.entries.get(strmFile);
+
+    if (entry && entry.mtime === mtime) {
+      return { status: FILE_CHANGES.UNCHANGED, mtime, urlHash: entry.urlHash };
+    }
+
+    const urlHash = hashUrl((await fs.readFile(strmFile, 'utf-8')).trim());
+    if (!entry) {
+      return { status: FILE_CHANGES.NEW, mtime, urlHash };
+    }
+
+    return {
+      status: entry.urlHash === urlHash ? FILE_CHANGES.UNCHANGED : FILE_CHANGES.CHANGED,
+      mtime,
+      urlHash
+    };
+  }
+
+  /**
+   * 记录处理完成（或因输出齐全而跳过）的文件
+   * 链接未变化时合并之前记录的输出，链接变化时只保留本次的输出
+   */
+  record(strmFile, source, outputs) {
+    const previous = this.entries.get(strmFile);
+    const keep = previous && previous.urlHash === source.urlHash ? previous.outputs : [];
+
+    this.entries.set(strmFile, {
+      path: strmFile,
+      mtime: source.mtime,
+      urlHash: source.urlHash,
+      outputs: Array.from(new Set([...keep, ...outputs])),
+      processedAt: new Date().toISOString()
+    });
+
+    this.scheduleSave();
+  }
+
+  /**
+   * 获取已记录的输出文件 → 生成它的 .strm 文件
+   */
+  getOutputOwners() {
+    const owners = new Map();
+    for (const entry of this.entries.values()) {
+      for (const output of entry.outputs) {
+        owners.set(output, entry.path);
+      }
+    }
+    return owners;
+  }
+
+  /**
+   * 获取目录下已不存在的 .strm 文件的索引记录
+   */
+  getOrphans(directory, files) {
+    const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+    const existing = new Set(files);
+
+    return Array.from(this.entries.keys())
+      .filter(file => file.startsWith(prefix) && !existing.has(file));
+  }
+
+  /**
+   * 对比扫描结果和索引，统计新增、变更、未变化和已删除（孤立）的文件
+   */
+  async diff(directory, files) {
+    const changes = { new: [], changed: [], unchanged: [] };
+
+    for (const file of files) {
+      try {
+        const { status } = await this.inspect(file);
+        changes[status].push(file);
+      } catch (err) {
+        // 扫描后被删除或无法读取的文件按新文件处理，交给处理流程报错
+        changes.new.push(file);
+      }
+    }
+
+    return { ...changes, orphaned: this.getOrphans(directory, files) };
+  }
+
+  /**
+   * 从索引中移除指定文件，返回移除的数量
+   */
+  remove(filePaths) {
+    let removed = 0;
+    for (const filePath of filePaths) {
+      if (this.entries.delete(filePath)) removed++;
+    }
+
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * 关闭服务，写入未保存的修改
+   */
+  async close() {
+    if (this.saveTimer) {
+      await this.save();
+    }
+    await this.saving;
+    this.logger.info('处理索引服务已关闭');
+  }
+}
+
+IndexService.FILE_CHANGES = FILE_CHANGES;
+
+module.exports = IndexService;
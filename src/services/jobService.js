@@ -0,0 +1,762 @@
+/**
+ * 任务服务模块
+ * 管理后台批处理任务：持久化任务状态、事件广播、重启后续跑
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const TaskQueue = require('../utils/taskQueue');
+const { writeFileAtomic } = require('../utils/fsUtils');
+const { sumTimings, formatTimings } = require('../utils/stageTimer');
+const { getBackoffDelay, isRetryable, sleep } = require('../utils/retry');
+const { LINK_FAILURES } = require('../utils/linkChecker');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const FILE_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// 每个任务在内存中保留的最近事件数，用于客户端重连时补发
+const MAX_BUFFERED_EVENTS = 500;
+
+// 任务状态落盘的节流间隔
+const SAVE_DELAY = 1000;
+
+class JobService {
+  constructor(config, logger, videoService, failureService, mediaServerService) {
+    this.config = config;
+    this.logger = logger;
+    this.videoService = videoService;
+    this.failureService = failureService;
+    this.mediaServerService = mediaServerService;
+    this.jobsDir = config.get('jobsDir');
+    this.jobRetention = config.get('jobRetention');
+    this.retryDelay = config.get('retryDelay');
+    this.retryMaxDelay = config.get('retryMaxDelay');
+    this.retryCategories = config.get('retryCategories');
+
+    this.jobs = new Map();
+    this.runtimes = new Map();
+  }
+
+  /**
+   * 初始化：加载历史任务并续跑未完成的任务
+   */
+  async init() {
+    await fs.mkdir(this.jobsDir, { recursive: true });
+
+    const entries = await fs.readdir(this.jobsDir);
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      try {
+        const data = await fs.readFile(path.join(this.jobsDir, entry), 'utf-8');
+        const job = JSON.parse(data);
+        this.jobs.set(job.id, job);
+      } catch (err) {
+        this.logger.error('加载任务失败', { file: entry, error: err.message });
+      }
+    }
+
+    this.logger.info(`任务加载完成，共 ${this.jobs.size} 个任务`);
+
+    // 暂停中的任务保持暂停，等待手动恢复
+    for (const job of this.jobs.values()) {
+      if (this.isUnfinished(job) && job.status !== JOB_STATUS.PAUSED) {
+        const remaining = job.files.filter(f => f.status === FILE_STATUS.PENDING).length;
+        this.logger.info('续跑未完成的任务', { jobId: job.id, remaining });
+        this.startJob(job);
+      }
+    }
+  }
+
+  /**
+   * 判断任务是否未完成
+   */
+  isUnfinished(job) {
+    return job.status === JOB_STATUS.PENDING ||
+      job.status === JOB_STATUS.RUNNING ||
+      job.status === JOB_STATUS.PAUSED;
+  }
+
+  /**
+   * 生成任务 ID
+   */
+  generateId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * 创建任务并在后台开始执行
+   */
+  async createJob(files, processConfig) {
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateId(),
+      status: JOB_STATUS.PENDING,
+      config: processConfig,
+      files: files.map(file => ({ path: file, status: FILE_STATUS.PENDING })),
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+
+    this.logger.info('任务已创建', { jobId: job.id, files: files.length });
+
+    this.startJob(job);
+
+    return job;
+  }
+
+  /**
+   * 在后台启动任务，不等待其完成
+   */
+  startJob(job) {
+    this.runJob(job).catch(err => {
+      this.logger.error('任务执行异常', { jobId: job.id, error: err.message });
+    });
+  }
+
+  /**
+   * 获取任务的运行时状态（事件总线和事件缓冲）
+   */
+  getRuntime(jobId) {
+    if (!this.runtimes.has(jobId)) {
+      this.runtimes.set(jobId, {
+        emitter: new EventEmitter(),
+        events: [],
+        nextEventId: 1,
+        running: false,
+        saveTimer: null,
+        taskQueue: null,
+        abortController: null
+      });
+    }
+    return this.runtimes.get(jobId);
+  }
+
+  /**
+   * 计算任务进度
+   */
+  getProgress(job) {
+    const progress = {
+      total: job.files.length,
+      processed: 0,
+      success: 0,
+      skipped: 0,
+      failed: 0
+    };
+
+    for (const file of job.files) {
+      if (file.status === FILE_STATUS.PENDING) continue;
+      progress.processed++;
+      progress[file.status]++;
+    }
+
+    return progress;
+  }
+
+  /**
+   * 获取失败的文件列表
+   */
+  getFailedFiles(job) {
+    return job.files
+      .filter(f => f.status === FILE_STATUS.FAILED)
+      .map(f => f.path);
+  }
+
+  /**
+   * 创建任务的文件队列
+   * 并发数使用批次设置（未设置时使用默认值），不超过全局最大并发数和待处理文件数
+   * （保存的媒体库、定时任务和重启前的任务可能早于最大并发数的调整，这里再限制一次）；
+   * 开启自适应并发时在 [minConcurrency, maxConcurrency] 内根据耗时和临时故障率调整
+   */
+  createTaskQueue(processConfig, fileCount) {
+    const maxConcurrency = this.config.get('maxConcurrency');
+    const requested = Math.min(parseInt(processConfig.concurrency) || this.config.get('defaultConcurrency'), maxConcurrency);
+    const concurrency = Math.max(1, Math.min(requested, fileCount));
+    const adaptive = processConfig.adaptiveConcurrency !== undefined
+      ? Boolean(processConfig.adaptiveConcurrency)
+      : this.config.get('adaptiveConcurrency');
+
+    return new TaskQueue(concurrency, this.logger, {
+      adaptive,
+      minConcurrency: this.config.get('minConcurrency'),
+      maxConcurrency: Math.min(maxConcurrency, Math.max(fileCount, 1)),
+      isFailure: result => !result.success && isRetryable(result.failure, this.retryCategories),
+      isSample: result => !result.skipped && !result.cancelled
+    });
+  }
+
+  /**
+   * 执行任务中所有待处理的文件
+   * 队列和取消控制器在第一次 await 之前创建，期间的暂停、取消直接作用于它们；await 之后不覆盖已暂停、已取消的状态
+   */
+  async runJob(job) {
+    const runtime = this.getRuntime(job.id);
+    if (runtime.running) return;
+    runtime.running = true;
+
+    let pendingFiles = job.files.filter(f => f.status === FILE_STATUS.PENDING);
+    const taskQueue = this.createTaskQueue(job.config, pendingFiles.length);
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    runtime.taskQueue = taskQueue;
+    runtime.abortController = abortController;
+    // 媒体库的主机限流只作用于本任务的请求
+    this.videoService.hostLimiter.setScopedOverrides(signal, job.config.hostLimits);
+    if (job.status === JOB_STATUS.PAUSED) {
+      taskQueue.pause();
+    }
+
+    try {
+      pendingFiles = await this.rejectOutputCollisions(job, pendingFiles);
+      if (job.status === JOB_STATUS.CANCELLED) {
+        await this.finishJob(job);
+        return;
+      }
+
+      if (job.status !== JOB_STATUS.PAUSED) {
+        job.status = JOB_STATUS.RUNNING;
+      }
+      job.startedAt = job.startedAt || new Date().toISOString();
+      this.touch(job);
+      await this.saveJob(job);
+
+      this.emitEvent(job, { type: 'status', status: job.status });
+      this.emitEvent(job, {
+        type: 'log',
+        message: `🚀 使用 ${taskQueue.concurrency} 个并发线程处理 ${pendingFiles.length} 个文件${taskQueue.adaptive ? `（自适应 ${taskQueue.minConcurrency}-${taskQueue.maxConcurrency}）` : ''}`,
+        level: 'info'
+      });
+
+      const sendEvent = (data) => this.emitEvent(job, data);
+
+      await Promise.all(pendingFiles.map(async entry => {
+        const result = await this.processWithRetry(job, entry, taskQueue, sendEvent, signal);
+        // 任务已取消，未处理完的文件保持待处理状态
+        if (result.cancelled) return;
+        this.recordResult(job, entry, result);
+      }));
+
+      job.queueStats = taskQueue.getStats();
+      await this.finishJob(job);
+    } finally {
+      runtime.running = false;
+      runtime.taskQueue = null;
+      runtime.abortController = null;
+    }
+  }
+
+  /**
+   * 设置了输出目录时检查输出路径冲突，冲突中未保留的文件记为失败且不处理，避免互相覆盖
+   * 返回仍需处理的文件
+   */
+  async rejectOutputCollisions(job, pendingFiles) {
+    if (!job.config.outputDir || pendingFiles.length === 0) return pendingFiles;
+
+    const collisions = await this.videoService.findOutputCollisions(pendingFiles.map(f => f.path), job.config);
+    if (collisions.length === 0) return pendingFiles;
+
+    const rejected = new Map();
+    for (const collision of collisions) {
+      const [kept, ...others] = collision.files;
+      for (const file of others) {
+        if (!rejected.has(file)) {
+          rejected.set(file, `输出路径冲突：${collision.path} 已被 ${kept} 使用`);
+        }
+      }
+    }
+
+    job.collisions = collisions;
+    this.logger.warn('输出路径冲突', { jobId: job.id, collisions: collisions.length, rejected: rejected.size });
+    this.emitEvent(job, {
+      type: 'log',
+      message: `⚠️ 发现 ${collisions.length} 处输出路径冲突，${rejected.size} 个文件不处理（可改用按目录结构输出或调整命名模板）`,
+      level: 'warn'
+    });
+    for (const collision of collisions.slice(0, 10)) {
+      this.emitEvent(job, {
+        type: 'log',
+        message: `  ${collision.path} ← ${collision.files.map(f => path.basename(f)).join(', ')}`,
+        level: 'warn'
+      });
+    }
+
+    for (const entry of pendingFiles) {
+      if (rejected.has(entry.path)) {
+        this.recordResult(job, entry, {
+          success: false,
+          error: rejected.get(entry.path),
+          failure: LINK_FAILURES.OUTPUT_CONFLICT
+        });
+      }
+    }
+    return pendingFiles.filter(entry => !rejected.has(entry.path));
+  }
+
+  /**
+   * 获取任务的自动重试次数，批次未设置时使用全局配置
+   */
+  getMaxRetries(processConfig) {
+    const value = processConfig.maxRetries;
+    return value !== undefined && value !== '' ? parseInt(value) : this.config.get('maxRetries');
+  }
+
+  /**
+   * 通过任务队列处理单个文件，临时故障（超时、5xx 等）按指数退避自动重试
+   * 退避等待期间不占用并发槽位；等待结束后重试的文件优先于尚未开始的文件执行
+   */
+  async processWithRetry(job, entry, taskQueue, sendEvent, signal) {
+    const maxRetries = this.getMaxRetries(job.config);
+    const cancelled = { success: false, cancelled: true, file: entry.path };
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await taskQueue.add(async () => {
+        if (signal.aborted) return cancelled;
+
+        try {
+          return await this.videoService.processVideo(entry.path, job.config, sendEvent, signal);
+        } catch (err) {
+          return { success: false, error: err.message };
+        }
+      }, attempt - 1);
+      result.attempts = attempt;
+
+      if (result.success || result.cancelled || attempt > maxRetries ||
+        !isRetryable(result.failure, this.retryCategories)) {
+        return result;
+      }
+
+      const delay = getBackoffDelay(attempt, this.retryDelay, this.retryMaxDelay);
+      sendEvent({
+        type: 'log',
+        message: `🔁 ${(delay / 1000).toFixed(1)}s 后第 ${attempt}/${maxRetries} 次重试：${path.basename(entry.path, '.strm')}（${result.failure}）`,
+        level: 'warn'
+      });
+
+      await sleep(delay, signal);
+      if (signal.aborted) {
+        return cancelled;
+      }
+    }
+  }
+
+  /**
+   * 重新处理失败列表中的文件
+   * 未指定处理配置时沿用各文件上次的配置，配置相同的文件合并为一个任务
+   */
+  async retryFailures(filter = {}, processConfig = null) {
+    const groups = new Map();
+
+    for (const failure of this.failureService.list(filter)) {
+      const config = processConfig || failure.config || {};
+      const key = JSON.stringify(config);
+      if (!groups.has(key)) {
+        groups.set(key, { config, files: [] });
+      }
+      groups.get(key).files.push(failure.path);
+    }
+
+    const jobs = [];
+    for (const { config, files } of groups.values()) {
+      jobs.push(await this.createJob(files, config));
+    }
+    return jobs;
+  }
+
+  /**
+   * 结束任务：标记完成（或已取消）并广播完成事件
+   */
+  async finishJob(job) {
+    const cancelled = job.status === JOB_STATUS.CANCELLED;
+
+    if (!cancelled) {
+      job.status = JOB_STATUS.COMPLETED;
+    }
+    job.finishedAt = new Date().toISOString();
+    this.touch(job);
+    await this.saveJob(job);
+
+    const progress = this.getProgress(job);
+    const timings = this.getTimings(job);
+    this.logger.info(cancelled ? '任务已取消' : '任务已完成', { jobId: job.id, ...progress, timings });
+
+    if (Object.keys(timings).length > 0) {
+      this.emitEvent(job, { type: 'log', message: `⏱️ 各阶段总耗时：${formatTimings(timings)}`, level: 'info' });
+    }
+
+    const queueStats = job.queueStats;
+    if (queueStats && queueStats.completed + queueStats.failed > 0) {
+      this.logger.info('任务队列统计', { jobId: job.id, ...queueStats });
+      this.emitEvent(job, {
+        type: 'log',
+        message: `📊 队列：平均等待 ${(queueStats.averageWait / 1000).toFixed(2)}s，单次处理平均 ${(queueStats.averageDuration / 1000).toFixed(2)}s / 最长 ${(queueStats.maxDuration / 1000).toFixed(2)}s，结束时并发 ${queueStats.concurrency}${queueStats.adjustments > 0 ? `（调整 ${queueStats.adjustments} 次）` : ''}`,
+        level: 'info'
+      });
+    }
+
+    if (this.mediaServerService.isEnabled(job.config)) {
+      await this.syncMediaServer(job);
+    }
+
+    this.emitEvent(job, {
+      type: 'complete',
+      cancelled,
+      progress,
+      failedFiles: this.getFailedFiles(job)
+    });
+  }
+
+  /**
+   * 把本任务生成了图片的文件同步到媒体服务器（上传图片并刷新），结果记录在任务中
+   */
+  async syncMediaServer(job) {
+    const files = job.files.filter(f => f.status === FILE_STATUS.SUCCESS && f.artworks && !f.mediaServerSynced);
+    if (files.length === 0) return null;
+
+    const log = (message, level) => this.emitEvent(job, { type: 'log', message, level });
+    job.mediaServer = await this.mediaServerService.syncFiles(files, log);
+
+    const failed = new Set(job.mediaServer.errors.map(e => e.file));
+    if (!failed.has(null)) {
+      for (const file of files) {
+        if (!failed.has(file.path)) file.mediaServerSynced = true;
+      }
+    }
+    this.touch(job);
+    await this.saveJob(job);
+    return job.mediaServer;
+  }
+
+  /**
+   * 更新任务状态并广播
+   */
+  async setStatus(job, status, message) {
+    job.status = status;
+    this.touch(job);
+    await this.saveJob(job);
+
+    this.emitEvent(job, { type: 'status', status });
+    this.emitEvent(job, { type: 'log', message, level: 'info' });
+    this.logger.info(message, { jobId: job.id });
+  }
+
+  /**
+   * 暂停任务：不再开始新文件，正在处理的文件继续完成
+   */
+  async pauseJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: '任务不存在' };
+    }
+    if (job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.PENDING) {
+      return { success: false, error: '只能暂停运行中的任务' };
+    }
+
+    const runtime = this.getRuntime(jobId);
+    if (runtime.taskQueue) {
+      runtime.taskQueue.pause();
+    }
+
+    await this.setStatus(job, JOB_STATUS.PAUSED, '⏸️ 任务已暂停，正在处理的文件完成后停止');
+    return { success: true, job: this.getJobSummary(job) };
+  }
+
+  /**
+   * 恢复已暂停的任务
+   */
+  async resumeJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: '任务不存在' };
+    }
+    if (job.status !== JOB_STATUS.PAUSED) {
+      return { success: false, error: '只能恢复已暂停的任务' };
+    }
+
+    const runtime = this.getRuntime(jobId);
+    await this.setStatus(job, JOB_STATUS.RUNNING, '▶️ 任务已恢复');
+
+    if (runtime.taskQueue) {
+      runtime.taskQueue.resume();
+    } else {
+      // 服务重启后加载的暂停任务，需要重新启动
+      this.startJob(job);
+    }
+
+    return { success: true, job: this.getJobSummary(job) };
+  }
+
+  /**
+   * 取消任务：终止正在运行的子进程，未处理的文件保持待处理状态
+   */
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: '任务不存在' };
+    }
+    if (!this.isUnfinished(job)) {
+      return { success: false, error: '任务已结束' };
+    }
+
+    const runtime = this.getRuntime(jobId);
+    await this.setStatus(job, JOB_STATUS.CANCELLED, '⛔ 任务已取消，正在终止处理中的文件');
+
+    if (runtime.running) {
+      runtime.abortController.abort();
+      // 唤醒排队中的任务，让它们检查取消状态后退出
+      runtime.taskQueue.resume();
+    } else {
+      await this.finishJob(job);
+    }
+
+    return { success: true, job: this.getJobSummary(job) };
+  }
+
+  /**
+   * 记录单个文件的处理结果
+   */
+  recordResult(job, entry, result) {
+    entry.attempts = result.attempts || 1;
+
+    if (result.success) {
+      entry.status = result.skipped ? FILE_STATUS.SKIPPED : FILE_STATUS.SUCCESS;
+      delete entry.error;
+      delete entry.failure;
+      if (result.frame) {
+        entry.frame = result.frame;
+      }
+      if (result.artworks) {
+        entry.artworks = result.artworks;
+      }
+      this.failureService.resolve(entry.path);
+    } else {
+      entry.status = FILE_STATUS.FAILED;
+      entry.error = result.error;
+      entry.failure = result.failure || null;
+      this.failureService.record(entry.path, {
+        error: entry.error,
+        failure: entry.failure,
+        attempts: entry.attempts,
+        jobId: job.id,
+        config: job.config
+      });
+      this.emitEvent(job, {
+        type: 'failed',
+        file: entry.path,
+        error: entry.error,
+        failure: entry.failure,
+        attempts: entry.attempts
+      });
+    }
+    if (result.timings) {
+      entry.timings = result.timings;
+    }
+    entry.finishedAt = new Date().toISOString();
+
+    this.touch(job);
+    this.scheduleSave(job);
+
+    this.emitEvent(job, { type: 'progress', progress: this.getProgress(job) });
+  }
+
+  /**
+   * 更新任务修改时间
+   */
+  touch(job) {
+    job.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * 广播任务事件并写入事件缓冲
+   */
+  emitEvent(job, data) {
+    const runtime = this.getRuntime(job.id);
+    const event = { id: runtime.nextEventId++, data };
+
+    runtime.events.push(event);
+    if (runtime.events.length > MAX_BUFFERED_EVENTS) {
+      runtime.events.shift();
+    }
+
+    runtime.emitter.emit('event', event);
+  }
+
+  /**
+   * 订阅任务事件
+   * 先补发 lastEventId 之后的缓冲事件，再推送实时事件，返回取消订阅函数
+   */
+  subscribe(jobId, listener, lastEventId = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('任务不存在');
+    }
+
+    const runtime = this.getRuntime(jobId);
+
+    for (const event of runtime.events) {
+      if (event.id > lastEventId) {
+        listener(event);
+      }
+    }
+
+    runtime.emitter.on('event', listener);
+    return () => runtime.emitter.off('event', listener);
+  }
+
+  /**
+   * 获取任务
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * 查找正在处理指定目录的未结束任务（任务的扫描根目录相同，或包含该目录下的文件），没有时返回 null
+   */
+  findUnfinishedJob(dir) {
+    const root = path.resolve(dir);
+    const prefix = root.endsWith(path.sep) ? root : `${root}${path.sep}`;
+
+    for (const job of this.jobs.values()) {
+      if (!this.isUnfinished(job)) continue;
+      if (job.config.strmDir && path.resolve(job.config.strmDir) === root) return job;
+      if (job.files.some(f => path.resolve(f.path).startsWith(prefix))) return job;
+    }
+    return null;
+  }
+
+  /**
+   * 汇总任务内所有文件的各阶段耗时（毫秒）
+   */
+  getTimings(job) {
+    return sumTimings(job.files.map(f => f.timings));
+  }
+
+  /**
+   * 获取任务摘要（不含文件明细）
+   */
+  getJobSummary(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: this.getProgress(job),
+      timings: this.getTimings(job),
+      queueStats: job.queueStats || null,
+      mediaServer: job.mediaServer || null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * 列出所有任务（按创建时间倒序）
+   */
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.getJobSummary(job));
+  }
+
+  /**
+   * 获取任务文件路径
+   */
+  getJobFile(jobId) {
+    return path.join(this.jobsDir, `${jobId}.json`);
+  }
+
+  /**
+   * 延迟保存任务，合并短时间内的多次修改
+   */
+  scheduleSave(job) {
+    const runtime = this.getRuntime(job.id);
+    if (runtime.saveTimer) return;
+
+    runtime.saveTimer = setTimeout(() => {
+      runtime.saveTimer = null;
+      this.saveJob(job);
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * 保存任务到磁盘
+   */
+  async saveJob(job) {
+    const runtime = this.getRuntime(job.id);
+    if (runtime.saveTimer) {
+      clearTimeout(runtime.saveTimer);
+      runtime.saveTimer = null;
+    }
+
+    try {
+      await writeFileAtomic(this.getJobFile(job.id), JSON.stringify(job, null, 2));
+      return true;
+    } catch (err) {
+      this.logger.error('保存任务失败', { jobId: job.id, error: err.message });
+      return false;
+    }
+  }
+
+  /**
+   * 清理已完成的旧任务
+   */
+  async cleanOldJobs(maxAge = this.jobRetention) {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const job of Array.from(this.jobs.values())) {
+      if (this.isUnfinished(job) || !job.finishedAt) continue;
+      if (now - new Date(job.finishedAt).getTime() <= maxAge) continue;
+
+      this.jobs.delete(job.id);
+      this.runtimes.delete(job.id);
+      await fs.unlink(this.getJobFile(job.id)).catch(() => {});
+      cleaned++;
+    }
+
+    if (cleaned > 0) {
+      this.logger.info(`清理了 ${cleaned} 个过期任务`);
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * 关闭任务服务，保存所有任务状态
+   * 未完成的任务保持原状态，下次启动时续跑
+   */
+  async close() {
+    for (const job of this.jobs.values()) {
+      const runtime = this.runtimes.get(job.id);
+      if (runtime && (runtime.running || runtime.saveTimer)) {
+        await this.saveJob(job);
+      }
+    }
+    this.logger.info('任务服务已关闭');
+  }
+}
+
+JobService.JOB_STATUS = JOB_STATUS;
+JobService.FILE_STATUS = FILE_STATUS;
+
+module.exports = JobService;
@@ -0,0 +1,147 @@
+/**
+ * 媒体库服务模块
+ * 持久化命名的媒体库：根目录、处理配置（输出目录、图片类型、截图策略、NFO 模式、并发等）和按主机的限流设置，
+ * 扫描、处理、监控和定时任务都可以通过媒体库 ID 调用
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/fsUtils');
+
+class LibraryService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.librariesFile = config.get('librariesFile');
+
+    // 媒体库 ID → 定义
+    this.libraries = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * 初始化：加载媒体库
+   */
+  async init() {
+    try {
+      const data = await fs.readFile(this.librariesFile, 'utf-8');
+      for (const library of JSON.parse(data)) {
+        this.libraries.set(library.id, library);
+      }
+      this.logger.info(`媒体库加载成功，共 ${this.libraries.size} 个`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('加载媒体库失败', { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * 保存媒体库，多次调用按顺序写入
+   */
+  save() {
+    const data = JSON.stringify(Array.from(this.libraries.values()), null, 2);
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.librariesFile, data))
+      .catch(err => {
+        this.logger.error('保存媒体库失败', { error: err.message });
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * 创建媒体库
+   */
+  async create({ name, strmDir, config = {}, hostLimits = {}, watch = false, watchPolling = false }) {
+    const now = new Date().toISOString();
+    const library = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name || path.basename(strmDir),
+      strmDir: path.resolve(strmDir),
+      config,
+      hostLimits,
+      watch,
+      watchPolling,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.libraries.set(library.id, library);
+    await this.save();
+
+    this.logger.info('媒体库已创建', { libraryId: library.id, name: library.name, strmDir: library.strmDir });
+    return library;
+  }
+
+  /**
+   * 修改媒体库，只更新传入的字段
+   */
+  async update(id, changes) {
+    const library = this.libraries.get(id);
+    if (!library) return null;
+
+    for (const key of ['name', 'config', 'hostLimits', 'watch', 'watchPolling']) {
+      if (changes[key] !== undefined) {
+        library[key] = changes[key];
+      }
+    }
+    if (changes.strmDir !== undefined) {
+      library.strmDir = path.resolve(changes.strmDir);
+    }
+    library.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return library;
+  }
+
+  /**
+   * 删除媒体库（已生成的图片和已创建的任务不受影响）
+   */
+  async remove(id) {
+    if (!this.libraries.delete(id)) return false;
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 获取媒体库
+   */
+  get(id) {
+    return this.libraries.get(id);
+  }
+
+  /**
+   * 列出所有媒体库（按名称排序）
+   */
+  list() {
+    return Array.from(this.libraries.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * 获取按媒体库处理时使用的处理配置
+   */
+  getProcessConfig(library) {
+    return {
+      ...library.config,
+      strmDir: library.strmDir,
+      libraryId: library.id,
+      // 媒体库的主机限流只作用于该媒体库的任务（与全局配置合并取更严格的值）
+      hostLimits: library.hostLimits
+    };
+  }
+
+  /**
+   * 关闭服务，等待未完成的写入
+   */
+  async close() {
+    await this.saving;
+    this.logger.info('媒体库服务已关闭');
+  }
+}
+
+module.exports = LibraryService;
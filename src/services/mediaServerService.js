@@ -0,0 +1,331 @@
+/**
+ * 媒体服务器服务模块
+ * 通过 Emby / Jellyfin 的 HTTP API（两者接口兼容）按路径找到每个 .strm 对应的媒体项，
+ * 批处理结束后上传生成的图片，并刷新对应的媒体项或整个媒体库
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+const REFRESH_MODES = ['item', 'library', 'none'];
+
+// 本地图片类型 → 媒体服务器图片类型，同一服务器类型按顺序取第一张存在的图片
+// 电影的主图优先使用竖版海报，剧集单集优先使用横版封面
+const IMAGE_PREFERENCES = {
+  Movie: { Primary: ['poster', 'cover', 'thumb'], Backdrop: ['fanart'], Thumb: ['landscape', 'thumb'] },
+  Episode: { Primary: ['cover', 'thumb', 'landscape'], Backdrop: ['fanart'], Thumb: ['landscape'] }
+};
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+// 分页获取媒体项时每页的数量
+const ITEMS_PAGE_SIZE = 1000;
+
+// 路径 → 媒体项的缓存有效期：监控模式下每批只有几个文件，不必每批都翻页获取整个媒体库
+const ITEMS_CACHE_TTL = 10 * 60 * 1000;
+
+// 有文件在缓存中找不到时重新获取的最小间隔（新文件入库后才能匹配到）
+const ITEMS_REFETCH_INTERVAL = 60 * 1000;
+
+class MediaServerService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.url = (config.get('mediaServerUrl') || '').replace(/\/+$/, '');
+    this.apiKey = config.get('mediaServerApiKey');
+    this.refreshMode = config.get('mediaServerRefresh');
+    this.timeout = config.get('mediaServerTimeout');
+    // 本地路径前缀 → 媒体服务器看到的路径前缀（如 Docker 中挂载到不同目录）
+    this.pathMap = Object.entries(config.get('mediaServerPathMap') || {})
+      .sort((a, b) => b[0].length - a[0].length);
+
+    this.lastSync = null;
+    // 路径 → 媒体项的缓存 { items, fetchedAt }，以及正在进行的获取
+    this.itemsCache = null;
+    this.itemsFetching = null;
+  }
+
+  /**
+   * 是否已配置媒体服务器
+   */
+  isConfigured() {
+    return Boolean(this.url && this.apiKey);
+  }
+
+  /**
+   * 批次是否需要同步到媒体服务器，批次未设置时使用全局配置
+   */
+  isEnabled(processConfig = {}) {
+    if (!this.isConfigured()) return false;
+    return processConfig.mediaServerSync !== undefined
+      ? Boolean(processConfig.mediaServerSync)
+      : this.config.get('mediaServerSync');
+  }
+
+  /**
+   * 调用媒体服务器 API，非 2xx 响应抛出异常
+   */
+  async request(method, apiPath, options = {}) {
+    const { url = this.url, apiKey = this.apiKey, ...rest } = options;
+
+    try {
+      const response = await axios({
+        method,
+        url: `${url}${apiPath}`,
+        timeout: this.timeout,
+        ...rest,
+        headers: { 'X-Emby-Token': apiKey, ...rest.headers }
+      });
+      return response.data;
+    } catch (err) {
+      const status = err.response ? `HTTP ${err.response.status}` : (err.code || err.message);
+      throw new Error(`媒体服务器请求失败（${method} ${apiPath}）：${status}`);
+    }
+  }
+
+  /**
+   * 测试连接，可传入未保存的地址和 API Key
+   * 只有测试已保存的地址时才使用已保存的 API Key，避免把它发送到调用方指定的其他地址
+   */
+  async testConnection({ url, apiKey } = {}) {
+    const targetUrl = url ? url.replace(/\/+$/, '') : this.url;
+    if (!apiKey && targetUrl !== this.url) {
+      throw new Error('测试未保存的服务器地址时需要同时提供 API Key');
+    }
+
+    const info = await this.request('GET', '/System/Info', {
+      url: targetUrl,
+      apiKey: apiKey || this.apiKey
+    });
+
+    return {
+      name: info.ServerName,
+      version: info.Version,
+      id: info.Id,
+      os: info.OperatingSystem || null
+    };
+  }
+
+  /**
+   * 把本地路径转换为媒体服务器看到的路径
+   */
+  toServerPath(localPath) {
+    for (const [localPrefix, serverPrefix] of this.pathMap) {
+      if (localPath === localPrefix || localPath.startsWith(localPrefix.replace(/\/?$/, '/'))) {
+        const rest = localPath.slice(localPrefix.length).replace(/^\//, '');
+        const separator = serverPrefix.includes('\\') ? '\\' : '/';
+        return rest ? `${serverPrefix.replace(/[\\/]$/, '')}${separator}${rest.split('/').join(separator)}` : serverPrefix;
+      }
+    }
+    return localPath;
+  }
+
+  /**
+   * 获取媒体服务器中所有电影和剧集单集，返回 路径 → 媒体项
+   */
+  async fetchItemsByPath() {
+    const items = new Map();
+
+    for (let start = 0; ; start += ITEMS_PAGE_SIZE) {
+      const page = await this.request('GET', '/Items', {
+        params: {
+          Recursive: true,
+          IncludeItemTypes: 'Movie,Episode',
+          Fields: 'Path',
+          StartIndex: start,
+          Limit: ITEMS_PAGE_SIZE
+        }
+      });
+
+      for (const item of page.Items || []) {
+        if (item.Path) items.set(item.Path, item);
+      }
+      if (!page.Items || page.Items.length < ITEMS_PAGE_SIZE || start + ITEMS_PAGE_SIZE >= page.TotalRecordCount) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 获取 路径 → 媒体项，使用缓存（过期后重新获取）
+   * paths 中有缓存里找不到的路径，且距上次获取超过最小间隔时也重新获取；同时发起的获取共用一次请求
+   */
+  async getItemsByPath(paths = []) {
+    const cache = this.itemsCache;
+    const age = cache ? Date.now() - cache.fetchedAt : Infinity;
+    const missing = cache && paths.some(p => !cache.items.has(p));
+
+    if (age < ITEMS_CACHE_TTL && !(missing && age >= ITEMS_REFETCH_INTERVAL)) {
+      return cache.items;
+    }
+
+    if (!this.itemsFetching) {
+      this.itemsFetching = this.fetchItemsByPath()
+        .then(items => {
+          this.itemsCache = { items, fetchedAt: Date.now() };
+          return items;
+        })
+        .finally(() => {
+          this.itemsFetching = null;
+        });
+    }
+    return this.itemsFetching;
+  }
+
+  /**
+   * 按媒体项类型选择要上传的图片，返回 [{ imageType, path }]
+   */
+  pickImages(item, artworks) {
+    const preferences = IMAGE_PREFERENCES[item.Type] || IMAGE_PREFERENCES.Movie;
+    const byType = new Map(artworks.map(a => [a.type, a.path]));
+    const images = [];
+
+    for (const [imageType, localTypes] of Object.entries(preferences)) {
+      const localType = localTypes.find(type => byType.has(type));
+      if (localType) {
+        images.push({ imageType, path: byType.get(localType) });
+      }
+    }
+    return images;
+  }
+
+  /**
+   * 上传图片（请求体为 base64 编码的图片，Emby 和 Jellyfin 都使用这种格式）
+   */
+  async uploadImage(itemId, imageType, imagePath) {
+    const contentType = IMAGE_CONTENT_TYPES[path.extname(imagePath).toLowerCase()];
+    if (!contentType) return false;
+
+    const data = await fs.readFile(imagePath);
+    await this.request('POST', `/Items/${itemId}/Images/${imageType}`, {
+      data: data.toString('base64'),
+      headers: { 'Content-Type': contentType },
+      maxBodyLength: Infinity
+    });
+    return true;
+  }
+
+  /**
+   * 刷新媒体项（读取新的 NFO，保留已有图片）
+   */
+  refreshItem(itemId) {
+    return this.request('POST', `/Items/${itemId}/Refresh`, {
+      params: {
+        Recursive: false,
+        MetadataRefreshMode: 'Default',
+        ImageRefreshMode: 'Default',
+        ReplaceAllMetadata: false,
+        ReplaceAllImages: false
+      }
+    });
+  }
+
+  /**
+   * 通知媒体服务器有新文件（只扫描这些路径，不刷新整个媒体库）
+   */
+  notifyCreated(serverPaths) {
+    return this.request('POST', '/Library/Media/Updated', {
+      data: { Updates: serverPaths.map(p => ({ Path: p, UpdateType: 'Created' })) }
+    });
+  }
+
+  /**
+   * 同步一批处理结果：上传图片并刷新
+   * files 为 [{ path, artworks: [{ type, path }] }]，log 用于输出到任务日志
+   * 媒体服务器中还没有的文件（新增的 .strm）通知服务器扫描，入库时会读取本地图片和 NFO
+   */
+  async syncFiles(files, log = () => {}) {
+    const result = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      matched: 0,
+      uploaded: 0,
+      refreshed: 0,
+      unmatched: 0,
+      errors: []
+    };
+
+    try {
+      const serverPaths = files.map(file => this.toServerPath(file.path));
+      const items = await this.getItemsByPath(serverPaths);
+      const unmatched = [];
+
+      for (const [i, file] of files.entries()) {
+        const serverPath = serverPaths[i];
+        const item = items.get(serverPath);
+        if (!item) {
+          unmatched.push(serverPath);
+          continue;
+        }
+        result.matched++;
+
+        try {
+          for (const image of this.pickImages(item, file.artworks || [])) {
+            if (await this.uploadImage(item.Id, image.imageType, image.path)) {
+              result.uploaded++;
+            }
+          }
+          if (this.refreshMode === 'item') {
+            await this.refreshItem(item.Id);
+            result.refreshed++;
+          }
+        } catch (err) {
+          // 缓存中的媒体项可能已被删除或重新入库，下一批重新获取
+          this.itemsCache = null;
+          result.errors.push({ file: file.path, error: err.message });
+          log(`⚠️ 同步到媒体服务器失败：${path.basename(file.path, '.strm')}（${err.message}）`, 'warn');
+        }
+      }
+
+      result.unmatched = unmatched.length;
+      if (this.refreshMode === 'library') {
+        await this.request('POST', '/Library/Refresh');
+      } else if (this.refreshMode === 'item' && unmatched.length > 0) {
+        await this.notifyCreated(unmatched);
+      }
+    } catch (err) {
+      result.errors.push({ file: null, error: err.message });
+      log(`❌ 同步到媒体服务器失败：${err.message}`, 'error');
+    }
+
+    result.finishedAt = new Date().toISOString();
+    this.lastSync = result;
+
+    this.logger.info('媒体服务器同步完成', {
+      matched: result.matched,
+      uploaded: result.uploaded,
+      refreshed: result.refreshed,
+      unmatched: result.unmatched,
+      errors: result.errors.length
+    });
+    log(`📡 媒体服务器：匹配 ${result.matched} 项，上传 ${result.uploaded} 张图片，刷新 ${result.refreshed} 项${result.unmatched > 0 ? `，未匹配 ${result.unmatched} 个${this.refreshMode === 'item' ? '（已通知服务器扫描）' : ''}` : ''}`, result.errors.length > 0 ? 'warn' : 'info');
+
+    return result;
+  }
+
+  /**
+   * 获取媒体服务器配置和最近一次同步结果
+   */
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      url: this.url || null,
+      refreshMode: this.refreshMode,
+      syncByDefault: this.config.get('mediaServerSync'),
+      lastSync: this.lastSync
+    };
+  }
+}
+
+MediaServerService.REFRESH_MODES = REFRESH_MODES;
+
+module.exports = MediaServerService;
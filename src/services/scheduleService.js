@@ -0,0 +1,401 @@
+/**
+ * 定时任务服务模块
+ * 按 cron 表达式定时扫描目录或媒体库并创建处理任务，持久化定时任务定义和运行历史
+ * 同一目录的上一次运行尚未结束，或有其他处理任务（手动提交、目录监控）正在处理该目录时跳过本次运行，避免重复处理
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/fsUtils');
+const { parseCron, getNextRun } = require('../utils/cron');
+const { JOB_STATUS } = require('./jobService');
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// 每个定时任务保留的运行历史条数
+const MAX_HISTORY = 50;
+
+class ScheduleService {
+  constructor(config, logger, videoService, jobService, libraryService) {
+    this.config = config;
+    this.logger = logger;
+    this.videoService = videoService;
+    this.jobService = jobService;
+    this.libraryService = libraryService;
+    this.schedulesFile = config.get('schedulesFile');
+
+    // 定时任务 ID → 定义（含运行历史）
+    this.schedules = new Map();
+    // 定时任务 ID → 下一次运行时间（只在内存中计算，服务停止期间错过的运行不补跑）
+    this.nextRuns = new Map();
+    // 任务 ID → 取消订阅函数
+    this.subscriptions = new Map();
+    // 目录 → 正在扫描、尚未创建处理任务的运行（尚未写入运行历史）
+    this.startingRuns = new Map();
+    this.saving = Promise.resolve();
+    this.checking = false;
+  }
+
+  /**
+   * 初始化：加载定时任务，继续跟踪重启前未结束的运行
+   */
+  async init() {
+    try {
+      const data = await fs.readFile(this.schedulesFile, 'utf-8');
+      for (const schedule of JSON.parse(data)) {
+        this.schedules.set(schedule.id, schedule);
+        this.updateNextRun(schedule);
+
+        for (const run of schedule.history) {
+          if (run.status === RUN_STATUS.RUNNING) {
+            this.trackRun(run);
+          }
+        }
+      }
+      this.logger.info(`定时任务加载成功，共 ${this.schedules.size} 个`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error('加载定时任务失败', { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * 保存定时任务，多次调用按顺序写入
+   */
+  save() {
+    const data = JSON.stringify(Array.from(this.schedules.values()), null, 2);
+
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.schedulesFile, data))
+      .catch(err => {
+        this.logger.error('保存定时任务失败', { error: err.message });
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * 计算下一次运行时间，已停用的定时任务不运行
+   */
+  updateNextRun(schedule) {
+    if (schedule.enabled) {
+      this.nextRuns.set(schedule.id, getNextRun(parseCron(schedule.cron)));
+    } else {
+      this.nextRuns.delete(schedule.id);
+    }
+  }
+
+  /**
+   * 创建定时任务
+   * 指定 libraryId 时运行时使用媒体库当前的根目录和处理配置，config 中的字段覆盖媒体库配置
+   */
+  async create({ name, strmDir, libraryId, cron, config = {}, enabled = true }) {
+    const library = libraryId ? this.libraryService.get(libraryId) : null;
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name || (library ? library.name : path.basename(strmDir)),
+      strmDir: library ? null : path.resolve(strmDir),
+      libraryId: library ? library.id : null,
+      cron: cron.trim(),
+      config,
+      enabled,
+      createdAt: now,
+      updatedAt: now,
+      history: []
+    };
+
+    this.schedules.set(schedule.id, schedule);
+    this.updateNextRun(schedule);
+    await this.save();
+
+    this.logger.info('定时任务已创建', {
+      scheduleId: schedule.id,
+      cron: schedule.cron,
+      strmDir: schedule.strmDir,
+      libraryId: schedule.libraryId
+    });
+    return schedule;
+  }
+
+  /**
+   * 修改定时任务，只更新传入的字段
+   */
+  async update(id, changes) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+
+    for (const key of ['name', 'cron', 'config', 'enabled']) {
+      if (changes[key] !== undefined) {
+        schedule[key] = key === 'cron' ? changes.cron.trim() : changes[key];
+      }
+    }
+    // 目录和媒体库二选一
+    if (changes.libraryId) {
+      schedule.libraryId = changes.libraryId;
+      schedule.strmDir = null;
+    } else if (changes.strmDir !== undefined) {
+      schedule.strmDir = path.resolve(changes.strmDir);
+      schedule.libraryId = null;
+    }
+    schedule.updatedAt = new Date().toISOString();
+
+    this.updateNextRun(schedule);
+    await this.save();
+    return schedule;
+  }
+
+  /**
+   * 删除定时任务（已创建的处理任务不受影响）
+   */
+  async remove(id) {
+    if (!this.schedules.delete(id)) return false;
+
+    this.nextRuns.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 运行到期的定时任务，由服务器定时器每分钟内多次调用
+   * 上一次检查还在扫描目录时跳过本次检查
+   */
+  async runDue(now = new Date()) {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const schedule of Array.from(this.schedules.values())) {
+        const nextRun = this.nextRuns.get(schedule.id);
+        if (!nextRun || nextRun > now) continue;
+
+        this.updateNextRun(schedule);
+        await this.run(schedule.id, 'schedule');
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * 同一目录是否有未结束的定时运行（不同定时任务可能指向同一目录或同一媒体库）
+   */
+  findActiveRun(strmDir) {
+    if (this.startingRuns.has(strmDir)) {
+      return this.startingRuns.get(strmDir);
+    }
+    for (const schedule of this.schedules.values()) {
+      const run = schedule.history.find(r =>
+        r.status === RUN_STATUS.RUNNING && (r.strmDir || schedule.strmDir) === strmDir
+      );
+      if (run) return run;
+    }
+    return null;
+  }
+
+  /**
+   * 获取运行时扫描的目录和处理配置，所属媒体库已删除时抛出异常
+   */
+  resolveTarget(schedule) {
+    if (!schedule.libraryId) {
+      return { strmDir: schedule.strmDir, config: { ...schedule.config, strmDir: schedule.strmDir } };
+    }
+
+    const library = this.libraryService.get(schedule.libraryId);
+    if (!library) {
+      throw new Error('媒体库不存在');
+    }
+    return {
+      strmDir: library.strmDir,
+      config: { ...this.libraryService.getProcessConfig(library), ...schedule.config }
+    };
+  }
+
+  /**
+   * 运行定时任务：扫描目录并为所有 .strm 文件创建处理任务
+   * trigger 为 schedule（定时触发）或 manual（手动运行）
+   */
+  async run(id, trigger = 'manual') {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+
+    const run = {
+      startedAt: new Date().toISOString(),
+      trigger,
+      status: RUN_STATUS.RUNNING,
+      strmDir: null,
+      jobId: null,
+      files: 0,
+      progress: null,
+      finishedAt: null,
+      error: null
+    };
+
+    let target = null;
+    try {
+      target = this.resolveTarget(schedule);
+      run.strmDir = target.strmDir;
+    } catch (err) {
+      run.status = RUN_STATUS.FAILED;
+      run.error = err.message;
+      run.finishedAt = run.startedAt;
+    }
+
+    const active = target && this.findActiveRun(target.strmDir);
+    const activeJob = target && !active ? this.jobService.findUnfinishedJob(target.strmDir) : null;
+    if (active) {
+      run.status = RUN_STATUS.SKIPPED;
+      run.error = active.jobId ? `上一次运行（任务 ${active.jobId}）尚未结束` : '上一次运行正在扫描目录';
+      run.finishedAt = run.startedAt;
+    } else if (activeJob) {
+      run.status = RUN_STATUS.SKIPPED;
+      run.error = `处理任务 ${activeJob.id} 正在处理该目录`;
+      run.finishedAt = run.startedAt;
+    } else if (target) {
+      // 在第一次 await 之前占用目录，同时触发的运行（定时和手动）不会重复创建任务
+      this.startingRuns.set(target.strmDir, run);
+      try {
+        const { files, summary } = await this.videoService.scanChanges(target.strmDir);
+        run.files = files.length;
+        run.changes = summary;
+
+        if (files.length === 0) {
+          run.status = RUN_STATUS.COMPLETED;
+          run.finishedAt = new Date().toISOString();
+        } else {
+          const job = await this.jobService.createJob(files, target.config);
+          run.jobId = job.id;
+        }
+      } catch (err) {
+        run.status = RUN_STATUS.FAILED;
+        run.error = err.message;
+        run.finishedAt = new Date().toISOString();
+      } finally {
+        this.startingRuns.delete(target.strmDir);
+      }
+    }
+
+    schedule.history.unshift(run);
+    schedule.history.splice(MAX_HISTORY);
+    await this.save();
+
+    const level = run.status === RUN_STATUS.FAILED ? 'error' : 'info';
+    this.logger[level](`定时任务${run.status === RUN_STATUS.SKIPPED ? '跳过' : '运行'}：${schedule.name}`, {
+      scheduleId: schedule.id,
+      trigger,
+      jobId: run.jobId,
+      files: run.files,
+      error: run.error
+    });
+
+    if (run.status === RUN_STATUS.RUNNING) {
+      this.trackRun(run);
+    }
+    return run;
+  }
+
+  /**
+   * 跟踪运行创建的处理任务，任务结束后记录结果
+   */
+  trackRun(run) {
+    const job = this.jobService.getJob(run.jobId);
+    if (!job) {
+      // 任务文件丢失，无法得知结果
+      this.finishRun(run, RUN_STATUS.FAILED, null, '处理任务不存在');
+      return;
+    }
+    if (!this.jobService.isUnfinished(job)) {
+      const status = job.status === JOB_STATUS.CANCELLED ? RUN_STATUS.CANCELLED : RUN_STATUS.COMPLETED;
+      this.finishRun(run, status, this.jobService.getProgress(job));
+      return;
+    }
+
+    const unsubscribe = this.jobService.subscribe(job.id, (event) => {
+      if (event.data.type !== 'complete') return;
+
+      unsubscribe();
+      this.subscriptions.delete(job.id);
+      this.finishRun(run, event.data.cancelled ? RUN_STATUS.CANCELLED : RUN_STATUS.COMPLETED, event.data.progress);
+    }, Infinity);
+    this.subscriptions.set(job.id, unsubscribe);
+  }
+
+  /**
+   * 记录运行结果
+   */
+  finishRun(run, status, progress, error = null) {
+    run.status = status;
+    run.progress = progress;
+    run.error = error;
+    run.finishedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * 获取定时任务摘要（不含运行历史）
+   */
+  getSummary(schedule) {
+    const { history, ...rest } = schedule;
+    const nextRun = this.nextRuns.get(schedule.id);
+
+    return {
+      ...rest,
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+      lastRun: history[0] || null
+    };
+  }
+
+  /**
+   * 列出所有定时任务（按创建时间排序）
+   */
+  list() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(schedule => this.getSummary(schedule));
+  }
+
+  /**
+   * 获取定时任务
+   */
+  get(id) {
+    return this.schedules.get(id);
+  }
+
+  /**
+   * 获取运行历史，仍保留的处理任务附带任务摘要
+   */
+  getHistory(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+
+    return schedule.history.map(run => {
+      const job = run.jobId && this.jobService.getJob(run.jobId);
+      return { ...run, job: job ? this.jobService.getJobSummary(job) : null };
+    });
+  }
+
+  /**
+   * 关闭服务，等待未完成的写入
+   */
+  async close() {
+    for (const unsubscribe of this.subscriptions.values()) {
+      unsubscribe();
+    }
+    this.subscriptions.clear();
+
+    await this.saving;
+    this.logger.info('定时任务服务已关闭');
+  }
+}
+
+ScheduleService.RUN_STATUS = RUN_STATUS;
+
+module.exports = ScheduleService;
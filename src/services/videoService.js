@@ -3,25 +3,163 @@
  * 处理视频信息获取、封面生成等
  */
 
-const { exec } = require('child_process');
-const util = require('util');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { runProcess } = require('../utils/processRunner');
+const { SAMPLE_WIDTH, SAMPLE_HEIGHT, scoreFrame, findSmartCropOffset } = require('../utils/frameScorer');
+const { getCaptureWindow, getCaptureTime } = require('../utils/captureTime');
+const { resolveArtworkTypes, getSeasonArtwork, buildArtworkFilter } = require('../utils/artwork');
+const { getOutputPath } = require('../utils/outputLayout');
+const {
+  IMAGE_FORMATS,
+  MAX_ENCODE_ATTEMPTS,
+  getImageProfiles,
+  getOutputSize,
+  getEncodeAttempt,
+  buildEncoderArgs
+} = require('../utils/imageProfile');
+const {
+  getOverlayTemplates,
+  resolveOverlayTemplate,
+  getOverlayTexts,
+  buildOverlayFilters
+} = require('../utils/overlay');
+const { summarizeProbe } = require('../utils/mediaInfo');
+const { buildMovieNfo, buildEpisodeNfo, buildTvShowNfo, mergeNfo, hasScrapedArtwork } = require('../utils/nfo');
+const { writeFileAtomic } = require('../utils/fsUtils');
+const { classifyMedia } = require('../utils/mediaClassifier');
+const { getSignedUrlExpiry } = require('../utils/signedUrl');
+const { createStageTimer, formatTimings } = require('../utils/stageTimer');
+const { HostLimiter, parseRetryAfter, isThrottledOutput } = require('../utils/hostLimiter');
+const {
+  LINK_FAILURES,
+  LinkCheckError,
+  classifyStatus,
+  classifyRequestError,
+  shouldFallbackToGet,
+  isVideoContentType,
+  getFailureCategory
+} = require('../utils/linkChecker');
+const { buildWebVtt, buildBif } = require('../utils/trickplay');
+const { FILE_CHANGES } = require('./indexService');
+const { getPreviewSegments, buildPreviewArgs } = require('../utils/animatedPreview');
+const {
+  HEADER_HEIGHT,
+  HEADER_FONT_SIZE,
+  getContactSheetTimes,
+  formatTimestamp,
+  buildHeaderLines,
+  buildDrawText
+} = require('../utils/contactSheet');
 
-const execPromise = util.promisify(exec);
+// 解析链接时最多跟随的重定向次数
+const MAX_REDIRECTS = 10;
+
+// 签名链接提前失效的余量，避免处理途中过期
+const RESOLVED_URL_MARGIN = 60 * 1000;
+
+// 链接解析缓存的最大条数，超过时清理已过期的条目
+const MAX_RESOLVED_URLS = 1000;
 
 class VideoService {
-  constructor(config, logger, cacheService) {
+  constructor(config, logger, cacheService, indexService) {
     this.config = config;
     this.logger = logger;
     this.cacheService = cacheService;
+    this.indexService = indexService;
 
     this.tmpDir = config.get('tmpDir');
     this.ffprobeTimeout = config.get('ffprobeTimeout');
     this.ffmpegTimeout = config.get('ffmpegTimeout');
     this.curlTimeout = config.get('curlTimeout');
     this.httpTimeout = config.get('httpTimeout');
+    this.trickplayTimeout = config.get('trickplayTimeout');
+    this.fontFile = config.get('fontFile');
+    this.frameStrategy = config.get('frameStrategy');
+    this.frameCandidates = config.get('frameCandidates');
+    this.sceneThreshold = config.get('sceneThreshold');
+    this.resolvedUrlTtl = config.get('resolvedUrlTtl');
+
+    // 链接解析结果（原始链接 → { url, expiresAt }），签名链接有时效，只保存在内存中
+    this.resolvedUrls = new Map();
+
+    // 所有访问视频链接的请求（HEAD、探测、下载、截图）按主机限流
+    this.hostLimiter = new HostLimiter({
+      concurrency: config.get('hostConcurrency'),
+      requestsPerMinute: config.get('hostRequestsPerMinute'),
+      minDelay: config.get('hostMinDelay')
+    }, config.get('hostLimits'), logger);
+
+    // 正在生成中的季海报，避免同一季的多集并发时重复生成
+    this.pendingSeasonArtwork = new Set();
+  }
+
+  /**
+   * 获取全局图片配置
+   */
+  getArtworkDefaults() {
+    return {
+      artworkTypes: this.config.get('artworkTypes'),
+      artworkOverrides: this.config.get('artworkOverrides'),
+      imageProfile: this.config.get('imageProfile'),
+      imageProfiles: this.config.get('imageProfiles')
+    };
+  }
+
+  /**
+   * 获取所有可选的图片输出配置（内置和自定义）及默认配置名称
+   */
+  getImageProfiles() {
+    return {
+      defaultProfile: this.config.get('imageProfile'),
+      profiles: getImageProfiles(this.config.get('imageProfiles'))
+    };
+  }
+
+  /**
+   * 获取所有可选的叠加模板（内置和自定义）及默认模板名称
+   */
+  getOverlayTemplates() {
+    return {
+      defaultTemplate: this.config.get('overlayTemplate'),
+      templates: getOverlayTemplates(this.config.get('overlayTemplates'))
+    };
+  }
+
+  /**
+   * 获取本批次的叠加模板：批次未设置（或为空字符串）时使用全局默认模板，false 表示不叠加
+   */
+  getOverlayTemplate(options = {}) {
+    const selector = options.overlay === undefined || options.overlay === ''
+      ? this.config.get('overlayTemplate')
+      : options.overlay;
+    return resolveOverlayTemplate(selector, this.config.get('overlayTemplates'));
+  }
+
+  /**
+   * 合并截图配置：批次配置优先，未设置的项使用全局默认值
+   */
+  getCaptureOptions(options = {}) {
+    const captureOptions = {};
+    for (const key of ['captureMode', 'capturePercent', 'captureOffset', 'excludeStart', 'excludeEnd']) {
+      const value = options[key];
+      captureOptions[key] = value !== undefined && value !== '' ? value : this.config.get(key);
+    }
+    return captureOptions;
+  }
+
+  /**
+   * 识别 .strm 文件是电影还是剧集
+   * 批次配置的 mediaType / tvRules 优先，识别规则按类别覆盖全局配置
+   */
+  classifyFile(strmFile, options = {}) {
+    return classifyMedia(strmFile, {
+      rootDir: options.strmDir,
+      mediaType: options.mediaType || this.config.get('mediaType'),
+      rules: { ...this.config.get('tvRules'), ...options.tvRules }
+    });
   }
 
   /**
@@ -38,46 +176,82 @@ class VideoService {
   }
 
   /**
-   * 获取视频时长（带缓存）
+   * 运行访问视频链接的外部程序，受按主机限流约束
+   * connections 为程序同时打开的连接数；输出表明被限流（429/503）时暂停访问该主机
+   */
+  async runRemote(url, command, args, options, connections = 1) {
+    try {
+      return await this.hostLimiter.run(url, () => runProcess(command, args, options), {
+        signal: options.signal,
+        connections
+      });
+    } catch (err) {
+      if (isThrottledOutput(err.stderr)) {
+        this.hostLimiter.throttle(url);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * 运行完整 ffprobe，返回解析后的 JSON
    */
-  async getVideoDuration(videoUrl, baseName) {
-    const cacheKey = `duration:${videoUrl}`;
+  async runProbe(input, signal = null) {
+    const { stdout } = await this.runRemote(input, 'ffprobe', [
+      '-v', 'error',
+      '-show_format',
+      '-show_streams',
+      '-of', 'json',
+      '-i', input
+    ], { timeout: this.ffprobeTimeout, signal });
+
+    return JSON.parse(stdout);
+  }
+
+  /**
+   * 获取媒体信息（时长、视频/音频/字幕流，带缓存）
+   * 缓存以 .strm 中的原始链接为键，探测时访问 sourceUrl（解析后的最终地址）
+   * 直接探测失败时下载视频开头部分再探测
+   * 时长同时按旧版本的键（duration:链接）缓存：只有旧版本缓存的时长（数字，没有时间戳）时仍然探测，
+   * 探测成功后改写为带时间戳的记录（过期后随缓存清理），探测失败时使用缓存的时长（没有流信息）
+   */
+  async getMediaInfo(videoUrl, baseName, signal = null, sourceUrl = videoUrl) {
+    const cacheKey = `probe:${videoUrl}`;
+    const durationKey = `duration:${videoUrl}`;
 
     // 检查缓存
     if (this.cacheService.has(cacheKey)) {
-      this.logger.debug('从缓存获取视频时长', { url: videoUrl });
+      this.logger.debug('从缓存获取媒体信息', { url: videoUrl });
       return this.cacheService.get(cacheKey);
     }
 
-    let duration;
+    let probe;
     let tmpVideo = null;
 
     try {
-      // 优化的 ffprobe 命令
-      const { stdout } = await execPromise(
-        `ffprobe -v error -select_streams v:0 -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoUrl}"`,
-        { timeout: this.ffprobeTimeout }
-      );
-      duration = parseFloat(stdout.trim());
-      this.logger.debug('直接获取视频时长成功', { duration });
+      probe = await this.runProbe(sourceUrl, signal);
+      this.logger.debug('直接获取媒体信息成功', { url: videoUrl });
     } catch (err) {
+      if (signal && signal.aborted) throw err;
+
       // 如果直接获取失败，尝试下载部分视频
-      tmpVideo = path.join(this.tmpDir, `${baseName}_sample.mp4`);
+      // 同名文件（如不同季的 E01.strm）可能同时处理，临时文件名加随机后缀
+      tmpVideo = path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_sample.mp4`);
 
       try {
         this.logger.debug('下载视频样本', { url: videoUrl });
 
-        await execPromise(
-          `curl -L --max-time ${Math.floor(this.curlTimeout / 1000)} -r 0-5242879 -o "${tmpVideo}" "${videoUrl}"`,
-          { timeout: this.curlTimeout + 5000 }
-        );
+        await this.runRemote(sourceUrl, 'curl', [
+          '-L',
+          '--max-time', String(Math.floor(this.curlTimeout / 1000)),
+          '-r', '0-5242879',
+          '-o', tmpVideo,
+          '--url', sourceUrl
+        ], { timeout: this.curlTimeout + 5000, signal });
 
-        const { stdout } = await execPromise(
-          `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${tmpVideo}"`
-        );
-        duration = parseFloat(stdout.trim());
+        probe = await this.runProbe(tmpVideo, signal);
 
-        this.logger.debug('从样本获取视频时长成功', { duration });
+        this.logger.debug('从样本获取媒体信息成功', { url: videoUrl });
 
         // 清理临时文件
         await fs.unlink(tmpVideo).catch(() => {});
@@ -85,79 +259,770 @@ class VideoService {
         if (tmpVideo) {
           await fs.unlink(tmpVideo).catch(() => {});
         }
-        throw new Error('无法下载视频样本');
+        if (signal && signal.aborted) throw curlErr;
+
+        const cached = this.cacheService.get(durationKey);
+        const cachedDuration = typeof cached === 'number' ? cached : cached && cached.duration;
+        if (cachedDuration) {
+          this.logger.warn('获取媒体信息失败，使用缓存的视频时长', { url: videoUrl, error: curlErr.message });
+          return summarizeProbe({ format: { duration: String(cachedDuration) } });
+        }
+
+        // 保留原始错误（超时、服务器错误等），失败分类和自动重试依赖它
+        // curl 不检查状态码，服务器错误时下载的样本无法解析，此时按直接读取的错误分类
+        const error = new Error(`无法下载视频样本：${curlErr.message}`);
+        error.cause = getFailureCategory(curlErr) === LINK_FAILURES.UNKNOWN ? err : curlErr;
+        throw error;
       }
     }
 
-    if (!duration || isNaN(duration)) {
+    const mediaInfo = summarizeProbe(probe);
+    if (!mediaInfo.duration) {
       throw new Error('无法获取视频时长');
     }
 
     // 保存到缓存
-    this.cacheService.set(cacheKey, duration);
-    this.logger.debug('视频时长已缓存', { url: videoUrl, duration });
+    this.cacheService.set(cacheKey, { ...mediaInfo, timestamp: Date.now() });
+    this.cacheService.set(durationKey, { duration: mediaInfo.duration, timestamp: Date.now() });
+    this.logger.debug('媒体信息已缓存', { url: videoUrl });
 
-    return duration;
+    return mediaInfo;
   }
 
   /**
-   * 生成视频封面
+   * 截取指定时间点的低分辨率灰度帧，用于评分
+   */
+  async grabSampleFrame(videoUrl, time, signal = null) {
+    const { stdout } = await this.runRemote(videoUrl, 'ffmpeg', [
+      '-loglevel', 'error',
+      '-ss', String(time),
+      '-i', videoUrl,
+      '-frames:v', '1',
+      '-vf', `scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT},format=gray`,
+      '-f', 'rawvideo',
+      '-pix_fmt', 'gray',
+      'pipe:1'
+    ], { timeout: this.ffmpegTimeout, signal, encoding: 'buffer' });
+
+    return stdout;
+  }
+
+  /**
+   * 在截图窗口的 10%-90% 区间内均匀取 count 个候选时间点
+   */
+  getEvenCandidates(window, count) {
+    const length = window.end - window.start;
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(window.start + length * (0.1 + 0.8 * (i + 0.5) / count));
+    }
+    return times;
+  }
+
+  /**
+   * 检测场景切换点
+   * 在若干个分析窗口内运行 scene 滤镜，返回切换后 0.5 秒的时间点
+   */
+  async detectSceneChanges(videoUrl, window, count, signal = null) {
+    const windowLength = Math.min(20, (window.end - window.start) / (count * 2));
+    const times = [];
+
+    for (const center of this.getEvenCandidates(window, count)) {
+      const start = Math.max(window.start, center - windowLength / 2);
+
+      try {
+        const { stderr } = await this.runRemote(videoUrl, 'ffmpeg', [
+          '-hide_banner',
+          '-ss', String(start),
+          '-t', String(windowLength),
+          '-i', videoUrl,
+          '-an',
+          '-vf', `scale=${SAMPLE_WIDTH}:-2,select='gt(scene,${this.sceneThreshold})',showinfo`,
+          '-f', 'null',
+          '-'
+        ], { timeout: this.ffmpegTimeout, signal });
+
+        // 输入端 -ss 会将时间戳重置为从窗口起点开始
+        const match = stderr.match(/pts_time:([\d.]+)/);
+        if (match) {
+          times.push(Math.min(window.end - 0.5, start + parseFloat(match[1]) + 0.5));
+        }
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        this.logger.debug('场景检测失败', { url: videoUrl, start, error: err.message });
+      }
+    }
+
+    return times;
+  }
+
+  /**
+   * 按策略选择封面帧
+   * middle：按截图位置配置取单帧；best：在截图窗口内均匀采样 N 帧取最优；scene：优先评估场景切换后的帧
+   */
+  async selectFrame(videoUrl, duration, options = {}, signal = null) {
+    const strategy = options.frameStrategy || this.frameStrategy;
+    const count = parseInt(options.frameCandidates) || this.frameCandidates;
+    const captureOptions = this.getCaptureOptions(options);
+    const middle = { strategy: 'middle', time: getCaptureTime(duration, captureOptions), score: null };
+
+    if (strategy === 'middle') {
+      return middle;
+    }
+
+    const window = getCaptureWindow(duration, captureOptions);
+
+    let candidates = [];
+    if (strategy === 'scene') {
+      candidates = await this.detectSceneChanges(videoUrl, window, count, signal);
+    }
+    if (candidates.length === 0) {
+      candidates = this.getEvenCandidates(window, count);
+    }
+
+    let best = null;
+    for (const time of candidates) {
+      try {
+        const pixels = await this.grabSampleFrame(videoUrl, time, signal);
+        const metrics = scoreFrame(pixels);
+
+        this.logger.debug('候选帧评分', { url: videoUrl, time, ...metrics });
+
+        if (!best || metrics.score > best.score) {
+          best = { strategy, time, score: metrics.score, metrics };
+        }
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        this.logger.debug('候选帧截取失败', { url: videoUrl, time, error: err.message });
+      }
+    }
+
+    return best || middle;
+  }
+
+  /**
+   * 截取指定时间点的原始分辨率帧，保存为临时 PNG 作为各类图片的母版
+   */
+  async captureFrame(videoUrl, time, baseName, signal = null) {
+    const framePath = path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_frame.png`);
+
+    try {
+      await this.runRemote(videoUrl, 'ffmpeg', [
+        '-loglevel', 'error',
+        '-ss', String(time),
+        '-i', videoUrl,
+        '-frames:v', '1',
+        '-y', framePath
+      ], { timeout: this.ffmpegTimeout, signal });
+    } catch (err) {
+      await fs.unlink(framePath).catch(() => {});
+      throw err;
+    }
+
+    return framePath;
+  }
+
+  /**
+   * 获取本地图片尺寸
    */
-  async generateThumbnail(videoUrl, outputPath, duration) {
-    const midTime = duration / 2;
+  async getImageSize(imagePath, signal = null) {
+    const { stdout } = await runProcess('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height',
+      '-of', 'csv=p=0:s=x',
+      '-i', imagePath
+    ], { timeout: this.ffprobeTimeout, signal });
 
+    const [width, height] = stdout.trim().split('x').map(Number);
+    if (!width || !height) {
+      throw new Error('无法读取图片尺寸');
+    }
+    return { width, height };
+  }
+
+  /**
+   * 计算裁剪起点：居中裁剪固定为 0.5，智能裁剪按画面细节分布定位
+   */
+  async getCropOffset(framePath, frameSize, artwork, signal = null) {
+    if (!artwork.aspect || artwork.crop !== 'smart') {
+      return 0.5;
+    }
+
+    const sourceAspect = frameSize.width / frameSize.height;
+    const axis = sourceAspect > artwork.aspect ? 'x' : 'y';
+    const cropFraction = axis === 'x'
+      ? artwork.aspect / sourceAspect
+      : sourceAspect / artwork.aspect;
+
+    const pixels = await this.grabSampleFrame(framePath, 0, signal);
+    return findSmartCropOffset(pixels, SAMPLE_WIDTH, SAMPLE_HEIGHT, cropFraction, axis);
+  }
+
+  /**
+   * 解码校验生成的图片：编码须与输出格式一致，能完整解码出一帧，且尺寸与预期相同
+   */
+  async verifyImage(imagePath, format, size, signal = null) {
+    const { stdout, stderr } = await runProcess('ffprobe', [
+      '-v', 'error',
+      '-count_frames',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=codec_name,width,height,nb_read_frames',
+      '-of', 'json',
+      '-i', imagePath
+    ], { timeout: this.ffprobeTimeout, signal });
+
+    const stream = (JSON.parse(stdout).streams || [])[0];
+    if (!stream || stderr.trim()) {
+      throw new Error(`生成的图片无法解码，可能损坏${stderr.trim() ? `：${stderr.trim().split('\n').pop()}` : ''}`);
+    }
+    if (stream.codec_name !== IMAGE_FORMATS[format].codec) {
+      throw new Error(`生成的图片格式不正确：${stream.codec_name}（应为 ${format}）`);
+    }
+    if (!(parseInt(stream.nb_read_frames) >= 1)) {
+      throw new Error('生成的图片无法解码，可能损坏');
+    }
+    if (stream.width !== size.width || stream.height !== size.height) {
+      throw new Error(`生成的图片尺寸不正确：${stream.width}x${stream.height}（应为 ${size.width}x${size.height}）`);
+    }
+  }
+
+  /**
+   * 从母版帧生成单张图片
+   * 先写入同目录下的临时文件，校验通过后再重命名，取消或失败时不会留下残缺图片
+   * 输出配置设置了文件大小上限时，超出则降低质量（之后缩小尺寸）重新编码；
+   * 多次后仍超出时保留最后一次的结果并记录警告
+   * overlay 为 { template, textFiles } 时，在模板适用的图片类型上叠加文字
+   */
+  async renderArtwork(framePath, frameSize, artwork, outputPath, signal = null, overlay = null) {
+    const partialPath = this.getPartialPath(outputPath);
+    const profile = artwork.image;
+    const applyOverlay = overlay && overlay.template.types.includes(artwork.type);
+
+    try {
+      const offset = await this.getCropOffset(framePath, frameSize, artwork, signal);
+
+      let stats = null;
+      let quality = null;
+      let size = null;
+      for (let attempt = 0; attempt < (profile.maxBytes ? MAX_ENCODE_ATTEMPTS : 1); attempt++) {
+        const encoding = getEncodeAttempt(profile, attempt);
+        quality = encoding.quality;
+        size = getOutputSize(artwork, profile, frameSize.width, frameSize.height, encoding.scale);
+
+        await runProcess('ffmpeg', [
+          '-loglevel', 'error',
+          '-i', framePath,
+          '-frames:v', '1',
+          '-vf', [
+            buildArtworkFilter(artwork, size, frameSize.width, frameSize.height, offset),
+            ...(applyOverlay ? buildOverlayFilters(overlay.template, overlay.textFiles, size, this.fontFile) : [])
+          ].join(','),
+          ...buildEncoderArgs(profile.format, quality),
+          '-y', partialPath
+        ], { timeout: this.ffmpegTimeout, signal });
+
+        await this.verifyImage(partialPath, profile.format, size, signal);
+
+        stats = await fs.stat(partialPath);
+        if (!profile.maxBytes || stats.size <= profile.maxBytes) break;
+      }
+
+      if (profile.maxBytes && stats.size > profile.maxBytes) {
+        this.logger.warn('图片超过文件大小上限', {
+          type: artwork.type,
+          output: outputPath,
+          size: stats.size,
+          maxBytes: profile.maxBytes
+        });
+      }
+
+      await fs.rename(partialPath, outputPath);
+
+      this.logger.debug('图片生成成功', {
+        type: artwork.type,
+        output: outputPath,
+        format: profile.format,
+        quality,
+        dimensions: `${size.width}x${size.height}`,
+        size: stats.size
+      });
+    } catch (err) {
+      await fs.unlink(partialPath).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * 写入叠加文字文件（drawtext 从文件读取文字），返回 内容 → 文件路径，没有文字的内容不写入
+   */
+  async writeOverlayTexts(workDir, texts) {
+    await fs.mkdir(workDir, { recursive: true });
+
+    const textFiles = {};
+    for (const [key, text] of Object.entries(texts)) {
+      if (!text) continue;
+      textFiles[key] = path.join(workDir, `${key}.txt`);
+      await fs.writeFile(textFiles[key], text);
+    }
+    return textFiles;
+  }
+
+  /**
+   * 生成视频封面
+   * 在指定时间点截取一帧，再按各图片类型的比例、尺寸输出
+   * overlay 为 { template, texts } 时按模板叠加文字
+   */
+  async generateThumbnail(videoUrl, outputs, time, baseName, signal = null, overlay = null) {
     this.logger.debug('生成封面', {
       url: videoUrl,
-      output: outputPath,
-      time: midTime
+      outputs: outputs.map(o => o.path),
+      time
+    });
+
+    let framePath = null;
+    const overlayDir = overlay
+      ? path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_overlay`)
+      : null;
+
+    try {
+      framePath = await this.captureFrame(videoUrl, time, baseName, signal);
+      const frameSize = await this.getImageSize(framePath, signal);
+      const overlayFiles = overlay
+        ? { template: overlay.template, textFiles: await this.writeOverlayTexts(overlayDir, overlay.texts) }
+        : null;
+
+      for (const { artwork, path: outputPath } of outputs) {
+        await this.renderArtwork(framePath, frameSize, artwork, outputPath, signal, overlayFiles);
+      }
+
+      return true;
+    } catch (err) {
+      if (!(signal && signal.aborted)) {
+        this.logger.error('封面生成失败', {
+          error: err.message,
+          outputs: outputs.map(o => o.path)
+        });
+      }
+      throw err;
+    } finally {
+      if (framePath) {
+        await fs.unlink(framePath).catch(() => {});
+      }
+      if (overlayDir) {
+        await fs.rm(overlayDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * 预览叠加效果：按处理配置选帧，生成一张指定类型的图片（不检查刮削图片，模板总是生效）
+   * 返回临时文件路径，调用方使用后需删除
+   */
+  async previewOverlay(strmFile, type, options = {}, signal = null) {
+    const template = this.getOverlayTemplate(options);
+    if (!template) {
+      throw new Error('未选择叠加模板');
+    }
+
+    const baseName = path.basename(strmFile, '.strm');
+    const videoUrl = (await fs.readFile(strmFile, 'utf-8')).trim();
+    this.validateVideoUrl(videoUrl);
+
+    const sourceUrl = await this.resolveVideoUrl(videoUrl, signal);
+    const mediaInfo = await this.getMediaInfo(videoUrl, baseName, signal, sourceUrl);
+    const frame = await this.selectFrame(sourceUrl, mediaInfo.duration, options, signal);
+
+    const [{ artwork }] = this.getArtworkOutputs(strmFile, { ...options, artworkTypes: [type] });
+    const previewPath = path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_overlay.${artwork.ext}`);
+
+    await this.generateThumbnail(sourceUrl, [{ artwork, path: previewPath }], frame.time, baseName, signal, {
+      template: { ...template, types: [type] },
+      texts: getOverlayTexts(baseName, this.classifyFile(strmFile, options), mediaInfo)
     });
 
+    this.logger.info('叠加效果预览已生成', { file: strmFile, type, time: frame.time });
+    return previewPath;
+  }
+
+  /**
+   * 是否跳过叠加：模板设置了 onlyUnscraped，且已有 NFO 中有刮削器写入的图片
+   */
+  async hasScrapedArtwork(strmFile, outputs) {
+    const existing = await fs.readFile(strmFile.replace('.strm', '.nfo'), 'utf-8').catch(err => {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    });
+    const ownNames = this.getNfoArtworks(strmFile, outputs).map(o => o.name);
+    return existing !== null && hasScrapedArtwork(existing, path.basename(strmFile, '.strm'), ownNames);
+  }
+
+  /**
+   * NFO 中引用图片使用相对 NFO 所在目录的路径（设置了输出目录时图片不在 .strm 同级目录），分隔符统一为 /
+   */
+  getNfoArtworks(strmFile, outputs) {
+    const nfoDir = path.dirname(strmFile);
+    return outputs.map(output => ({
+      ...output,
+      name: path.relative(nfoDir, output.path).split(path.sep).join('/')
+    }));
+  }
+
+  /**
+   * 生成拖动预览
+   * 先按间隔一次性抽取所有帧，再拼接为雪碧图并生成 WebVTT，需要时把同一批帧打包为 BIF
+   * 雪碧图位于 .vtt 同名目录中，BIF 命名为 <名称>-<宽度>-<间隔>.bif
+   */
+  async generateTrickplay(videoUrl, output, duration, baseName, signal = null) {
+    const { artwork, path: vttPath } = output;
+    const outputDir = path.dirname(vttPath);
+    const spriteDirName = path.basename(vttPath, path.extname(vttPath));
+    const spriteDir = path.join(outputDir, spriteDirName);
+    const partialSpriteDir = path.join(outputDir, `.${spriteDirName}.partial`);
+    const framesDir = path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_trickplay`);
+
+    try {
+      await fs.mkdir(framesDir, { recursive: true });
+
+      await this.runRemote(videoUrl, 'ffmpeg', [
+        '-loglevel', 'error',
+        ...(artwork.keyframesOnly ? ['-skip_frame', 'nokey'] : []),
+        '-i', videoUrl,
+        '-an',
+        '-sn',
+        '-vf', `fps=1/${artwork.interval},scale=${artwork.width}:-2`,
+        '-q:v', '5',
+        path.join(framesDir, '%05d.jpg')
+      ], { timeout: this.trickplayTimeout, signal });
+
+      const frameNames = (await fs.readdir(framesDir)).filter(name => name.endsWith('.jpg')).sort();
+      if (frameNames.length === 0) {
+        throw new Error('未能抽取到拖动预览帧');
+      }
+
+      const tileSize = await this.getImageSize(path.join(framesDir, frameNames[0]), signal);
+
+      await fs.rm(partialSpriteDir, { recursive: true, force: true });
+      await fs.mkdir(partialSpriteDir);
+      await runProcess('ffmpeg', [
+        '-loglevel', 'error',
+        '-framerate', '1',
+        '-i', path.join(framesDir, '%05d.jpg'),
+        '-vf', `tile=${artwork.columns}x${artwork.rows}`,
+        '-q:v', '3',
+        path.join(partialSpriteDir, 'sprite-%03d.jpg')
+      ], { timeout: this.ffmpegTimeout, signal });
+
+      const vtt = buildWebVtt({
+        frameCount: frameNames.length,
+        duration,
+        interval: artwork.interval,
+        columns: artwork.columns,
+        rows: artwork.rows,
+        tileWidth: tileSize.width,
+        tileHeight: tileSize.height,
+        spriteDir: spriteDirName
+      });
+
+      // 替换旧的雪碧图目录后再写入 .vtt
+      await fs.rm(spriteDir, { recursive: true, force: true });
+      await fs.rename(partialSpriteDir, spriteDir);
+      await writeFileAtomic(vttPath, vtt);
+
+      if (artwork.bif) {
+        const frames = await Promise.all(frameNames.map(name => fs.readFile(path.join(framesDir, name))));
+        const bifPath = path.join(outputDir, `${baseName}-${artwork.width}-${artwork.interval}.bif`);
+        await writeFileAtomic(bifPath, buildBif(frames, artwork.interval));
+      }
+
+      this.logger.debug('拖动预览生成成功', {
+        output: vttPath,
+        frames: frameNames.length,
+        sheets: Math.ceil(frameNames.length / (artwork.columns * artwork.rows))
+      });
+    } catch (err) {
+      await fs.rm(partialSpriteDir, { recursive: true, force: true }).catch(() => {});
+      throw err;
+    } finally {
+      await fs.rm(framesDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * 生成动态预览
+   * 在截图窗口内均匀截取若干片段拼接，duration 来自 getMediaInfo 的缓存
+   */
+  async generateAnimatedPreview(videoUrl, output, duration, captureOptions, signal = null) {
+    const { artwork, path: outputPath } = output;
+    const partialPath = this.getPartialPath(outputPath);
+    const window = getCaptureWindow(duration, captureOptions);
+    const plan = getPreviewSegments(window, artwork.segments, artwork.segmentLength);
+
     try {
-      await execPromise(
-        `ffmpeg -loglevel error -ss ${midTime} -i "${videoUrl}" -vframes 1 -q:v 2 -vf "scale='min(1920,iw)':'min(1080,ih)':force_original_aspect_ratio=decrease" "${outputPath}" -y`,
-        { timeout: this.ffmpegTimeout }
-      );
+      // 每个片段都需要单独定位（各占一个连接），超时按普通截图的两倍计算
+      await this.runRemote(videoUrl, 'ffmpeg', buildPreviewArgs(videoUrl, plan, artwork, partialPath), {
+        timeout: this.ffmpegTimeout * 2,
+        signal
+      }, plan.starts.length);
 
-      // 验证封面是否生成成功
-      const stats = await fs.stat(outputPath);
-      if (stats.size < 1000) {
-        throw new Error('生成的封面文件过小，可能损坏');
+      const stats = await fs.stat(partialPath);
+      if (stats.size === 0) {
+        throw new Error('生成的动态预览为空');
       }
 
-      this.logger.debug('封面生成成功', {
+      await fs.rename(partialPath, outputPath);
+
+      this.logger.debug('动态预览生成成功', {
         output: outputPath,
+        segments: plan.starts.length,
         size: stats.size
       });
-
-      return true;
     } catch (err) {
-      this.logger.error('封面生成失败', {
-        error: err.message,
-        output: outputPath
+      await fs.unlink(partialPath).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * 生成联系表
+   * 逐格截取并标注时间戳，拼接成宫格后在顶部加上文件名、时长、分辨率和编码信息
+   */
+  async generateContactSheet(videoUrl, output, duration, mediaInfo, baseName, signal = null) {
+    const { artwork, path: outputPath } = output;
+    const partialPath = this.getPartialPath(outputPath);
+    const workDir = path.join(this.tmpDir, `${baseName}_${crypto.randomBytes(4).toString('hex')}_contactsheet`);
+    const fontSize = Math.max(12, Math.round(artwork.width / 16));
+
+    try {
+      await fs.mkdir(workDir, { recursive: true });
+
+      const times = getContactSheetTimes(duration, artwork.columns * artwork.rows);
+      for (let i = 0; i < times.length; i++) {
+        const labelFile = path.join(workDir, `label_${i}.txt`);
+        await fs.writeFile(labelFile, formatTimestamp(times[i]));
+
+        const label = buildDrawText(labelFile, {
+          x: 'w-tw-8',
+          y: 'h-th-8',
+          fontSize,
+          fontFile: this.fontFile,
+          box: true
+        });
+
+        await this.runRemote(videoUrl, 'ffmpeg', [
+          '-loglevel', 'error',
+          '-ss', String(times[i]),
+          '-i', videoUrl,
+          '-frames:v', '1',
+          '-vf', `scale=${artwork.width}:-2,setsar=1,${label}`,
+          '-q:v', '3',
+          '-y', path.join(workDir, `tile_${String(i + 1).padStart(3, '0')}.jpg`)
+        ], { timeout: this.ffmpegTimeout, signal });
+      }
+
+      const headerFiles = [];
+      const headerLines = buildHeaderLines(baseName, duration, mediaInfo);
+      for (let i = 0; i < headerLines.length; i++) {
+        const headerFile = path.join(workDir, `header_${i}.txt`);
+        await fs.writeFile(headerFile, headerLines[i]);
+        headerFiles.push(headerFile);
+      }
+
+      const header = headerFiles.map((file, i) => buildDrawText(file, {
+        x: 12,
+        y: 10 + i * (HEADER_FONT_SIZE + 12),
+        fontSize: HEADER_FONT_SIZE,
+        fontFile: this.fontFile
+      }));
+
+      await runProcess('ffmpeg', [
+        '-loglevel', 'error',
+        '-framerate', '1',
+        '-i', path.join(workDir, 'tile_%03d.jpg'),
+        '-frames:v', '1',
+        '-vf', [
+          `tile=${artwork.columns}x${artwork.rows}:margin=4:padding=4:color=0x202020`,
+          `pad=iw:ih+${HEADER_HEIGHT}:0:${HEADER_HEIGHT}:color=0x202020`,
+          ...header
+        ].join(','),
+        '-q:v', '3',
+        '-y', partialPath
+      ], { timeout: this.ffmpegTimeout, signal });
+
+      const stats = await fs.stat(partialPath);
+      if (stats.size === 0) {
+        throw new Error('生成的联系表为空');
+      }
+
+      await fs.rename(partialPath, outputPath);
+
+      this.logger.debug('联系表生成成功', {
+        output: outputPath,
+        tiles: times.length,
+        size: stats.size
       });
+    } catch (err) {
+      await fs.unlink(partialPath).catch(() => {});
       throw err;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * 生成不依赖封面母版帧的输出（按 artwork.kind 分派）
+   */
+  async generateMediaArtwork(videoUrl, output, context, signal = null) {
+    switch (output.artwork.kind) {
+      case 'trickplay':
+        return this.generateTrickplay(videoUrl, output, context.duration, context.baseName, signal);
+      case 'preview':
+        return this.generateAnimatedPreview(videoUrl, output, context.duration, context.captureOptions, signal);
+      case 'contactsheet':
+        return this.generateContactSheet(videoUrl, output, context.duration, context.mediaInfo, context.baseName, signal);
+      default:
+        throw new Error(`未知的图片类型: ${output.artwork.type}`);
+    }
+  }
+
+  /**
+   * 获取输出布局配置：批次配置优先，未设置的项使用全局默认值
+   */
+  getOutputOptions(options = {}) {
+    return {
+      outputDir: options.outputDir || '',
+      strmDir: options.strmDir,
+      outputLayout: options.outputLayout || this.config.get('outputLayout'),
+      outputTemplate: options.outputTemplate || this.config.get('outputTemplate')
+    };
+  }
+
+  /**
+   * 获取 .strm 文件本批次要生成的各类图片及其输出路径
+   */
+  getArtworkOutputs(strmFile, options = {}) {
+    const outputOptions = this.getOutputOptions(options);
+
+    return resolveArtworkTypes(options, this.getArtworkDefaults()).map(artwork => {
+      const outputPath = getOutputPath(strmFile, artwork, outputOptions);
+      return { artwork, name: path.basename(outputPath), path: outputPath };
+    });
+  }
+
+  /**
+   * 获取 .strm 文件某一图片类型的输出路径
+   */
+  getArtworkPath(strmFile, type, options = {}) {
+    return this.getArtworkOutputs(strmFile, { ...options, artworkTypes: [type] })[0].path;
+  }
+
+  /**
+   * 检查一批文件的输出路径冲突：同一个图片路径对应多个 .strm 文件（批次内的文件，
+   * 或处理索引中仍然存在的其他文件），或命名模板使同一文件的不同图片类型写到同一路径
+   * 返回 [{ path, files, types }]，files 中第一个为保留的文件（已处理过的文件优先，其次按批次顺序）
+   */
+  async findOutputCollisions(files, options = {}) {
+    const claims = new Map();
+    for (const file of files) {
+      for (const output of this.getArtworkOutputs(file, options)) {
+        if (!claims.has(output.path)) claims.set(output.path, []);
+        claims.get(output.path).push({ file, type: output.artwork.type });
+      }
+    }
+
+    const owners = this.indexService.getOutputOwners();
+    const collisions = [];
+
+    for (const [outputPath, entries] of claims) {
+      const claimants = Array.from(new Set(entries.map(e => e.file)));
+      const owner = owners.get(outputPath);
+
+      if (owner && claimants.includes(owner)) {
+        claimants.splice(claimants.indexOf(owner), 1);
+        claimants.unshift(owner);
+      } else if (owner && await fs.access(owner).then(() => true, () => false)) {
+        claimants.unshift(owner);
+      }
+
+      if (claimants.length > 1 || entries.length > 1) {
+        collisions.push({
+          path: outputPath,
+          files: claimants,
+          types: Array.from(new Set(entries.map(e => e.type)))
+        });
+      }
     }
+
+    return collisions;
+  }
+
+  /**
+   * 扫描目录并检查输出路径冲突
+   */
+  async checkOutputCollisions(directory, options = {}) {
+    const files = await this.scanStrmFiles(directory);
+    const collisions = await this.findOutputCollisions(files, { ...options, strmDir: directory });
+
+    this.logger.info('输出路径检查完成', { directory, files: files.length, collisions: collisions.length });
+    return { files: files.length, collisions };
+  }
+
+  /**
+   * 获取输出文件对应的临时文件路径（保留扩展名，供 ffmpeg 识别格式）
+   */
+  getPartialPath(outputPath) {
+    const ext = path.extname(outputPath);
+    const base = path.basename(outputPath, ext);
+    return path.join(path.dirname(outputPath), `.${base}.partial${ext}`);
   }
 
   /**
    * 生成 NFO 文件
+   * artworks 为本次涉及的全部图片（含已存在而跳过生成的），mediaInfo 用于生成 streamdetails
+   * media 为识别结果，剧集写入 <episodedetails>，其余写入 <movie>
+   * nfoMode 为 merge 时保留已有 NFO 中的其他字段，只更新本工具负责的部分
+   * 返回 { path, merged }
    */
-  async generateNFO(strmFile, videoUrl, thumbName) {
+  async generateNFO(strmFile, videoUrl, artworks, mediaInfo = null, media = null, nfoMode = 'merge') {
     const baseName = path.basename(strmFile, '.strm');
     const nfoFile = strmFile.replace('.strm', '.nfo');
     const dateNow = new Date().toISOString().split('T')[0];
 
-    const nfoContent = `<movie>
-  <title>${baseName}</title>
-  <streamUrl>${videoUrl}</streamUrl>
-  <thumb>${thumbName}</thumb>
-  <dateadded>${dateNow}</dateadded>
-</movie>`;
+    const body = {
+      title: baseName,
+      streamUrl: videoUrl,
+      artworks: this.getNfoArtworks(strmFile, artworks),
+      mediaInfo,
+      dateAdded: dateNow
+    };
+
+    let nfoContent = media && media.type === 'episode'
+      ? buildEpisodeNfo({ ...body, showTitle: media.showTitle, season: media.season, episode: media.episode })
+      : buildMovieNfo(body);
 
     try {
-      await fs.writeFile(nfoFile, nfoContent);
-      this.logger.debug('NFO 文件生成成功', { path: nfoFile });
-      return nfoFile;
+      let merged = false;
+
+      if (nfoMode === 'merge') {
+        const existing = await fs.readFile(nfoFile, 'utf-8').catch(err => {
+          if (err.code === 'ENOENT') return null;
+          throw err;
+        });
+
+        if (existing !== null) {
+          const mergedContent = mergeNfo(existing, nfoContent);
+          if (mergedContent === null) {
+            this.logger.warn('已有 NFO 无法解析，将被覆盖', { path: nfoFile });
+          } else {
+            nfoContent = mergedContent;
+            merged = true;
+          }
+        }
+      }
+
+      await writeFileAtomic(nfoFile, nfoContent);
+      this.logger.debug(merged ? 'NFO 文件合并成功' : 'NFO 文件生成成功', { path: nfoFile });
+      return { path: nfoFile, merged };
     } catch (err) {
       this.logger.error('NFO 文件生成失败', {
         error: err.message,
@@ -168,24 +1033,186 @@ class VideoService {
   }
 
   /**
-   * 检查视频链接可用性
+   * 在剧集根目录生成 tvshow.nfo（已存在时不覆盖）
+   * 返回是否新建了文件
    */
-  async checkVideoUrl(videoUrl) {
+  async ensureTvShowNfo(media) {
+    const nfoFile = path.join(media.showDir, 'tvshow.nfo');
+
     try {
-      await axios.head(videoUrl, { timeout: this.httpTimeout });
+      await fs.writeFile(nfoFile, buildTvShowNfo({ title: media.showTitle }), { flag: 'wx' });
+      this.logger.debug('tvshow.nfo 生成成功', { path: nfoFile });
       return true;
     } catch (err) {
-      this.logger.warn('视频链接无法访问', { url: videoUrl });
-      return false;
+      if (err.code === 'EEXIST') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * 获取缺失的季海报输出
+   * 返回的路径会被占用，调用方处理完后需调用 releaseSeasonArtwork 释放
+   */
+  async claimSeasonArtwork(media, options = {}) {
+    if (!this.config.get('seasonArtwork')) {
+      return null;
+    }
+
+    const artwork = getSeasonArtwork(media.season, this.getArtworkDefaults(), options);
+    const outputPath = path.join(media.showDir, artwork.name);
+
+    if (this.pendingSeasonArtwork.has(outputPath)) {
+      return null;
+    }
+
+    // 先占用再检查文件，避免检查期间被其他任务重复占用
+    this.pendingSeasonArtwork.add(outputPath);
+
+    try {
+      await fs.access(outputPath);
+      this.pendingSeasonArtwork.delete(outputPath);
+      return null;
+    } catch (err) {
+      return { artwork, name: artwork.name, path: outputPath };
+    }
+  }
+
+  /**
+   * 释放季海报占用
+   */
+  releaseSeasonArtwork(output) {
+    if (output) {
+      this.pendingSeasonArtwork.delete(output.path);
+    }
+  }
+
+  /**
+   * 请求链接的一跳（不跟随重定向）
+   * 先发 HEAD，网关不支持 HEAD（403/405 等）时改用只读取 1 字节的 Range GET
+   */
+  async requestLink(url, signal = null) {
+    const options = {
+      timeout: this.httpTimeout,
+      signal,
+      maxRedirects: 0,
+      validateStatus: () => true
+    };
+
+    try {
+      let response = await this.hostLimiter.run(url, () => axios.head(url, options), { signal });
+
+      if (shouldFallbackToGet(response.status)) {
+        this.logger.debug('HEAD 请求被拒绝，改用 Range GET', { url, status: response.status });
+
+        response = await this.hostLimiter.run(url, async () => {
+          const fallback = await axios.get(url, {
+            ...options,
+            headers: { Range: 'bytes=0-0' },
+            responseType: 'stream'
+          });
+          fallback.data.destroy();
+          return fallback;
+        }, { signal });
+      }
+
+      // 主机要求限流时按 Retry-After 暂停访问
+      if (response.status === 429 || response.status === 503) {
+        this.hostLimiter.throttle(url, parseRetryAfter(response.headers['retry-after']));
+      }
+
+      return response;
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      throw new LinkCheckError(classifyRequestError(err), { cause: err });
+    }
+  }
+
+  /**
+   * 解析视频链接的最终地址
+   * 逐跳跟随网盘的重定向，结果缓存到签名过期前，期间的探测和截图直接访问最终地址
+   * 无法访问时抛出带失败分类的 LinkCheckError
+   */
+  async resolveVideoUrl(videoUrl, signal = null) {
+    const cached = this.resolvedUrls.get(videoUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.logger.debug('从缓存获取解析后的链接', { url: videoUrl });
+      return cached.url;
+    }
+
+    let url = videoUrl;
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const response = await this.requestLink(url, signal);
+
+        const location = response.headers.location;
+        if (response.status >= 300 && response.status < 400 && location) {
+          if (redirects >= MAX_REDIRECTS) {
+            throw new Error('视频链接重定向次数过多');
+          }
+          url = new URL(location, url).toString();
+          this.validateVideoUrl(url);
+          continue;
+        }
+
+        if (response.status >= 400) {
+          throw new LinkCheckError(classifyStatus(response.status), { status: response.status });
+        }
+        if (!isVideoContentType(response.headers['content-type'])) {
+          throw new LinkCheckError(LINK_FAILURES.CONTENT_TYPE);
+        }
+        break;
+      }
+    } catch (err) {
+      if (!(signal && signal.aborted)) {
+        this.logger.warn('视频链接无法访问', {
+          url: videoUrl,
+          resolved: url,
+          category: err.category,
+          error: err.cause ? err.cause.message : err.message
+        });
+      }
+      throw err;
+    }
+
+    // 签名链接缓存到过期前，其余链接使用固定缓存时间
+    const expiry = getSignedUrlExpiry(url);
+    const expiresAt = expiry ? expiry - RESOLVED_URL_MARGIN : Date.now() + this.resolvedUrlTtl;
+
+    if (expiresAt > Date.now()) {
+      if (this.resolvedUrls.size >= MAX_RESOLVED_URLS) {
+        this.pruneResolvedUrls();
+      }
+      this.resolvedUrls.set(videoUrl, { url, expiresAt });
+    }
+
+    if (url !== videoUrl) {
+      this.logger.debug('链接已解析', { url: videoUrl, resolved: url, expiresAt: new Date(expiresAt).toISOString() });
+    }
+
+    return url;
+  }
+
+  /**
+   * 清理已过期的链接解析结果
+   */
+  pruneResolvedUrls() {
+    const now = Date.now();
+    for (const [videoUrl, entry] of this.resolvedUrls) {
+      if (entry.expiresAt <= now) {
+        this.resolvedUrls.delete(videoUrl);
+      }
     }
   }
 
   /**
    * 处理单个视频文件
+   * signal 被中止时会终止正在运行的子进程，并返回 cancelled 结果
    */
-  async processVideo(strmFile, config, sendEvent = null) {
+  async processVideo(strmFile, config, sendEvent = null, signal = null) {
     const baseName = path.basename(strmFile, '.strm');
-    const dirName = path.dirname(strmFile);
+    const timer = createStageTimer();
+    let seasonOutput = null;
+    let videoUrl = null;
 
     const sendLog = (message, level = 'info') => {
       this.logger[level](message, { file: baseName });
@@ -195,59 +1222,185 @@ class VideoService {
     };
 
     try {
-      // 确定封面输出路径
-      const outputThumb = config.outputDir
-        ? path.join(config.outputDir, `${baseName}.jpg`)
-        : path.join(dirName, `${baseName}.jpg`);
+      // 确定各类图片的输出路径
+      const outputs = this.getArtworkOutputs(strmFile, config);
 
-      // 检查封面是否已存在
-      if (config.coverMode === '1') {
-        try {
-          await fs.access(outputThumb);
-          sendLog(`🟡 已存在封面，跳过：${baseName}`, 'info');
+      // 对比处理索引：未变化的文件只补充缺失的图片，链接变化的文件重新生成全部图片
+      const source = await this.indexService.inspect(strmFile);
+
+      // 仅生成缺失封面模式下，跳过已存在的图片
+      let pendingOutputs = outputs;
+      if (config.coverMode === '1' && source.status === FILE_CHANGES.CHANGED) {
+        sendLog(`🔄 链接已变化，重新生成：${baseName}`, 'info');
+      } else if (config.coverMode === '1') {
+        pendingOutputs = [];
+        for (const output of outputs) {
+          try {
+            await fs.access(output.path);
+          } catch (err) {
+            pendingOutputs.push(output);
+          }
+        }
+
+        if (pendingOutputs.length === 0) {
+          this.indexService.record(strmFile, source, outputs.map(o => o.path));
+          sendLog(`🟡 ${source.status === FILE_CHANGES.UNCHANGED ? '文件未变化' : '已存在封面'}，跳过：${baseName}`, 'info');
           return { success: true, skipped: true };
-        } catch (err) {
-          // 文件不存在，继续处理
         }
       }
 
       // 读取 .strm 文件中的视频链接
-      const videoUrl = (await fs.readFile(strmFile, 'utf-8')).trim();
+      videoUrl = (await fs.readFile(strmFile, 'utf-8')).trim();
+      this.validateVideoUrl(videoUrl);
 
       sendLog(`📹 开始处理：${baseName}`, 'info');
 
-      // 检查链接可用性
-      const isAvailable = await this.checkVideoUrl(videoUrl);
-      if (!isAvailable) {
-        throw new Error('视频链接无法访问');
+      // 识别剧集，并补充缺失的季海报
+      const media = this.classifyFile(strmFile, config);
+      if (media.type === 'episode') {
+        const episodeTag = `S${String(media.season).padStart(2, '0')}E${String(media.episode).padStart(2, '0')}`;
+        sendLog(`📺 识别为剧集：${media.showTitle} ${episodeTag}`, 'info');
+
+        if (media.showDir) {
+          seasonOutput = await this.claimSeasonArtwork(media, config);
+        }
+      }
+      const renderOutputs = seasonOutput ? [...pendingOutputs, seasonOutput] : pendingOutputs;
+
+      // 按目录结构输出时，先创建子目录
+      for (const dir of new Set(pendingOutputs.map(o => path.dirname(o.path)))) {
+        await fs.mkdir(dir, { recursive: true });
+      }
+
+      // 解析一次最终地址，之后的探测、截图都直接访问它，不再重复跟随重定向
+      const sourceUrl = await timer.measure('resolve', () => this.resolveVideoUrl(videoUrl, signal));
+
+      // 一次探测同时获取时长和流信息；已缓存时跳过探测，直接截图
+      const mediaInfo = await timer.measure('probe', () => this.getMediaInfo(videoUrl, baseName, signal, sourceUrl));
+      const { duration } = mediaInfo;
+
+      // 从封面母版帧生成的图片，以及拖动预览等单独生成的输出
+      const frameOutputs = renderOutputs.filter(o => !o.artwork.kind);
+      const mediaOutputs = renderOutputs.filter(o => o.artwork.kind);
+
+      // 叠加模板：已有刮削图片的文件按模板设置不叠加
+      let overlay = null;
+      const overlayTemplate = frameOutputs.length > 0 ? this.getOverlayTemplate(config) : null;
+      if (overlayTemplate) {
+        if (overlayTemplate.onlyUnscraped && await this.hasScrapedArtwork(strmFile, outputs)) {
+          sendLog(`🏷️ 已有刮削图片，不叠加文字：${baseName}`, 'info');
+        } else {
+          overlay = { template: overlayTemplate, texts: getOverlayTexts(baseName, media, mediaInfo) };
+        }
+      }
+
+      let frame = null;
+      if (frameOutputs.length > 0) {
+        // 选择封面帧
+        frame = await timer.measure('select', () => this.selectFrame(sourceUrl, duration, config, signal));
+        const frameTime = frame.time.toFixed(2);
+        if (frame.score === null) {
+          sendLog(`🎯 选帧 [${frame.strategy}]：${frameTime}s`, 'info');
+        } else {
+          sendLog(`🎯 选帧 [${frame.strategy}]：${frameTime}s，得分 ${frame.score}`, 'info');
+        }
+
+        // 生成封面
+        await timer.measure('capture', () => this.generateThumbnail(sourceUrl, frameOutputs, frame.time, baseName, signal, overlay));
       }
 
-      // 获取视频时长
-      const duration = await this.getVideoDuration(videoUrl, baseName);
+      for (const output of mediaOutputs) {
+        sendLog(`⏳ 正在生成 ${output.artwork.type}：${output.name}`, 'info');
+        await timer.measure(output.artwork.type, () => this.generateMediaArtwork(sourceUrl, output, {
+          duration,
+          mediaInfo,
+          baseName,
+          captureOptions: this.getCaptureOptions(config)
+        }, signal));
+      }
 
-      // 生成封面
-      await this.generateThumbnail(videoUrl, outputThumb, duration);
+      sendLog(`🖼️ 已生成图片：${renderOutputs.map(o => o.artwork.type).join(', ')}`, 'info');
 
       // 生成 NFO 文件
-      const thumbName = path.basename(outputThumb);
-      await this.generateNFO(strmFile, videoUrl, thumbName);
+      const nfoMode = config.nfoMode || this.config.get('nfoMode');
+      const nfo = await timer.measure('nfo', () => this.generateNFO(strmFile, videoUrl, outputs, mediaInfo, media, nfoMode));
 
-      sendLog(`📝 已生成 NFO: ${path.basename(strmFile).replace('.strm', '.nfo')}`, 'info');
+      sendLog(`📝 已${nfo.merged ? '合并' : '生成'} NFO: ${path.basename(nfo.path)}`, 'info');
+
+      if (media.type === 'episode' && media.showDir && await this.ensureTvShowNfo(media)) {
+        sendLog(`📝 已生成 tvshow.nfo：${media.showTitle}`, 'info');
+      }
+      this.indexService.record(strmFile, source, [...outputs.map(o => o.path), nfo.path]);
+
+      sendLog(`⏱️ 耗时：${formatTimings(timer.timings)}`, 'info');
       sendLog(`✅ 成功：${baseName}`, 'info');
 
-      return { success: true, file: strmFile };
+      return {
+        success: true,
+        file: strmFile,
+        frame: frame ? { strategy: frame.strategy, time: frame.time, score: frame.score } : null,
+        media: media.type,
+        artworks: renderOutputs.map(o => ({ type: o.artwork.type, path: o.path })),
+        timings: timer.timings
+      };
     } catch (error) {
+      // 解析后的地址可能已提前失效，丢弃缓存，重试时重新解析
+      if (videoUrl) {
+        this.resolvedUrls.delete(videoUrl);
+      }
+
+      if (signal && signal.aborted) {
+        sendLog(`⛔ 已取消：${baseName}`, 'warn');
+        return { success: false, cancelled: true, file: strmFile };
+      }
+
       sendLog(`❌ 失败：${baseName} - ${error.message}`, 'error');
-      return { success: false, file: strmFile, error: error.message };
+      return {
+        success: false,
+        file: strmFile,
+        error: error.message,
+        failure: getFailureCategory(error),
+        timings: timer.timings
+      };
     } finally {
-      // 清理临时文件
-      try {
-        const tmpVideo = path.join(this.tmpDir, `${baseName}_sample.mp4`);
-        await fs.unlink(tmpVideo);
-      } catch (err) {
-        // 忽略删除错误
+      // 视频样本由 getMediaInfo 自行清理
+      this.releaseSeasonArtwork(seasonOutput);
+    }
+  }
+
+  /**
+   * 校验 .strm 中的视频链接
+   * 只接受 http(s) 地址，防止以 - 开头的内容被当作命令行选项
+   */
+  validateVideoUrl(videoUrl) {
+    let parsed;
+    try {
+      parsed = new URL(videoUrl);
+    } catch (err) {
+      throw new Error('无效的视频链接');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`不支持的链接协议: ${parsed.protocol}`);
+    }
+  }
+
+  /**
+   * 递归查找目录下的 .strm 文件（不跟随符号链接）
+   */
+  async findStrmFiles(directory, files = []) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await this.findStrmFiles(fullPath, files);
+      } else if (entry.isFile() && entry.name.endsWith('.strm')) {
+        files.push(fullPath);
       }
     }
+
+    return files;
   }
 
   /**
@@ -255,8 +1408,7 @@ class VideoService {
    */
   async scanStrmFiles(directory) {
     try {
-      const { stdout } = await execPromise(`find "${directory}" -type f -name "*.strm"`);
-      const files = stdout.trim().split('\n').filter(f => f);
+      const files = (await this.findStrmFiles(directory)).sort();
 
       this.logger.info(`扫描到 ${files.length} 个 .strm 文件`, { directory });
 
@@ -270,6 +1422,55 @@ class VideoService {
     }
   }
 
+  /**
+   * 扫描 .strm 文件并与处理索引对比，统计新增、变更、未变化和已删除的文件
+   */
+  async scanChanges(directory) {
+    const files = await this.scanStrmFiles(directory);
+    const changes = await this.indexService.diff(directory, files);
+
+    const summary = {
+      new: changes.new.length,
+      changed: changes.changed.length,
+      unchanged: changes.unchanged.length,
+      orphaned: changes.orphaned.length
+    };
+    this.logger.info('处理索引对比完成', { directory, ...summary });
+
+    return { files, changes, summary };
+  }
+
+  /**
+   * 从处理索引中移除目录下已删除的 .strm 文件
+   */
+  async pruneIndex(directory) {
+    const files = await this.scanStrmFiles(directory);
+    return this.indexService.remove(this.indexService.getOrphans(directory, files));
+  }
+
+  /**
+   * 扫描并预览每个 .strm 文件的识别结果
+   */
+  async previewClassification(directory, options = {}) {
+    const files = await this.scanStrmFiles(directory);
+    const items = files.map(file => ({
+      path: file,
+      ...this.classifyFile(file, { ...options, strmDir: directory })
+    }));
+
+    const shows = new Set(items.filter(i => i.type === 'episode').map(i => i.showDir || i.showTitle));
+
+    return {
+      files: items,
+      summary: {
+        movies: items.filter(i => i.type === 'movie').length,
+        episodes: items.filter(i => i.type === 'episode').length,
+        unknown: items.filter(i => i.type === 'unknown').length,
+        shows: shows.size
+      }
+    };
+  }
+
   /**
    * 清理临时目录
    */
@@ -280,7 +1481,7 @@ class VideoService {
 
       for (const file of files) {
         try {
-          await fs.unlink(path.join(this.tmpDir, file));
+          await fs.rm(path.join(this.tmpDir, file), { recursive: true });
           cleaned++;
         } catch (err) {
           // 忽略
@@ -0,0 +1,359 @@
+/**
+ * 目录监控服务模块
+ * 监控媒体库目录，合并短时间内连续出现的 .strm 文件后自动创建处理任务
+ * 优先使用 fs.watch，网络文件系统等收不到文件事件的目录改为定时轮询
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WATCH_MODES = {
+  NATIVE: 'native',
+  POLL: 'poll'
+};
+
+// 保留的最近监控事件数
+const MAX_WATCH_EVENTS = 100;
+
+// 持续有新文件时，最多推迟的防抖次数（之后即使仍有新文件也立即提交）
+const MAX_DEBOUNCE_ROUNDS = 10;
+
+class WatchService {
+  constructor(config, logger, videoService, jobService, libraryService) {
+    this.config = config;
+    this.logger = logger;
+    this.videoService = videoService;
+    this.jobService = jobService;
+    this.libraryService = libraryService;
+    this.debounce = config.get('watchDebounce');
+    this.pollInterval = config.get('watchPollInterval');
+    this.defaultPolling = config.get('watchPolling');
+
+    // 目录 → 监控状态
+    this.roots = new Map();
+    this.events = [];
+  }
+
+  /**
+   * 初始化：开始监控配置中的目录和开启了监控的媒体库
+   */
+  async init() {
+    for (const dir of this.config.get('watchDirs')) {
+      try {
+        await this.watch(dir);
+      } catch (err) {
+        this.logger.error('启动目录监控失败', { dir, error: err.message });
+      }
+    }
+
+    for (const library of this.libraryService.list().filter(l => l.watch)) {
+      try {
+        await this.watchLibrary(library);
+      } catch (err) {
+        this.logger.error('启动媒体库监控失败', { libraryId: library.id, dir: library.strmDir, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * 记录监控事件
+   */
+  addEvent(root, type, message, details = {}) {
+    this.events.push({ time: new Date().toISOString(), dir: root.dir, type, message, ...details });
+    if (this.events.length > MAX_WATCH_EVENTS) {
+      this.events.shift();
+    }
+
+    const level = type === 'error' ? 'error' : 'info';
+    this.logger[level](message, { dir: root.dir, ...details });
+  }
+
+  /**
+   * 开始监控目录
+   * options.config 为自动创建任务使用的处理配置，options.polling 为 true 时强制使用轮询
+   * options.libraryId 指定时，创建任务时使用媒体库当前的处理配置
+   */
+  async watch(dir, options = {}) {
+    const directory = path.resolve(dir);
+    const stat = await fs.promises.stat(directory);
+    if (!stat.isDirectory()) {
+      throw new Error('监控路径不是目录');
+    }
+
+    if (this.roots.has(directory)) {
+      this.unwatch(directory);
+    }
+
+    const root = {
+      dir: directory,
+      config: { coverMode: '1', ...(options.config || {}) },
+      libraryId: options.libraryId || null,
+      mode: null,
+      watcher: null,
+      pollTimer: null,
+      snapshot: new Map(),
+      pending: new Set(),
+      debounceTimer: null,
+      debounceRounds: 0,
+      jobId: null,
+      startedAt: new Date().toISOString(),
+      lastDetectedAt: null,
+      queued: 0
+    };
+    this.roots.set(directory, root);
+
+    const polling = options.polling !== undefined ? options.polling : this.defaultPolling;
+    if (polling || !this.startNative(root)) {
+      await this.startPolling(root);
+    }
+    this.addEvent(root, 'started', `👀 开始监控目录（${root.mode === WATCH_MODES.POLL ? '轮询' : '文件事件'}）`);
+
+    // 补充处理监控启动前新增或链接变化的文件
+    const { changes } = await this.videoService.scanChanges(directory);
+    this.enqueue(root, [...changes.new, ...changes.changed]);
+
+    return this.getRootStatus(root);
+  }
+
+  /**
+   * 使用 fs.watch 监控，不支持时返回 false
+   */
+  startNative(root) {
+    try {
+      root.watcher = fs.watch(root.dir, { recursive: true }, (eventType, filename) => {
+        if (filename && filename.endsWith('.strm')) {
+          this.enqueue(root, [path.join(root.dir, filename)]);
+        }
+      });
+    } catch (err) {
+      this.logger.warn('文件事件监控不可用，改为轮询', { dir: root.dir, error: err.message });
+      return false;
+    }
+
+    // 运行中出错（如目录被卸载）时改为轮询
+    root.watcher.on('error', (err) => {
+      this.addEvent(root, 'error', `⚠️ 文件事件监控出错，改为轮询：${err.message}`);
+      root.watcher.close();
+      root.watcher = null;
+      this.startPolling(root).catch(error => {
+        this.addEvent(root, 'error', `❌ 启动轮询失败：${error.message}`);
+      });
+    });
+
+    root.mode = WATCH_MODES.NATIVE;
+    return true;
+  }
+
+  /**
+   * 扫描目录，记录每个 .strm 文件的修改时间
+   */
+  async takeSnapshot(root) {
+    const snapshot = new Map();
+    for (const file of await this.videoService.findStrmFiles(root.dir)) {
+      try {
+        snapshot.set(file, (await fs.promises.stat(file)).mtimeMs);
+      } catch (err) {
+        // 扫描后被删除的文件忽略
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * 定时轮询：对比两次扫描的修改时间，找出新增或修改的文件
+   */
+  async startPolling(root) {
+    root.mode = WATCH_MODES.POLL;
+    root.snapshot = await this.takeSnapshot(root);
+
+    const poll = async () => {
+      try {
+        const snapshot = await this.takeSnapshot(root);
+        const changed = [];
+        for (const [file, mtime] of snapshot) {
+          if (root.snapshot.get(file) !== mtime) {
+            changed.push(file);
+          }
+        }
+        root.snapshot = snapshot;
+        this.enqueue(root, changed);
+      } catch (err) {
+        this.addEvent(root, 'error', `❌ 轮询目录失败：${err.message}`);
+      }
+
+      if (this.roots.get(root.dir) === root) {
+        root.pollTimer = setTimeout(poll, this.pollInterval);
+      }
+    };
+
+    root.pollTimer = setTimeout(poll, this.pollInterval);
+  }
+
+  /**
+   * 加入待处理文件，防抖合并后提交任务
+   */
+  enqueue(root, files) {
+    if (files.length === 0) return;
+
+    for (const file of files) {
+      root.pending.add(file);
+    }
+    root.lastDetectedAt = new Date().toISOString();
+
+    if (root.debounceTimer && root.debounceRounds < MAX_DEBOUNCE_ROUNDS) {
+      clearTimeout(root.debounceTimer);
+      root.debounceTimer = null;
+      root.debounceRounds++;
+    }
+    if (!root.debounceTimer) {
+      root.debounceTimer = setTimeout(() => this.flush(root), this.debounce);
+    }
+  }
+
+  /**
+   * 为待处理文件创建任务；上一个自动任务未结束时延后提交，避免同一目录同时运行多个任务
+   */
+  async flush(root) {
+    root.debounceTimer = null;
+    root.debounceRounds = 0;
+
+    const previous = root.jobId && this.jobService.getJob(root.jobId);
+    if (previous && this.jobService.isUnfinished(previous)) {
+      root.debounceTimer = setTimeout(() => this.flush(root), this.debounce);
+      return;
+    }
+
+    // 只保留仍然存在的 .strm 文件（同步工具可能先写临时文件再重命名）
+    const files = [];
+    for (const file of root.pending) {
+      try {
+        if ((await fs.promises.stat(file)).isFile()) {
+          files.push(file);
+        }
+      } catch (err) {
+        // 已删除或已重命名
+      }
+    }
+    root.pending.clear();
+
+    if (files.length === 0 || this.roots.get(root.dir) !== root) return;
+
+    const processConfig = this.getRootConfig(root);
+    if (!processConfig) {
+      this.addEvent(root, 'error', '❌ 媒体库已删除，停止监控', { libraryId: root.libraryId });
+      this.unwatch(root.dir);
+      return;
+    }
+
+    try {
+      const job = await this.jobService.createJob(files.sort(), processConfig);
+      root.jobId = job.id;
+      root.queued += files.length;
+      this.addEvent(root, 'queued', `📥 发现 ${files.length} 个新增或修改的文件，已创建任务`, {
+        jobId: job.id,
+        files: files.slice(0, 20),
+        count: files.length
+      });
+    } catch (err) {
+      this.addEvent(root, 'error', `❌ 创建任务失败：${err.message}`, { count: files.length });
+    }
+  }
+
+  /**
+   * 自动创建任务使用的处理配置，所属媒体库已删除时返回 null
+   */
+  getRootConfig(root) {
+    if (!root.libraryId) return { ...root.config, strmDir: root.dir };
+
+    const library = this.libraryService.get(root.libraryId);
+    return library ? { coverMode: '1', ...this.libraryService.getProcessConfig(library) } : null;
+  }
+
+  /**
+   * 按媒体库的设置开始监控媒体库根目录
+   */
+  watchLibrary(library) {
+    return this.watch(library.strmDir, { libraryId: library.id, polling: library.watchPolling });
+  }
+
+  /**
+   * 停止监控媒体库，返回是否正在监控
+   */
+  unwatchLibrary(libraryId) {
+    let found = false;
+    for (const root of Array.from(this.roots.values())) {
+      if (root.libraryId === libraryId) {
+        found = this.unwatch(root.dir) || found;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 媒体库修改后按新的根目录和监控设置重新监控
+   */
+  async syncLibrary(library) {
+    this.unwatchLibrary(library.id);
+    if (library.watch) {
+      await this.watchLibrary(library);
+    }
+  }
+
+  /**
+   * 停止监控目录，返回是否正在监控
+   */
+  unwatch(dir) {
+    const directory = path.resolve(dir);
+    const root = this.roots.get(directory);
+    if (!root) return false;
+
+    this.roots.delete(directory);
+    if (root.watcher) root.watcher.close();
+    clearTimeout(root.pollTimer);
+    clearTimeout(root.debounceTimer);
+
+    this.addEvent(root, 'stopped', '🛑 已停止监控目录');
+    return true;
+  }
+
+  /**
+   * 获取单个目录的监控状态
+   */
+  getRootStatus(root) {
+    return {
+      dir: root.dir,
+      libraryId: root.libraryId,
+      mode: root.mode,
+      config: this.getRootConfig(root),
+      startedAt: root.startedAt,
+      lastDetectedAt: root.lastDetectedAt,
+      pending: root.pending.size,
+      queued: root.queued,
+      jobId: root.jobId
+    };
+  }
+
+  /**
+   * 获取监控状态和最近的事件（按时间倒序）
+   */
+  getStatus() {
+    return {
+      roots: Array.from(this.roots.values()).map(root => this.getRootStatus(root)),
+      events: this.events.slice().reverse()
+    };
+  }
+
+  /**
+   * 关闭服务，停止所有监控
+   */
+  close() {
+    for (const dir of Array.from(this.roots.keys())) {
+      this.unwatch(dir);
+    }
+    this.logger.info('目录监控服务已关闭');
+  }
+}
+
+WatchService.WATCH_MODES = WATCH_MODES;
+
+module.exports = WatchService;
@@ -0,0 +1,95 @@
+/**
+ * 动态预览模块
+ * 从视频中均匀截取若干短片段，拼接为动态 WebP / GIF / 无声 MP4
+ */
+
+const PREVIEW_FORMATS = ['webp', 'gif', 'mp4'];
+
+// 各格式的编码参数
+const FORMAT_ARGS = {
+  webp: ['-c:v', 'libwebp', '-quality', '70', '-loop', '0', '-f', 'webp'],
+  gif: ['-loop', '0', '-f', 'gif'],
+  mp4: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', '-f', 'mp4']
+};
+
+/**
+ * 计算各片段的起点
+ * 片段均匀分布在截图窗口内，片段过长时按窗口长度缩短，避免重叠
+ */
+function getPreviewSegments(window, segments, segmentLength) {
+  const length = window.end - window.start;
+  const clipLength = Math.min(segmentLength, length / segments);
+
+  const starts = [];
+  for (let i = 0; i < segments; i++) {
+    const center = window.start + length * (i + 0.5) / segments;
+    starts.push(Math.max(window.start, center - clipLength / 2));
+  }
+
+  return { starts, clipLength };
+}
+
+/**
+ * 构建 ffmpeg 参数
+ * 每个片段作为一个单独的输入（输入端 -ss 快速定位），再用 concat 滤镜拼接
+ */
+function buildPreviewArgs(videoUrl, segmentPlan, artwork, outputPath) {
+  const { starts, clipLength } = segmentPlan;
+  const args = ['-loglevel', 'error'];
+
+  for (const start of starts) {
+    args.push('-ss', start.toFixed(3), '-t', clipLength.toFixed(3), '-i', videoUrl);
+  }
+
+  const scale = `fps=${artwork.fps},scale=${artwork.width}:-2,setsar=1`;
+  const inputs = starts.map((_, i) => `[${i}:v:0]${scale}[v${i}]`);
+  const concat = `${starts.map((_, i) => `[v${i}]`).join('')}concat=n=${starts.length}:v=1:a=0`;
+
+  // GIF 使用调色板生成，避免默认调色板导致的严重色带
+  const filter = artwork.format === 'gif'
+    ? `${inputs.join(';')};${concat},split[a][b];[a]palettegen[p];[b][p]paletteuse[out]`
+    : `${inputs.join(';')};${concat}[out]`;
+
+  args.push(
+    '-filter_complex', filter,
+    '-map', '[out]',
+    '-an',
+    ...FORMAT_ARGS[artwork.format],
+    '-y', outputPath
+  );
+
+  return args;
+}
+
+/**
+ * 校验动态预览配置
+ */
+function validatePreviewOptions(override) {
+  const errors = [];
+
+  if (override.format !== undefined && !PREVIEW_FORMATS.includes(override.format)) {
+    errors.push(`preview.format 必须是 ${PREVIEW_FORMATS.join(' / ')} 之一`);
+  }
+
+  const ranges = { segments: [1, 20], fps: [1, 30] };
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    const value = override[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      errors.push(`preview.${field} 必须是 ${min}-${max} 之间的整数`);
+    }
+  }
+
+  const length = override.segmentLength;
+  if (length !== undefined && (typeof length !== 'number' || length < 0.2 || length > 10)) {
+    errors.push('preview.segmentLength 必须是 0.2-10 之间的秒数');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PREVIEW_FORMATS,
+  getPreviewSegments,
+  buildPreviewArgs,
+  validatePreviewOptions
+};
@@ -0,0 +1,225 @@
+/**
+ * 图片类型定义模块
+ * 定义 Emby / Jellyfin / Kodi 识别的各类图片的比例、尺寸和命名规则
+ */
+
+const { validateTrickplayOptions } = require('./trickplay');
+const { validatePreviewOptions } = require('./animatedPreview');
+const { validateContactSheetOptions } = require('./contactSheet');
+const { IMAGE_FORMATS, resolveImageProfile, validateProfileSelector } = require('./imageProfile');
+
+// 内置图片类型
+// aspect 为 null 表示保持原始比例，只做等比缩放
+// 设置了 kind 的类型不从封面母版帧生成，由各自的生成流程处理；其余类型按图片输出配置（profile）编码
+const ARTWORK_TYPES = {
+  cover: { suffix: '', aspect: null, width: 1920, height: 1080, crop: 'center', nfoTag: 'thumb' },
+  poster: { suffix: '-poster', aspect: 2 / 3, width: 1000, height: 1500, crop: 'smart', nfoTag: 'thumb', nfoAspect: 'poster' },
+  fanart: { suffix: '-fanart', aspect: 16 / 9, width: 1920, height: 1080, crop: 'center', nfoTag: 'fanart' },
+  landscape: { suffix: '-landscape', aspect: 16 / 9, width: 1280, height: 720, crop: 'center', nfoTag: 'thumb', nfoAspect: 'landscape' },
+  thumb: { suffix: '-thumb', aspect: 16 / 9, width: 1280, height: 720, crop: 'center', nfoTag: 'thumb', nfoAspect: 'thumb' },
+  // 拖动预览：<名称>-trickplay.vtt + <名称>-trickplay/ 雪碧图目录，可选 BIF
+  trickplay: { kind: 'trickplay', suffix: '-trickplay', ext: 'vtt', width: 320, interval: 10, columns: 10, rows: 10, bif: false, keyframesOnly: false, nfoTag: null },
+  // 动态预览：扩展名跟随输出格式（webp / gif / mp4）
+  preview: { kind: 'preview', suffix: '-preview', format: 'webp', width: 480, fps: 10, segments: 6, segmentLength: 1, nfoTag: null },
+  // 联系表：columns x rows 宫格，每格宽 width，带时间戳和文件信息表头
+  contactsheet: { kind: 'contactsheet', suffix: '-contactsheet', width: 320, columns: 4, rows: 4, nfoTag: null }
+};
+
+const CROP_MODES = ['center', 'smart'];
+
+// 单边最大像素
+const MAX_DIMENSION = 7680;
+
+/**
+ * 为从母版帧生成的图片附加输出配置（image）和对应的扩展名
+ * 优先级：图片类型的 profile < 批次的 imageProfile < 全局的 imageProfile
+ */
+function applyImageProfile(artwork, options = {}, defaults = {}) {
+  if (artwork.kind) return artwork;
+
+  const image = resolveImageProfile(
+    artwork.profile || options.imageProfile || defaults.imageProfile,
+    defaults.imageProfiles
+  );
+  return { ...artwork, image, ext: IMAGE_FORMATS[image.format].ext };
+}
+
+/**
+ * 解析本批次要生成的图片类型及其最终参数
+ * 优先级：内置定义 < 全局覆盖 < 批次统一裁剪方式 < 批次单类型配置
+ */
+function resolveArtworkTypes(options = {}, defaults = {}) {
+  const types = Array.isArray(options.artworkTypes) && options.artworkTypes.length > 0
+    ? options.artworkTypes
+    : defaults.artworkTypes || ['cover'];
+  const globalOverrides = defaults.artworkOverrides || {};
+  const batchOverrides = options.artworkOptions || {};
+
+  return types.map(type => applyImageProfile({
+    type,
+    ...ARTWORK_TYPES[type],
+    ...globalOverrides[type],
+    ...(options.artworkCrop ? { crop: options.artworkCrop } : {}),
+    ...batchOverrides[type]
+  }, options, defaults));
+}
+
+/**
+ * 获取图片文件的扩展名
+ */
+function getArtworkExtension(artwork) {
+  return artwork.ext || artwork.format || 'jpg';
+}
+
+/**
+ * 获取图片文件名
+ */
+function getArtworkFileName(baseName, artwork) {
+  return `${baseName}${artwork.suffix}.${getArtworkExtension(artwork)}`;
+}
+
+/**
+ * 获取季海报定义（放在剧集根目录，命名为 season01-poster.jpg，特别篇为 season-specials-poster.jpg）
+ * 尺寸和裁剪方式沿用海报的全局配置，输出配置沿用本批次海报的配置（扩展名随格式变化）
+ */
+function getSeasonArtwork(season, defaults = {}, options = {}) {
+  const seasonName = season === 0 ? 'season-specials' : `season${String(season).padStart(2, '0')}`;
+  const posterOverrides = (defaults.artworkOverrides || {}).poster || {};
+  const batchProfile = ((options.artworkOptions || {}).poster || {}).profile;
+
+  const artwork = applyImageProfile({
+    ...ARTWORK_TYPES.poster,
+    ...posterOverrides,
+    ...(batchProfile ? { profile: batchProfile } : {}),
+    type: 'season'
+  }, options, defaults);
+  return { ...artwork, name: `${seasonName}-poster.${artwork.ext}` };
+}
+
+/**
+ * 计算裁剪区域
+ * offset 为 0-1 之间的裁剪起点比例（0.5 为居中）
+ */
+function getCropRect(srcWidth, srcHeight, aspect, offset = 0.5) {
+  const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+  if (srcWidth / srcHeight > aspect) {
+    const width = even(srcHeight * aspect);
+    return {
+      width,
+      height: srcHeight,
+      x: Math.round((srcWidth - width) * offset),
+      y: 0
+    };
+  }
+
+  const height = even(srcWidth / aspect);
+  return {
+    width: srcWidth,
+    height,
+    x: 0,
+    y: Math.round((srcHeight - height) * offset)
+  };
+}
+
+/**
+ * 构建 ffmpeg 滤镜，size 为 getOutputSize 计算出的输出尺寸
+ * cover 按比例裁剪后缩放；contain 和保持原比例的类型直接缩放；pad-blur 把完整画面叠加在放大模糊的背景上
+ */
+function buildArtworkFilter(artwork, size, srcWidth, srcHeight, offset = 0.5) {
+  const { width, height } = size;
+  const fit = artwork.image ? artwork.image.fit : 'cover';
+
+  if (!artwork.aspect || fit === 'contain') {
+    return `scale=${width}:${height}`;
+  }
+
+  if (fit === 'pad-blur') {
+    return [
+      'split[bg][fg]',
+      `[bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[blurred]`,
+      `[fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[fitted]`,
+      '[blurred][fitted]overlay=(W-w)/2:(H-h)/2'
+    ].join(';');
+  }
+
+  const rect = getCropRect(srcWidth, srcHeight, artwork.aspect, offset);
+  return `crop=${rect.width}:${rect.height}:${rect.x}:${rect.y},scale=${width}:${height}`;
+}
+
+/**
+ * 校验图片配置，返回错误信息数组
+ * imageProfiles 为自定义的图片输出配置，用于校验按名称选择的配置是否存在
+ */
+function validateArtworkOptions(options, imageProfiles = {}) {
+  const errors = [];
+
+  if (options.imageProfile !== undefined && options.imageProfile !== '') {
+    errors.push(...validateProfileSelector(options.imageProfile, imageProfiles, 'imageProfile'));
+  }
+
+  if (options.artworkTypes !== undefined) {
+    if (!Array.isArray(options.artworkTypes)) {
+      errors.push('artworkTypes 必须是数组');
+    } else {
+      for (const type of options.artworkTypes) {
+        if (!ARTWORK_TYPES[type]) {
+          errors.push(`未知的图片类型: ${type}`);
+        }
+      }
+    }
+  }
+
+  if (options.artworkCrop && !CROP_MODES.includes(options.artworkCrop)) {
+    errors.push(`artworkCrop 必须是 ${CROP_MODES.join(' / ')} 之一`);
+  }
+
+  for (const [type, override] of Object.entries(options.artworkOptions || {})) {
+    if (!ARTWORK_TYPES[type]) {
+      errors.push(`未知的图片类型: ${type}`);
+      continue;
+    }
+    if (override.crop !== undefined && !CROP_MODES.includes(override.crop)) {
+      errors.push(`${type}.crop 必须是 ${CROP_MODES.join(' / ')} 之一`);
+    }
+    for (const field of ['width', 'height']) {
+      const value = override[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 16 || value > MAX_DIMENSION)) {
+        errors.push(`${type}.${field} 必须是 16-${MAX_DIMENSION} 之间的整数`);
+      }
+    }
+    if (override.suffix !== undefined && !/^[\w.-]*$/.test(override.suffix)) {
+      errors.push(`${type}.suffix 只能包含字母、数字、-、_ 和 .`);
+    }
+    if (override.profile !== undefined && override.profile !== '') {
+      if (ARTWORK_TYPES[type].kind) {
+        errors.push(`${type} 不支持图片输出配置`);
+      } else {
+        errors.push(...validateProfileSelector(override.profile, imageProfiles, `${type}.profile`));
+      }
+    }
+    if (type === 'trickplay') {
+      errors.push(...validateTrickplayOptions(override));
+    }
+    if (type === 'preview') {
+      errors.push(...validatePreviewOptions(override));
+    }
+    if (type === 'contactsheet') {
+      errors.push(...validateContactSheetOptions(override));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ARTWORK_TYPES,
+  CROP_MODES,
+  resolveArtworkTypes,
+  getArtworkExtension,
+  getArtworkFileName,
+  getSeasonArtwork,
+  getCropRect,
+  buildArtworkFilter,
+  validateArtworkOptions
+};
@@ -0,0 +1,110 @@
+/**
+ * 截图时间策略模块
+ * 根据时长和配置计算截图时间窗口与截图时间点
+ */
+
+// 截图位置模式
+const CAPTURE_MODES = ['percent', 'offset', 'random'];
+
+/**
+ * 解析时长参数：数字表示秒，带 % 的字符串表示占总时长的百分比
+ */
+function parseLength(value, duration) {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const text = String(value).trim();
+  if (text.endsWith('%')) {
+    return duration * parseFloat(text) / 100;
+  }
+  return parseFloat(text);
+}
+
+/**
+ * 判断时长参数格式是否有效
+ */
+function isValidLength(value) {
+  if (value === undefined || value === null || value === '') return true;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) return false;
+  return match[2] !== '%' || parseFloat(match[1]) < 100;
+}
+
+/**
+ * 计算可截图的时间窗口（排除片头片尾）
+ * 排除后窗口为空时退回整个时长
+ */
+function getCaptureWindow(duration, options = {}) {
+  const start = parseLength(options.excludeStart, duration);
+  const end = duration - parseLength(options.excludeEnd, duration);
+
+  if (end - start < 1) {
+    return { start: 0, end: duration };
+  }
+
+  return { start, end };
+}
+
+/**
+ * 计算截图时间点
+ * percent：窗口内的百分比位置；offset：从片头起算的秒数（限制在窗口内）；random：窗口内随机
+ */
+function getCaptureTime(duration, options = {}) {
+  const window = getCaptureWindow(duration, options);
+  const length = window.end - window.start;
+  const mode = options.captureMode || 'percent';
+
+  let time;
+  if (mode === 'offset') {
+    time = parseFloat(options.captureOffset) || 0;
+  } else if (mode === 'random') {
+    time = window.start + Math.random() * length;
+  } else {
+    const percent = options.capturePercent !== undefined ? parseFloat(options.capturePercent) : 50;
+    time = window.start + length * percent / 100;
+  }
+
+  // 避免截到最后一帧之后
+  return Math.min(Math.max(time, window.start), Math.max(window.start, window.end - 0.5));
+}
+
+/**
+ * 校验截图配置，返回错误信息数组
+ */
+function validateCaptureOptions(options) {
+  const errors = [];
+
+  if (options.captureMode !== undefined && !CAPTURE_MODES.includes(options.captureMode)) {
+    errors.push(`captureMode 必须是 ${CAPTURE_MODES.join(' / ')} 之一`);
+  }
+
+  if (options.capturePercent !== undefined && options.capturePercent !== '') {
+    const percent = Number(options.capturePercent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      errors.push('capturePercent 必须在 0-100 之间');
+    }
+  }
+
+  if (options.captureOffset !== undefined && options.captureOffset !== '') {
+    const offset = Number(options.captureOffset);
+    if (isNaN(offset) || offset < 0) {
+      errors.push('captureOffset 必须是非负秒数');
+    }
+  }
+
+  for (const field of ['excludeStart', 'excludeEnd']) {
+    if (!isValidLength(options[field])) {
+      errors.push(`${field} 必须是秒数或小于 100 的百分比（如 90 或 10%）`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CAPTURE_MODES,
+  parseLength,
+  getCaptureWindow,
+  getCaptureTime,
+  validateCaptureOptions
+};
@@ -0,0 +1,116 @@
+/**
+ * 联系表模块
+ * 计算取帧时间点、生成时间戳和文件信息文字，以及 drawtext 滤镜参数
+ */
+
+const path = require('path');
+
+// 表头高度和字号
+const HEADER_HEIGHT = 72;
+const HEADER_FONT_SIZE = 20;
+
+/**
+ * 在整段视频内均匀取 count 个时间点（每格取区间中点）
+ */
+function getContactSheetTimes(duration, count) {
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    times.push(duration * (i + 0.5) / count);
+  }
+  return times;
+}
+
+/**
+ * 格式化时间戳（HH:MM:SS）
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+/**
+ * 生成表头文字：第一行为文件名，第二行为时长、分辨率和编码
+ */
+function buildHeaderLines(fileName, duration, mediaInfo = null) {
+  const details = [`Duration ${formatTimestamp(duration)}`];
+
+  if (mediaInfo && mediaInfo.video) {
+    const video = mediaInfo.video;
+    if (video.width && video.height) {
+      details.push(`${video.width}x${video.height}`);
+    }
+    if (video.codec) {
+      details.push(video.hdrType ? `${video.codec} ${video.hdrType}` : video.codec);
+    }
+  }
+
+  if (mediaInfo && mediaInfo.audio.length > 0) {
+    const audio = mediaInfo.audio[0];
+    details.push(audio.channels ? `${audio.codec} ${audio.channels}ch` : audio.codec);
+  }
+
+  if (mediaInfo && mediaInfo.bitrate) {
+    details.push(`${Math.round(mediaInfo.bitrate / 1000)} kb/s`);
+  }
+
+  return [fileName, details.join('  |  ')];
+}
+
+/**
+ * 滤镜参数中的路径加引号
+ * 路径中的单引号需结束引号后转义，滤镜图和选项两层解析各消耗一层反斜杠
+ */
+function quoteFilterPath(filePath) {
+  return `'${filePath.split(path.sep).join('/').replace(/'/g, "'\\\\\\''")}'`;
+}
+
+/**
+ * 构建 drawtext 滤镜
+ * 文字从文件读取，避免对文件名等内容做滤镜转义；颜色由调用方保证不含滤镜特殊字符
+ */
+function buildDrawText(textFile, { x, y, fontSize, fontFile = '', fontColor = 'white', box = false, boxColor = 'black@0.6', boxBorder = 4 }) {
+  const options = [
+    `textfile=${quoteFilterPath(textFile)}`,
+    `x=${x}`,
+    `y=${y}`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${fontColor}`
+  ];
+
+  if (fontFile) {
+    options.push(`fontfile=${quoteFilterPath(fontFile)}`);
+  }
+  if (box) {
+    options.push('box=1', `boxcolor=${boxColor}`, `boxborderw=${boxBorder}`);
+  }
+
+  return `drawtext=${options.join(':')}`;
+}
+
+/**
+ * 校验联系表配置
+ */
+function validateContactSheetOptions(override) {
+  const errors = [];
+  const ranges = { columns: [1, 10], rows: [1, 10] };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    const value = override[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      errors.push(`contactsheet.${field} 必须是 ${min}-${max} 之间的整数`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  HEADER_HEIGHT,
+  HEADER_FONT_SIZE,
+  getContactSheetTimes,
+  formatTimestamp,
+  buildHeaderLines,
+  buildDrawText,
+  validateContactSheetOptions
+};
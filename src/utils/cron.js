@@ -0,0 +1,159 @@
+/**
+ * Cron 表达式模块
+ * 解析标准 5 段 cron 表达式（分 时 日 月 周），计算下一次运行时间（服务器本地时区）
+ */
+
+// 各字段的取值范围
+const CRON_FIELDS = [
+  { name: '分钟', min: 0, max: 59 },
+  { name: '小时', min: 0, max: 23 },
+  { name: '日期', min: 1, max: 31 },
+  { name: '月份', min: 1, max: 12 },
+  { name: '星期', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// 查找下一次运行时间时最多向后搜索的天数（如 2 月 30 日这类永远不会到来的表达式）
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * 解析单个字段，返回允许的取值集合
+ * 支持 *、数字、范围（1-5）、步长（0-30/10，或星号加步长）和逗号分隔的列表
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`${field.name}字段格式错误：${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? field.max : start);
+    }
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name}字段超出范围（${field.min}-${field.max}）：${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 解析 cron 表达式，格式错误时抛出异常
+ */
+function parseCron(expression) {
+  const text = CRON_MACROS[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('cron 表达式必须包含 5 个字段（分 时 日 月 周）');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, CRON_FIELDS[i]));
+
+  // 星期中的 7 等同于 0（周日）
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+    weekdays.delete(7);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // 日期和星期都有限制时满足其一即可（与标准 cron 一致）
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * 日期是否匹配日期和星期字段
+ */
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * 计算 from 之后（不含当前分钟）的下一次运行时间，找不到时返回 null
+ */
+function getNextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * 校验 cron 表达式，返回错误信息数组
+ */
+function validateCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return ['cron 必须是非空字符串'];
+  }
+
+  try {
+    if (!getNextRun(expression)) {
+      return ['cron 表达式没有可运行的时间'];
+    }
+  } catch (err) {
+    return [err.message];
+  }
+  return [];
+}
+
+module.exports = {
+  CRON_MACROS,
+  parseCron,
+  getNextRun,
+  validateCron
+};
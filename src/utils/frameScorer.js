@@ -0,0 +1,148 @@
+/**
+ * 帧质量评分模块
+ * 基于灰度像素计算亮度、对比度、信息熵和清晰度，用于挑选封面帧
+ */
+
+// 评分时使用的缩略图尺寸
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 90;
+
+// 选帧策略
+const FRAME_STRATEGIES = ['middle', 'best', 'scene'];
+
+// 亮度低于/高于该值视为黑场或白场
+const MIN_BRIGHTNESS = 0.08;
+const MAX_BRIGHTNESS = 0.92;
+
+// 拉普拉斯方差达到该值视为完全清晰
+const SHARPNESS_REFERENCE = 800;
+
+/**
+ * 计算灰度帧的各项指标（均归一化到 0-1）
+ */
+function analyzeFrame(pixels, width = SAMPLE_WIDTH, height = SAMPLE_HEIGHT) {
+  const total = width * height;
+  if (!pixels || pixels.length < total) {
+    throw new Error('帧数据不完整');
+  }
+
+  const histogram = new Array(256).fill(0);
+  let sum = 0;
+
+  for (let i = 0; i < total; i++) {
+    histogram[pixels[i]]++;
+    sum += pixels[i];
+  }
+
+  const mean = sum / total;
+
+  let variance = 0;
+  let entropy = 0;
+  for (let v = 0; v < 256; v++) {
+    if (histogram[v] === 0) continue;
+    const p = histogram[v] / total;
+    variance += histogram[v] * (v - mean) * (v - mean);
+    entropy -= p * Math.log2(p);
+  }
+  variance /= total;
+
+  // 拉普拉斯算子响应的方差，越大越清晰
+  let lapSum = 0;
+  let lapSqSum = 0;
+  let lapCount = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      lapSum += lap;
+      lapSqSum += lap * lap;
+      lapCount++;
+    }
+  }
+  const lapMean = lapSum / lapCount;
+  const lapVariance = lapSqSum / lapCount - lapMean * lapMean;
+
+  return {
+    brightness: mean / 255,
+    contrast: Math.min(1, Math.sqrt(variance) / 128),
+    entropy: entropy / 8,
+    sharpness: Math.min(1, lapVariance / SHARPNESS_REFERENCE)
+  };
+}
+
+/**
+ * 综合评分
+ * 黑场、白场和低对比度的画面会被大幅降分
+ */
+function scoreFrame(pixels, width = SAMPLE_WIDTH, height = SAMPLE_HEIGHT) {
+  const metrics = analyzeFrame(pixels, width, height);
+
+  let score = metrics.entropy * 0.35 + metrics.contrast * 0.25 + metrics.sharpness * 0.4;
+
+  if (metrics.brightness < MIN_BRIGHTNESS || metrics.brightness > MAX_BRIGHTNESS) {
+    score *= 0.1;
+  } else if (metrics.contrast < 0.1) {
+    score *= 0.3;
+  }
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    ...metrics
+  };
+}
+
+/**
+ * 智能裁剪：在给定方向上寻找细节（梯度能量）最集中的窗口
+ * cropFraction 为裁剪窗口占整幅画面的比例，axis 为 'x' 或 'y'
+ * 返回 0-1 之间的裁剪起点比例，能量相近时偏向居中
+ */
+function findSmartCropOffset(pixels, width, height, cropFraction, axis = 'x') {
+  const length = axis === 'x' ? width : height;
+  const windowSize = Math.max(1, Math.round(length * cropFraction));
+  if (windowSize >= length) return 0.5;
+
+  const energy = new Array(length).fill(0);
+  for (let y = 1; y < height; y++) {
+    for (let x = 1; x < width; x++) {
+      const i = y * width + x;
+      const gradient = Math.abs(pixels[i] - pixels[i - 1]) + Math.abs(pixels[i] - pixels[i - width]);
+      energy[axis === 'x' ? x : y] += gradient;
+    }
+  }
+
+  // 纯色画面没有可参考的细节，直接居中
+  if (energy.every(value => value === 0)) return 0.5;
+
+  let windowEnergy = 0;
+  for (let i = 0; i < windowSize; i++) {
+    windowEnergy += energy[i];
+  }
+
+  const maxStart = length - windowSize;
+  let bestStart = Math.round(maxStart / 2);
+  let bestValue = -1;
+
+  for (let start = 0; start <= maxStart; start++) {
+    if (start > 0) {
+      windowEnergy += energy[start + windowSize - 1] - energy[start - 1];
+    }
+
+    const distance = Math.abs(start / maxStart - 0.5);
+    const value = windowEnergy * (1 - 0.3 * distance);
+    if (value > bestValue) {
+      bestValue = value;
+      bestStart = start;
+    }
+  }
+
+  return bestStart / maxStart;
+}
+
+module.exports = {
+  SAMPLE_WIDTH,
+  SAMPLE_HEIGHT,
+  FRAME_STRATEGIES,
+  analyzeFrame,
+  scoreFrame,
+  findSmartCropOffset
+};
@@ -0,0 +1,30 @@
+/**
+ * 文件系统工具模块
+ * 提供原子写入等常用文件操作
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+let tmpCounter = 0;
+
+/**
+ * 原子写入文件
+ * 先写入同目录下的临时文件再重命名，避免进程中断时留下半截文件
+ */
+async function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tmpFile = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${++tmpCounter}.tmp`);
+
+  try {
+    await fs.writeFile(tmpFile, data);
+    await fs.rename(tmpFile, filePath);
+  } catch (err) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,310 @@
+/**
+ * 按主机限流模块
+ * 对同一主机的外部请求限制并发连接数、每分钟请求数和最小间隔，
+ * 主机返回 429/503 时按 Retry-After 暂停访问
+ */
+
+// 一分钟（请求数统计窗口）
+const RATE_WINDOW = 60 * 1000;
+
+// 主机未提供 Retry-After 时的暂停时间
+const DEFAULT_THROTTLE_DELAY = 30 * 1000;
+
+// Retry-After 的上限，避免异常值导致长时间停止处理
+const MAX_THROTTLE_DELAY = 10 * 60 * 1000;
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期），返回毫秒，无法解析时返回 null
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// 错误输出中的限流响应：只匹配 HTTP 状态行和 ffmpeg/curl 的状态码提示，
+// 避免链接路径、帧数、字节数中单独出现的 429 被误判
+const THROTTLED_OUTPUT = /Server returned 429\b|HTTP error 429\b|HTTP\/\d(?:\.\d)? 429\b|returned error: 429\b|Too Many Requests|503 Service Unavailable/i;
+
+/**
+ * ffmpeg/ffprobe/curl 的错误输出是否表明被限流
+ */
+function isThrottledOutput(stderr) {
+  return THROTTLED_OUTPUT.test(stderr || '');
+}
+
+/**
+ * 获取链接的主机名（含端口），非 http(s) 链接返回 null
+ */
+function getHost(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.host : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// 可按主机设置的限制项
+const HOST_LIMIT_FIELDS = ['concurrency', 'requestsPerMinute', 'minDelay'];
+
+/**
+ * 把一组限制合并到 target 中，同一限制项取更严格的值（0 表示不限制）
+ */
+function mergeLimits(target, limits) {
+  for (const field of HOST_LIMIT_FIELDS) {
+    const value = limits[field];
+    if (value === undefined) continue;
+    target[field] = target[field] > 0 && (value <= 0 || target[field] < value) ? target[field] : value;
+  }
+  return target;
+}
+
+/**
+ * 合并多组按主机的限制，同一主机的同一限制项取更严格的值（0 表示不限制）
+ */
+function mergeHostLimits(limitsList) {
+  const merged = {};
+
+  for (const limits of limitsList) {
+    for (const [host, hostLimits] of Object.entries(limits || {})) {
+      mergeLimits(merged[host] || (merged[host] = {}), hostLimits);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 在按主机覆盖的配置中查找主机对应的限制，优先匹配最具体的主机名，没有时返回 null
+ */
+function findHostLimits(overrides, host) {
+  const hostname = host.replace(/:\d+$/, '');
+  const keys = Object.keys(overrides || {})
+    .filter(key => key === host || key === hostname || hostname.endsWith(`.${key}`))
+    .sort((a, b) => b.length - a.length);
+
+  return keys.length > 0 ? overrides[keys[0]] : null;
+}
+
+/**
+ * 校验按主机的限制配置，返回错误信息数组
+ */
+function validateHostLimits(hostLimits) {
+  if (!hostLimits || typeof hostLimits !== 'object' || Array.isArray(hostLimits)) {
+    return ['hostLimits 必须是以主机名为键的对象'];
+  }
+
+  const errors = [];
+  for (const [host, limits] of Object.entries(hostLimits)) {
+    if (!limits || typeof limits !== 'object') {
+      errors.push(`hostLimits.${host} 必须是对象`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(limits)) {
+      if (!HOST_LIMIT_FIELDS.includes(field)) {
+        errors.push(`hostLimits.${host}.${field} 不是有效的限制项（${HOST_LIMIT_FIELDS.join(' / ')}）`);
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push(`hostLimits.${host}.${field} 必须是非负整数`);
+      }
+    }
+  }
+  return errors;
+}
+
+class HostLimiter {
+  /**
+   * @param {object} defaults 默认限制 { concurrency, requestsPerMinute, minDelay }，0 表示不限制
+   * @param {object} overrides 按主机覆盖，键为主机名，同时匹配其子域名
+   */
+  constructor(defaults = {}, overrides = {}, logger = null) {
+    this.defaults = defaults;
+    this.overrides = overrides;
+    this.logger = logger;
+    this.hosts = new Map();
+    // 任务的中止信号 → 该任务额外的按主机限制（媒体库的设置只作用于该媒体库的任务）
+    this.scopedOverrides = new WeakMap();
+  }
+
+  /**
+   * 获取主机的限制配置，优先匹配最具体的主机名
+   * 请求所属任务有额外的限制时，与全局限制合并取更严格的值（连接数等状态仍按主机全局统计）
+   */
+  getLimits(host, signal = null) {
+    const limits = { ...this.defaults, ...findHostLimits(this.overrides, host) };
+    const scoped = signal && findHostLimits(this.scopedOverrides.get(signal), host);
+
+    return scoped ? mergeLimits(limits, scoped) : limits;
+  }
+
+  /**
+   * 为一个任务设置额外的按主机限制，以任务的中止信号区分（任务的各个请求都会传入该信号），任务结束后随信号释放
+   */
+  setScopedOverrides(signal, overrides) {
+    if (overrides && Object.keys(overrides).length > 0) {
+      this.scopedOverrides.set(signal, overrides);
+    }
+  }
+
+  /**
+   * 获取主机状态
+   */
+  getState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        starts: [],
+        lastStart: 0,
+        blockedUntil: 0,
+        waiters: new Set()
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * 计算还需等待多久才能发起 connections 个连接，0 表示可以立即发起，Infinity 表示需等待其他请求结束
+   */
+  getWaitTime(state, limits, connections, now) {
+    let wait = Math.max(0, state.blockedUntil - now);
+
+    if (limits.minDelay > 0) {
+      wait = Math.max(wait, state.lastStart + limits.minDelay - now);
+    }
+
+    while (state.starts.length > 0 && state.starts[0] <= now - RATE_WINDOW) {
+      state.starts.shift();
+    }
+
+    if (limits.requestsPerMinute > 0) {
+      // 单次需要的连接数超过配额时，等窗口清空后再发起
+      const needed = Math.min(connections, limits.requestsPerMinute);
+      const over = state.starts.length + needed - limits.requestsPerMinute;
+      if (over > 0) {
+        wait = Math.max(wait, state.starts[over - 1] + RATE_WINDOW - now);
+      }
+    }
+
+    if (limits.concurrency > 0 && state.active > 0 &&
+      state.active + Math.min(connections, limits.concurrency) > limits.concurrency) {
+      return Infinity;
+    }
+
+    return wait;
+  }
+
+  /**
+   * 等待 ms 毫秒，或在有请求结束、signal 中止时提前返回
+   */
+  waitFor(state, ms, signal) {
+    return new Promise(resolve => {
+      let timer = null;
+
+      const done = () => {
+        clearTimeout(timer);
+        state.waiters.delete(done);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+
+      state.waiters.add(done);
+      if (Number.isFinite(ms)) {
+        timer = setTimeout(done, ms);
+      }
+      if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * 唤醒等待中的请求重新检查限制
+   */
+  notify(state) {
+    for (const waiter of Array.from(state.waiters)) {
+      waiter();
+    }
+  }
+
+  /**
+   * 占用主机的连接槽位
+   */
+  async acquire(host, connections, signal) {
+    const state = this.getState(host);
+    const limits = this.getLimits(host, signal);
+    let logged = false;
+
+    for (;;) {
+      if (signal && signal.aborted) {
+        throw new Error('请求已取消');
+      }
+
+      const now = Date.now();
+      const wait = this.getWaitTime(state, limits, connections, now);
+      if (wait === 0) {
+        state.active += connections;
+        state.lastStart = now;
+        for (let i = 0; i < connections; i++) {
+          state.starts.push(now);
+        }
+        return state;
+      }
+
+      if (!logged && this.logger) {
+        this.logger.debug('主机限流，等待中', { host, active: state.active, wait: Number.isFinite(wait) ? wait : null });
+        logged = true;
+      }
+      await this.waitFor(state, wait, signal);
+    }
+  }
+
+  /**
+   * 在主机限制内执行请求
+   * fn 为实际发起请求的函数；connections 为该请求同时打开的连接数（如多输入的 ffmpeg）
+   * 非 http(s) 链接（本地文件）不受限制
+   */
+  async run(url, fn, { signal = null, connections = 1 } = {}) {
+    const host = getHost(url);
+    if (!host) {
+      return fn();
+    }
+
+    const state = await this.acquire(host, connections, signal);
+    try {
+      return await fn();
+    } finally {
+      state.active -= connections;
+      this.notify(state);
+    }
+  }
+
+  /**
+   * 主机返回 429/503 时暂停访问，delay 为 Retry-After 解析出的毫秒数
+   */
+  throttle(url, delay = null) {
+    const host = getHost(url);
+    if (!host) return;
+
+    const state = this.getState(host);
+    const pause = Math.min(delay !== null ? delay : DEFAULT_THROTTLE_DELAY, MAX_THROTTLE_DELAY);
+    const until = Date.now() + pause;
+
+    if (until > state.blockedUntil) {
+      state.blockedUntil = until;
+      if (this.logger) {
+        this.logger.warn('主机要求限流，暂停访问', { host, pause });
+      }
+    }
+  }
+}
+
+module.exports = {
+  HostLimiter,
+  parseRetryAfter,
+  isThrottledOutput,
+  mergeHostLimits,
+  validateHostLimits
+};
@@ -0,0 +1,214 @@
+/**
+ * 图片输出配置模块
+ * 输出配置（profile）决定从封面母版帧生成的图片的格式、质量、最大尺寸、适配方式和文件大小上限，
+ * 可按批次（媒体库）和图片类型选择
+ */
+
+// 各格式的扩展名，以及解码校验时 ffprobe 应识别出的编码
+const IMAGE_FORMATS = {
+  jpeg: { ext: 'jpg', codec: 'mjpeg' },
+  png: { ext: 'png', codec: 'png' },
+  webp: { ext: 'webp', codec: 'webp' },
+  avif: { ext: 'avif', codec: 'av1' }
+};
+
+// contain：完整保留画面，等比缩放到目标尺寸以内
+// cover：按比例裁剪后填满目标尺寸
+// pad-blur：完整保留画面，空白处用放大并模糊的同一画面填充到目标尺寸
+const FIT_MODES = ['contain', 'cover', 'pad-blur'];
+
+// 未设置的字段使用的默认值（与之前固定的 JPEG -q:v 2 输出一致）
+// maxWidth / maxHeight / maxBytes 为 0 表示不限制
+const DEFAULT_PROFILE = {
+  format: 'jpeg',
+  quality: 95,
+  maxWidth: 0,
+  maxHeight: 0,
+  fit: 'cover',
+  maxBytes: 0
+};
+
+// 内置输出配置，可被配置文件中的 imageProfiles 同名覆盖
+const BUILTIN_PROFILES = {
+  default: {},
+  compact: { quality: 80, maxWidth: 1280, maxHeight: 1280, maxBytes: 300 * 1024 },
+  webp: { format: 'webp', quality: 85 },
+  avif: { format: 'avif', quality: 60 },
+  png: { format: 'png' }
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_PROFILE);
+
+// 单边最大像素（与图片类型的尺寸上限一致）
+const MAX_DIMENSION = 7680;
+
+// 超过文件大小上限时：有损格式每次降低的质量和质量下限，之后每次缩小的比例，以及最多编码次数
+const QUALITY_STEP = 15;
+const MIN_QUALITY = 40;
+const SHRINK_FACTOR = 0.85;
+const MAX_ENCODE_ATTEMPTS = 6;
+
+/**
+ * 合并内置和自定义输出配置，返回 名称 → 配置
+ */
+function getImageProfiles(customProfiles = {}) {
+  const profiles = {};
+  for (const [name, profile] of Object.entries({ ...BUILTIN_PROFILES, ...customProfiles })) {
+    profiles[name] = { ...DEFAULT_PROFILE, ...profile };
+  }
+  return profiles;
+}
+
+/**
+ * 解析输出配置选择：字符串为配置名称，对象为直接给出的配置（未设置的字段使用默认值）
+ * 名称不存在时抛出异常
+ */
+function resolveImageProfile(selector, customProfiles = {}) {
+  if (selector && typeof selector === 'object') {
+    return { ...DEFAULT_PROFILE, ...selector, name: null };
+  }
+
+  const name = selector || 'default';
+  const profile = getImageProfiles(customProfiles)[name];
+  if (!profile) {
+    throw new Error(`未知的图片输出配置: ${name}`);
+  }
+  return { ...profile, name };
+}
+
+/**
+ * 计算输出尺寸
+ * 目标尺寸为图片类型的尺寸，再按输出配置的最大尺寸等比缩小；scale 为超过文件大小上限时的额外缩小比例
+ * 保持原比例的类型和 contain 不放大画面，输出不超过目标尺寸；cover / pad-blur 输出正好为目标尺寸
+ */
+function getOutputSize(artwork, profile, srcWidth, srcHeight, scale = 1) {
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+  const limit = Math.min(
+    1,
+    profile.maxWidth ? profile.maxWidth / artwork.width : 1,
+    profile.maxHeight ? profile.maxHeight / artwork.height : 1
+  ) * scale;
+  const boxWidth = artwork.width * limit;
+  const boxHeight = artwork.height * limit;
+
+  if (!artwork.aspect || profile.fit === 'contain') {
+    const ratio = Math.min(1, boxWidth / srcWidth, boxHeight / srcHeight);
+    return { width: even(srcWidth * ratio), height: even(srcHeight * ratio) };
+  }
+
+  return { width: even(boxWidth), height: even(boxHeight) };
+}
+
+/**
+ * 获取第 attempt 次编码（从 0 开始）使用的质量和缩小比例
+ * 先降低有损格式的质量，降到下限（或无损格式）后再逐步缩小尺寸
+ */
+function getEncodeAttempt(profile, attempt) {
+  if (profile.format === 'png') {
+    return { quality: profile.quality, scale: Math.pow(SHRINK_FACTOR, attempt) };
+  }
+
+  const floor = Math.min(profile.quality, MIN_QUALITY);
+  const qualitySteps = Math.ceil((profile.quality - floor) / QUALITY_STEP);
+  if (attempt <= qualitySteps) {
+    return { quality: Math.max(floor, profile.quality - attempt * QUALITY_STEP), scale: 1 };
+  }
+  return { quality: floor, scale: Math.pow(SHRINK_FACTOR, attempt - qualitySteps) };
+}
+
+/**
+ * 构建编码参数，quality 为 1-100（PNG 为无损格式，忽略质量）
+ */
+function buildEncoderArgs(format, quality) {
+  switch (format) {
+    case 'png':
+      return ['-c:v', 'png', '-compression_level', '9'];
+    case 'webp':
+      return ['-c:v', 'libwebp', '-quality', String(quality)];
+    case 'avif':
+      // AV1 的 crf 为 0-63，越小质量越高
+      return ['-c:v', 'libaom-av1', '-still-picture', '1', '-crf', String(Math.round((100 - quality) * 0.63)), '-b:v', '0', '-pix_fmt', 'yuv420p'];
+    default:
+      // MJPEG 的 qscale 为 2-31，越小质量越高，质量 95 以上对应 2
+      return ['-c:v', 'mjpeg', '-q:v', String(Math.max(2, Math.min(31, Math.floor(1 + (100 - quality) * 0.3))))];
+  }
+}
+
+/**
+ * 校验单个输出配置，返回错误信息数组
+ */
+function validateImageProfile(profile, label = 'imageProfile') {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [`${label} 必须是对象`];
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_FIELDS.includes(key)) {
+      errors.push(`${label} 包含未知字段: ${key}`);
+    }
+  }
+  if (profile.format !== undefined && !IMAGE_FORMATS[profile.format]) {
+    errors.push(`${label}.format 必须是 ${Object.keys(IMAGE_FORMATS).join(' / ')} 之一`);
+  }
+  if (profile.quality !== undefined && (!Number.isInteger(profile.quality) || profile.quality < 1 || profile.quality > 100)) {
+    errors.push(`${label}.quality 必须是 1-100 之间的整数`);
+  }
+  for (const field of ['maxWidth', 'maxHeight']) {
+    const value = profile[field];
+    if (value !== undefined && value !== 0 && (!Number.isInteger(value) || value < 16 || value > MAX_DIMENSION)) {
+      errors.push(`${label}.${field} 必须是 0 或 16-${MAX_DIMENSION} 之间的整数`);
+    }
+  }
+  if (profile.fit !== undefined && !FIT_MODES.includes(profile.fit)) {
+    errors.push(`${label}.fit 必须是 ${FIT_MODES.join(' / ')} 之一`);
+  }
+  if (profile.maxBytes !== undefined && (!Number.isInteger(profile.maxBytes) || profile.maxBytes < 0)) {
+    errors.push(`${label}.maxBytes 必须是非负整数`);
+  }
+
+  return errors;
+}
+
+/**
+ * 校验输出配置选择（名称或直接给出的配置），返回错误信息数组
+ */
+function validateProfileSelector(selector, customProfiles = {}, label = 'imageProfile') {
+  if (typeof selector === 'string') {
+    return getImageProfiles(customProfiles)[selector] ? [] : [`${label} 不是已定义的图片输出配置: ${selector}`];
+  }
+  return validateImageProfile(selector, label);
+}
+
+/**
+ * 校验自定义输出配置表（配置文件中的 imageProfiles），返回错误信息数组
+ */
+function validateImageProfiles(profiles) {
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    return ['imageProfiles 必须是对象'];
+  }
+
+  const errors = [];
+  for (const [name, profile] of Object.entries(profiles)) {
+    errors.push(...validateImageProfile(profile, `imageProfiles.${name}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  FIT_MODES,
+  DEFAULT_PROFILE,
+  BUILTIN_PROFILES,
+  MAX_ENCODE_ATTEMPTS,
+  getImageProfiles,
+  resolveImageProfile,
+  getOutputSize,
+  getEncodeAttempt,
+  buildEncoderArgs,
+  validateImageProfile,
+  validateProfileSelector,
+  validateImageProfiles
+};
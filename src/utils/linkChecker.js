@@ -0,0 +1,135 @@
+/**
+ * 链接检查模块
+ * 对视频链接的访问失败进行分类，判断响应是否可能是视频
+ */
+
+const { isThrottledOutput } = require('./hostLimiter');
+
+/**
+ * 失败类型
+ */
+const LINK_FAILURES = {
+  DNS: 'dns',
+  TIMEOUT: 'timeout',
+  TLS: 'tls',
+  NETWORK: 'network',
+  AUTH: 'auth',
+  NOT_FOUND: 'not_found',
+  SERVER: 'server',
+  RATE_LIMITED: 'rate_limited',
+  HTTP: 'http',
+  CONTENT_TYPE: 'content_type',
+  OUTPUT_CONFLICT: 'conflict',
+  UNKNOWN: 'unknown'
+};
+
+const FAILURE_LABELS = {
+  dns: '域名解析失败',
+  timeout: '连接超时',
+  tls: 'TLS/证书错误',
+  network: '网络连接失败',
+  auth: '无权访问',
+  not_found: '链接已失效',
+  server: '服务器错误',
+  rate_limited: '请求过于频繁',
+  http: 'HTTP 请求错误',
+  content_type: '返回的不是视频',
+  conflict: '输出路径冲突',
+  unknown: '未知错误'
+};
+
+// 不支持 HEAD 的网关常见的响应码，遇到时改用 Range GET 重试
+const HEAD_UNSUPPORTED_STATUSES = [400, 403, 405, 501];
+
+// 明显不是视频的响应类型（通常是错误页或接口报错）
+const NON_VIDEO_TYPES = ['text/html', 'application/xhtml+xml', 'application/json', 'application/xml', 'text/xml'];
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// ffmpeg/ffprobe/curl 错误输出中的服务器错误（ffmpeg 对 500 以外的 5xx 输出 "Server returned 5XX Server Error reply"）
+const SERVER_ERROR_OUTPUT = /Server returned 5(?:\d\d|XX)\b|HTTP error 5\d\d\b|returned error: 5\d\d\b/i;
+
+/**
+ * 链接检查错误，category 为 LINK_FAILURES 中的类型
+ */
+class LinkCheckError extends Error {
+  constructor(category, details = {}) {
+    const status = details.status ? ` (HTTP ${details.status})` : '';
+    super(`视频链接无法访问：${FAILURE_LABELS[category]}${status}`);
+    this.name = 'LinkCheckError';
+    this.category = category;
+    this.status = details.status || null;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * 按 HTTP 状态码分类
+ */
+function classifyStatus(status) {
+  if (status === 401 || status === 403) return LINK_FAILURES.AUTH;
+  if (status === 404 || status === 410) return LINK_FAILURES.NOT_FOUND;
+  if (status === 429) return LINK_FAILURES.RATE_LIMITED;
+  if (status >= 500) return LINK_FAILURES.SERVER;
+  return LINK_FAILURES.HTTP;
+}
+
+/**
+ * 按请求异常分类（DNS、超时、TLS 等没有响应的错误）
+ */
+function classifyRequestError(err) {
+  const code = err.code || (err.cause && err.cause.code) || '';
+
+  if (DNS_CODES.includes(code)) return LINK_FAILURES.DNS;
+  if (TIMEOUT_CODES.includes(code)) return LINK_FAILURES.TIMEOUT;
+  if (/CERT|SSL|TLS|SIGNATURE/i.test(code) || /certificate|ssl|tls/i.test(err.message)) {
+    return LINK_FAILURES.TLS;
+  }
+  if (code.startsWith('E')) return LINK_FAILURES.NETWORK;
+  return LINK_FAILURES.UNKNOWN;
+}
+
+/**
+ * HEAD 失败时是否应改用 Range GET 重试
+ */
+function shouldFallbackToGet(status) {
+  return HEAD_UNSUPPORTED_STATUSES.includes(status);
+}
+
+/**
+ * 响应类型是否可能是视频，未提供类型时视为可能
+ */
+function isVideoContentType(contentType) {
+  if (!contentType) return true;
+
+  const type = String(contentType).split(';')[0].trim().toLowerCase();
+  return !NON_VIDEO_TYPES.includes(type);
+}
+
+/**
+ * 获取处理失败的类型：链接检查错误使用其分类，子进程或 curl 超时归为 timeout，输出中有 429/503 的归为 rate_limited，
+ * 有其他 5xx 的归为 server；包装后重新抛出的错误按 cause 分类
+ */
+function getFailureCategory(error) {
+  if (!error) return LINK_FAILURES.UNKNOWN;
+  if (error instanceof LinkCheckError) return error.category;
+  if (error.name === 'ProcessTimeoutError') return LINK_FAILURES.TIMEOUT;
+  // curl 的 --max-time 超时（退出码 28）
+  if (error.command === 'curl' && error.exitCode === 28) return LINK_FAILURES.TIMEOUT;
+  if (isThrottledOutput(error.stderr)) return LINK_FAILURES.RATE_LIMITED;
+  if (SERVER_ERROR_OUTPUT.test(error.stderr || '')) return LINK_FAILURES.SERVER;
+  if (error.cause) return getFailureCategory(error.cause);
+  return LINK_FAILURES.UNKNOWN;
+}
+
+module.exports = {
+  LINK_FAILURES,
+  FAILURE_LABELS,
+  LinkCheckError,
+  classifyStatus,
+  classifyRequestError,
+  shouldFallbackToGet,
+  isVideoContentType,
+  getFailureCategory
+};
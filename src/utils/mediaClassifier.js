@@ -0,0 +1,191 @@
+/**
+ * 媒体分类模块
+ * 根据文件名和目录结构识别电影 / 剧集，提取季号和集号
+ */
+
+const path = require('path');
+
+// 默认识别规则（正则字符串，便于写入配置文件）
+const DEFAULT_TV_RULES = {
+  // 文件名中同时包含季号和集号，第 1 组为季号，第 2 组为集号
+  episodePatterns: [
+    '[Ss](\\d{1,2})[ ._-]?[Ee](\\d{1,4})',
+    '(?:^|[^\\d])(\\d{1,2})x(\\d{2,3})(?:[^\\d]|$)'
+  ],
+  // 只有集号（季号取自所在季目录），第 1 组为集号
+  episodeOnlyPatterns: [
+    '(?:^|[^a-z])[Ee][Pp]?(\\d{1,4})(?:[^\\d]|$)',
+    '^(\\d{1,3})(?:[^\\d]|$)',
+    '第\\s*(\\d{1,4})\\s*[集话]'
+  ],
+  // 季目录，第 1 组为季号
+  seasonFolderPatterns: [
+    '^Season[ ._-]?(\\d{1,2})$',
+    '^S(\\d{1,2})$',
+    '^第\\s*(\\d{1,2})\\s*季$'
+  ],
+  // 特别篇目录（季号 0）
+  specialsFolderPatterns: [
+    '^Specials?$',
+    '^特别篇$'
+  ]
+};
+
+const MEDIA_TYPES = ['auto', 'movie', 'tv'];
+
+/**
+ * 编译规则中的正则
+ */
+function compileRules(rules = {}) {
+  const merged = { ...DEFAULT_TV_RULES, ...rules };
+  const compile = (patterns) => patterns.map(p => new RegExp(p, 'i'));
+
+  return {
+    episodePatterns: compile(merged.episodePatterns),
+    episodeOnlyPatterns: compile(merged.episodeOnlyPatterns),
+    seasonFolderPatterns: compile(merged.seasonFolderPatterns),
+    specialsFolderPatterns: compile(merged.specialsFolderPatterns)
+  };
+}
+
+/**
+ * 依次尝试正则，返回第一个匹配结果及其规则
+ */
+function matchFirst(patterns, text) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return { match, rule: pattern.source };
+  }
+  return null;
+}
+
+/**
+ * 识别季目录，返回季号（特别篇为 0）
+ */
+function matchSeasonFolder(folderName, compiled) {
+  if (matchFirst(compiled.specialsFolderPatterns, folderName)) {
+    return 0;
+  }
+
+  const result = matchFirst(compiled.seasonFolderPatterns, folderName);
+  return result ? parseInt(result.match[1]) : null;
+}
+
+/**
+ * 从文件名中提取剧名（季集标记之前的部分）
+ */
+function extractShowTitle(fileName, matchIndex) {
+  return fileName.slice(0, matchIndex).replace(/[._]+/g, ' ').replace(/[\s-]+$/, '').trim();
+}
+
+/**
+ * 对单个 .strm 文件分类
+ *
+ * @param {string} strmFile 文件路径
+ * @param {object} options
+ * @param {string} [options.rootDir] 扫描根目录，剧集目录不会超出该目录
+ * @param {string} [options.mediaType] auto / movie / tv
+ * @param {object} [options.rules] 覆盖默认识别规则
+ */
+function classifyMedia(strmFile, options = {}) {
+  const mediaType = options.mediaType || 'auto';
+  const fileName = path.basename(strmFile, '.strm');
+
+  if (mediaType === 'movie') {
+    return { type: 'movie', title: fileName, rule: 'mediaType=movie' };
+  }
+
+  const compiled = compileRules(options.rules);
+  const parentDir = path.dirname(strmFile);
+  const rootDir = options.rootDir ? path.resolve(options.rootDir) : null;
+
+  let folderSeason = matchSeasonFolder(path.basename(parentDir), compiled);
+  if (rootDir && path.resolve(parentDir) === rootDir) {
+    folderSeason = null;
+  }
+
+  let season = null;
+  let episode = null;
+  let rule = null;
+  let titleFromFile = null;
+
+  const full = matchFirst(compiled.episodePatterns, fileName);
+  if (full) {
+    season = parseInt(full.match[1]);
+    episode = parseInt(full.match[2]);
+    rule = full.rule;
+    titleFromFile = extractShowTitle(fileName, full.match.index);
+  } else if (folderSeason !== null) {
+    const partial = matchFirst(compiled.episodeOnlyPatterns, fileName);
+    if (partial) {
+      season = folderSeason;
+      episode = parseInt(partial.match[1]);
+      rule = `季目录 + ${partial.rule}`;
+    }
+  }
+
+  if (episode === null) {
+    if (mediaType === 'tv') {
+      return { type: 'unknown', title: fileName, rule: null };
+    }
+    return { type: 'movie', title: fileName, rule: null };
+  }
+
+  // 剧集根目录：在季目录中时取上一级，否则取所在目录
+  let showDir = folderSeason !== null ? path.dirname(parentDir) : parentDir;
+  if (rootDir && !path.resolve(showDir).startsWith(rootDir)) {
+    showDir = parentDir;
+  }
+
+  // 剧集根目录就是扫描根目录时，剧名取自文件名，且不在该目录写入 tvshow.nfo 和季海报
+  const showDirIsRoot = rootDir && path.resolve(showDir) === rootDir;
+  const showTitle = (showDirIsRoot && titleFromFile) || path.basename(showDir);
+
+  return {
+    type: 'episode',
+    title: fileName,
+    showTitle,
+    showDir: showDirIsRoot ? null : showDir,
+    season,
+    episode,
+    rule
+  };
+}
+
+/**
+ * 校验识别规则，返回错误信息数组
+ */
+function validateTvRules(options) {
+  const errors = [];
+
+  if (options.mediaType !== undefined && !MEDIA_TYPES.includes(options.mediaType)) {
+    errors.push(`mediaType 必须是 ${MEDIA_TYPES.join(' / ')} 之一`);
+  }
+
+  for (const [key, patterns] of Object.entries(options.tvRules || {})) {
+    if (!DEFAULT_TV_RULES[key]) {
+      errors.push(`未知的识别规则: ${key}`);
+      continue;
+    }
+    if (!Array.isArray(patterns)) {
+      errors.push(`tvRules.${key} 必须是正则字符串数组`);
+      continue;
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (err) {
+        errors.push(`tvRules.${key} 中的正则无效: ${pattern}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_TV_RULES,
+  MEDIA_TYPES,
+  classifyMedia,
+  validateTvRules
+};
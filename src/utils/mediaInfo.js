@@ -0,0 +1,112 @@
+/**
+ * 媒体信息模块
+ * 将 ffprobe 的 JSON 输出整理为 NFO 所需的精简结构
+ */
+
+// ffprobe 编码名与 Kodi 编码名不一致的映射
+const CODEC_ALIASES = {
+  dts: 'dca'
+};
+
+/**
+ * 解析 "16:9"、"30000/1001" 这类比例字符串
+ */
+function parseRatio(value, separator) {
+  if (!value || typeof value !== 'string') return null;
+
+  const [a, b] = value.split(separator).map(Number);
+  if (!a || !b) return null;
+  return a / b;
+}
+
+/**
+ * 规范化编码名
+ */
+function normalizeCodec(codec) {
+  if (!codec) return null;
+  return CODEC_ALIASES[codec] || codec;
+}
+
+/**
+ * 识别 HDR 类型（Kodi hdrtype：hdr10 / dolbyvision / hlg）
+ */
+function detectHdrType(stream) {
+  const sideData = stream.side_data_list || [];
+  const isDolbyVision = sideData.some(d => /DOVI/i.test(d.side_data_type || '')) ||
+    /^dv(h1|he|a1|av)$/i.test(stream.codec_tag_string || '');
+
+  if (isDolbyVision) return 'dolbyvision';
+  if (stream.color_transfer === 'smpte2084') return 'hdr10';
+  if (stream.color_transfer === 'arib-std-b67') return 'hlg';
+  return null;
+}
+
+/**
+ * 读取流的语言标签
+ */
+function getLanguage(stream) {
+  const tags = stream.tags || {};
+  const language = tags.language || tags.LANGUAGE;
+  return language && language !== 'und' ? language : null;
+}
+
+/**
+ * 整理 ffprobe 输出
+ */
+function summarizeProbe(probe) {
+  const streams = probe.streams || [];
+  const format = probe.format || {};
+
+  // 排除内嵌封面图
+  const videoStream = streams.find(s =>
+    s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic)
+  );
+
+  const duration = parseFloat(format.duration) || (videoStream && parseFloat(videoStream.duration)) || null;
+
+  let video = null;
+  if (videoStream) {
+    const width = videoStream.width || null;
+    const height = videoStream.height || null;
+    const aspect = parseRatio(videoStream.display_aspect_ratio, ':') ||
+      (width && height ? width / height : null);
+
+    video = {
+      codec: normalizeCodec(videoStream.codec_name),
+      width,
+      height,
+      aspect: aspect ? Math.round(aspect * 100) / 100 : null,
+      frameRate: parseRatio(videoStream.avg_frame_rate, '/') || parseRatio(videoStream.r_frame_rate, '/'),
+      hdrType: detectHdrType(videoStream)
+    };
+  }
+
+  const audio = streams
+    .filter(s => s.codec_type === 'audio')
+    .map(s => ({
+      codec: normalizeCodec(s.codec_name),
+      channels: s.channels || null,
+      language: getLanguage(s)
+    }));
+
+  const subtitles = streams
+    .filter(s => s.codec_type === 'subtitle')
+    .map(s => ({
+      codec: s.codec_name || null,
+      language: getLanguage(s)
+    }));
+
+  return {
+    duration,
+    container: format.format_name || null,
+    bitrate: parseInt(format.bit_rate) || null,
+    video,
+    audio,
+    subtitles
+  };
+}
+
+module.exports = {
+  summarizeProbe,
+  detectHdrType
+};
@@ -0,0 +1,360 @@
+/**
+ * NFO 生成模块
+ * 生成 Kodi / Emby / Jellyfin 兼容的 NFO 内容，并支持合并到已有的 NFO 中
+ */
+
+const { escapeXml, parseXml, serializeXml, getChildElements, getText } = require('./xml');
+
+// NFO 写入方式：merge 只更新本工具负责的字段，overwrite 整体覆盖
+const NFO_MODES = ['merge', 'overwrite'];
+
+// 合并时由本工具负责、总是更新的字段（图片标签单独处理）
+const OWNED_TAGS = ['streamUrl', 'fileinfo', 'dateadded'];
+
+// 合并时仅在缺失时补充的字段，已有值（如刮削器写入的标题）保持不变
+const FILL_TAGS = ['title', 'showtitle', 'season', 'episode', 'runtime'];
+
+/**
+ * 生成图片标签
+ */
+function buildArtworkTags(artworks) {
+  const lines = [];
+  const fanarts = [];
+
+  for (const { artwork, name } of artworks) {
+    // 拖动预览等非图片输出不写入 NFO
+    if (!artwork.nfoTag) continue;
+
+    if (artwork.nfoTag === 'fanart') {
+      fanarts.push(`    <thumb>${escapeXml(name)}</thumb>`);
+    } else if (artwork.nfoAspect) {
+      lines.push(`  <thumb aspect="${escapeXml(artwork.nfoAspect)}">${escapeXml(name)}</thumb>`);
+    } else {
+      lines.push(`  <thumb>${escapeXml(name)}</thumb>`);
+    }
+  }
+
+  if (fanarts.length > 0) {
+    lines.push('  <fanart>', ...fanarts, '  </fanart>');
+  }
+
+  return lines;
+}
+
+/**
+ * 生成一组子标签，跳过空值
+ */
+function buildFields(fields, indent) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([tag, value]) => `${indent}<${tag}>${escapeXml(value)}</${tag}>`);
+}
+
+/**
+ * 生成 <fileinfo><streamdetails> 段落
+ */
+function buildStreamDetails(mediaInfo) {
+  const lines = ['  <fileinfo>', '    <streamdetails>'];
+  const indent = '        ';
+
+  if (mediaInfo.video) {
+    const video = mediaInfo.video;
+    lines.push('      <video>', ...buildFields({
+      codec: video.codec,
+      aspect: video.aspect,
+      width: video.width,
+      height: video.height,
+      durationinseconds: mediaInfo.duration ? Math.round(mediaInfo.duration) : null,
+      hdrtype: video.hdrType
+    }, indent), '      </video>');
+  }
+
+  for (const audio of mediaInfo.audio) {
+    lines.push('      <audio>', ...buildFields({
+      codec: audio.codec,
+      language: audio.language,
+      channels: audio.channels
+    }, indent), '      </audio>');
+  }
+
+  for (const subtitle of mediaInfo.subtitles) {
+    lines.push('      <subtitle>', ...buildFields({
+      language: subtitle.language
+    }, indent), '      </subtitle>');
+  }
+
+  lines.push('    </streamdetails>', '  </fileinfo>');
+  return lines;
+}
+
+/**
+ * 生成电影 / 剧集共用的正文部分
+ */
+function buildVideoBody({ streamUrl, artworks = [], mediaInfo = null, dateAdded }) {
+  const lines = [`  <streamUrl>${escapeXml(streamUrl)}</streamUrl>`];
+
+  if (mediaInfo && mediaInfo.duration) {
+    lines.push(`  <runtime>${Math.round(mediaInfo.duration / 60)}</runtime>`);
+  }
+
+  lines.push(...buildArtworkTags(artworks));
+
+  // 只有缓存的时长、没有流信息时不写 streamdetails，合并时保留已有的
+  if (mediaInfo && (mediaInfo.video || mediaInfo.audio.length > 0 || mediaInfo.subtitles.length > 0)) {
+    lines.push(...buildStreamDetails(mediaInfo));
+  }
+
+  lines.push(`  <dateadded>${escapeXml(dateAdded)}</dateadded>`);
+  return lines;
+}
+
+/**
+ * 生成电影 NFO
+ */
+function buildMovieNfo({ title, ...body }) {
+  return [
+    '<movie>',
+    `  <title>${escapeXml(title)}</title>`,
+    ...buildVideoBody(body),
+    '</movie>'
+  ].join('\n');
+}
+
+/**
+ * 生成单集 NFO
+ */
+function buildEpisodeNfo({ title, showTitle, season, episode, ...body }) {
+  return [
+    '<episodedetails>',
+    ...buildFields({ title, showtitle: showTitle, season, episode }, '  '),
+    ...buildVideoBody(body),
+    '</episodedetails>'
+  ].join('\n');
+}
+
+/**
+ * 生成剧集根目录的 tvshow.nfo
+ * 各季海报按 seasonXX-poster.jpg 命名放在同一目录，媒体服务器会自动识别
+ */
+function buildTvShowNfo({ title }) {
+  return [
+    '<tvshow>',
+    `  <title>${escapeXml(title)}</title>`,
+    '</tvshow>'
+  ].join('\n');
+}
+
+/**
+ * 获取元素的缩进（取第一个子元素前的空白）
+ */
+function getIndent(parent, fallback) {
+  const index = parent.children.findIndex(child => child.type === 'element');
+  const previous = parent.children[index - 1];
+  if (previous && previous.type === 'text' && /^\s+$/.test(previous.value)) {
+    return previous.value;
+  }
+  return fallback;
+}
+
+/**
+ * 在末尾追加子元素，保留原有的结尾空白
+ */
+function appendElement(parent, element, fallbackIndent) {
+  const indent = getIndent(parent, fallbackIndent);
+  const last = parent.children[parent.children.length - 1];
+  const trailing = last && last.type === 'text' && /^\s*$/.test(last.value)
+    ? parent.children.pop()
+    : { type: 'text', value: fallbackIndent.slice(0, -2) };
+
+  parent.children.push({ type: 'text', value: indent }, element, trailing);
+}
+
+/**
+ * 在指定位置插入子元素（连同前面的缩进）
+ */
+function insertElement(parent, element, index, fallbackIndent) {
+  if (index >= parent.children.length) {
+    appendElement(parent, element, fallbackIndent);
+    return;
+  }
+  const indent = getIndent(parent, fallbackIndent);
+  parent.children.splice(index, 0, { type: 'text', value: indent }, element);
+}
+
+/**
+ * 删除子元素及其前面的空白
+ * 返回删除位置
+ */
+function removeElement(parent, element) {
+  let index = parent.children.indexOf(element);
+  const previous = parent.children[index - 1];
+  if (previous && previous.type === 'text' && /^\s*$/.test(previous.value)) {
+    parent.children.splice(index - 1, 2);
+    index--;
+  } else {
+    parent.children.splice(index, 1);
+  }
+  return index;
+}
+
+/**
+ * 获取图片的文件名主干（去掉目录和扩展名），网络地址返回 null
+ */
+function getImageStem(value) {
+  const text = value.trim();
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(text)) return null;
+  return text.split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+}
+
+/**
+ * 已有条目是否是本工具写入的同一张图片：本地文件，去掉目录和扩展名后与新图片的文件名相同
+ */
+function isSameImage(existing, stems) {
+  const stem = getImageStem(getText(existing));
+  return stem !== null && stems.has(stem);
+}
+
+/**
+ * 合并顶层 <thumb>：只替换本工具写入的同一张图片，刮削器写入的图片（包括同 aspect 的）和季海报等其他条目保留
+ */
+function mergeThumbs(target, source) {
+  const thumbs = getChildElements(source, 'thumb');
+  if (thumbs.length === 0) return;
+
+  const stems = new Set(thumbs.map(thumb => getImageStem(getText(thumb))));
+
+  let insertAt = null;
+  for (const existing of getChildElements(target, 'thumb')) {
+    if (existing.attrs.type) continue;
+
+    if (isSameImage(existing, stems)) {
+      const index = removeElement(target, existing);
+      if (insertAt === null) insertAt = index;
+    }
+  }
+
+  if (insertAt === null) {
+    for (const thumb of thumbs) {
+      appendElement(target, thumb, '\n  ');
+    }
+  } else {
+    for (const thumb of [...thumbs].reverse()) {
+      insertElement(target, thumb, insertAt, '\n  ');
+    }
+  }
+}
+
+/**
+ * 合并 <fanart>：新图片放在最前面作为默认背景，已有的其他背景图保留
+ */
+function mergeFanart(target, source) {
+  const sourceFanart = getChildElements(source, 'fanart')[0];
+  if (!sourceFanart) return;
+
+  const targetFanart = getChildElements(target, 'fanart')[0];
+  if (!targetFanart) {
+    appendElement(target, sourceFanart, '\n  ');
+    return;
+  }
+
+  const thumbs = getChildElements(sourceFanart, 'thumb');
+  const stems = new Set(thumbs.map(thumb => getImageStem(getText(thumb))));
+
+  for (const existing of getChildElements(targetFanart, 'thumb')) {
+    if (isSameImage(existing, stems)) {
+      removeElement(targetFanart, existing);
+    }
+  }
+
+  targetFanart.selfClosing = false;
+  const first = getChildElements(targetFanart)[0];
+  for (const thumb of [...thumbs].reverse()) {
+    if (!first) {
+      appendElement(targetFanart, thumb, '\n    ');
+    } else {
+      // 插入到第一个元素前的缩进之前
+      let index = targetFanart.children.indexOf(first);
+      const previous = targetFanart.children[index - 1];
+      if (previous && previous.type === 'text' && /^\s*$/.test(previous.value)) {
+        index--;
+      }
+      insertElement(targetFanart, thumb, index, '\n    ');
+    }
+  }
+}
+
+/**
+ * 将新生成的 NFO 合并到已有 NFO 中
+ * 只更新本工具负责的字段（图片、streamUrl、streamdetails、dateadded），其余内容原样保留
+ * 已有内容中找不到根元素时返回 null
+ */
+function mergeNfo(existingXml, generatedXml) {
+  const document = parseXml(existingXml);
+  const target = getChildElements(document)[0];
+  if (!target) {
+    return null;
+  }
+
+  const source = getChildElements(parseXml(generatedXml))[0];
+  target.selfClosing = false;
+
+  for (const tag of OWNED_TAGS) {
+    const replacement = getChildElements(source, tag)[0];
+    if (!replacement) continue;
+
+    const existing = getChildElements(target, tag);
+    if (existing.length === 0) {
+      appendElement(target, replacement, '\n  ');
+    } else {
+      target.children[target.children.indexOf(existing[0])] = replacement;
+      existing.slice(1).forEach(element => removeElement(target, element));
+    }
+  }
+
+  for (const tag of FILL_TAGS) {
+    const value = getChildElements(source, tag)[0];
+    if (value && getChildElements(target, tag).length === 0) {
+      appendElement(target, value, '\n  ');
+    }
+  }
+
+  mergeThumbs(target, source);
+  mergeFanart(target, source);
+
+  return serializeXml(document);
+}
+
+/**
+ * 已有 NFO 中是否有刮削器写入的图片：顶层 <thumb>、<fanart> 中的 <thumb> 或 Kodi 的 <art> 中，
+ * 有不是本工具写入的图片。本工具写入的是不含路径、以 .strm 文件名开头的文件名（各图片类型、各格式），
+ * 以及 ownNames 中的文件名（命名模板可能改变前缀）
+ */
+function hasScrapedArtwork(existingXml, baseName, ownNames = []) {
+  const root = getChildElements(parseXml(existingXml))[0];
+  if (!root) return false;
+
+  const own = new Set(ownNames);
+  const isScraped = (element) => {
+    const value = getText(element).trim();
+    if (value === '' || own.has(value)) return false;
+    return /[\\/]/.test(value) || !value.startsWith(baseName);
+  };
+
+  const entries = [
+    ...getChildElements(root, 'thumb'),
+    ...getChildElements(root, 'fanart').flatMap(fanart => getChildElements(fanart, 'thumb')),
+    ...getChildElements(root, 'art').flatMap(art => getChildElements(art))
+  ];
+  return entries.some(isScraped);
+}
+
+module.exports = {
+  NFO_MODES,
+  buildArtworkTags,
+  buildStreamDetails,
+  buildMovieNfo,
+  buildEpisodeNfo,
+  buildTvShowNfo,
+  mergeNfo,
+  hasScrapedArtwork
+};
@@ -0,0 +1,95 @@
+/**
+ * 输出布局模块
+ * 设置了输出目录时，决定每个图片在输出目录中的路径：
+ * flat 直接放在输出目录下（不同子目录中的同名文件会互相覆盖），mirror 按 .strm 相对扫描根目录的路径重建子目录，
+ * 也可以用命名模板自定义路径
+ */
+
+const path = require('path');
+const { getArtworkExtension, getArtworkFileName } = require('./artwork');
+
+const OUTPUT_LAYOUTS = ['flat', 'mirror'];
+
+// 命名模板中可用的占位符
+const TEMPLATE_PLACEHOLDERS = ['relDir', 'name', 'type', 'suffix', 'ext'];
+
+const DEFAULT_TEMPLATES = {
+  flat: '{name}{suffix}.{ext}',
+  mirror: '{relDir}/{name}{suffix}.{ext}'
+};
+
+/**
+ * 获取 .strm 文件所在目录相对扫描根目录的路径，不在根目录下时返回空字符串
+ */
+function getRelativeDir(strmFile, rootDir) {
+  if (!rootDir) return '';
+
+  const relDir = path.relative(path.resolve(rootDir), path.dirname(path.resolve(strmFile)));
+  return relDir.startsWith('..') || path.isAbsolute(relDir) ? '' : relDir;
+}
+
+/**
+ * 计算图片的输出路径
+ * options: { outputDir, outputLayout, outputTemplate, strmDir }，未设置输出目录时与 .strm 放在同一目录
+ */
+function getOutputPath(strmFile, artwork, options = {}) {
+  const baseName = path.basename(strmFile, '.strm');
+  if (!options.outputDir) {
+    return path.join(path.dirname(strmFile), getArtworkFileName(baseName, artwork));
+  }
+
+  const template = options.outputTemplate || DEFAULT_TEMPLATES[options.outputLayout] || DEFAULT_TEMPLATES.flat;
+  const values = {
+    relDir: getRelativeDir(strmFile, options.strmDir),
+    name: baseName,
+    type: artwork.type,
+    suffix: artwork.suffix,
+    ext: getArtworkExtension(artwork)
+  };
+
+  return path.join(options.outputDir, template.replace(/\{(\w+)\}/g, (match, key) => values[key]));
+}
+
+/**
+ * 校验输出布局和命名模板，返回错误信息数组
+ */
+function validateOutputOptions(options) {
+  const errors = [];
+
+  if (options.outputLayout !== undefined && !OUTPUT_LAYOUTS.includes(options.outputLayout)) {
+    errors.push(`outputLayout 必须是 ${OUTPUT_LAYOUTS.join(' / ')} 之一`);
+  }
+
+  const template = options.outputTemplate;
+  if (template !== undefined && template !== '') {
+    if (typeof template !== 'string') {
+      errors.push('outputTemplate 必须是字符串');
+      return errors;
+    }
+
+    const unknown = (template.match(/\{(\w*)\}/g) || [])
+      .map(match => match.slice(1, -1))
+      .filter(key => !TEMPLATE_PLACEHOLDERS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`outputTemplate 包含未知的占位符：${unknown.join(', ')}（可用 ${TEMPLATE_PLACEHOLDERS.map(k => `{${k}}`).join(' ')}）`);
+    }
+    if (!template.includes('{name}')) {
+      errors.push('outputTemplate 必须包含 {name}');
+    }
+    if (!template.endsWith('.{ext}')) {
+      errors.push('outputTemplate 必须以 .{ext} 结尾');
+    }
+    if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+      errors.push('outputTemplate 必须是输出目录下的相对路径');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  OUTPUT_LAYOUTS,
+  TEMPLATE_PLACEHOLDERS,
+  getOutputPath,
+  validateOutputOptions
+};
@@ -0,0 +1,299 @@
+/**
+ * 图片叠加模块
+ * 按模板在从母版帧生成的图片上叠加标题、时长、分辨率和 HDR 标记（drawbox / drawtext 滤镜）
+ */
+
+const { buildDrawText } = require('./contactSheet');
+
+// 可叠加的内容
+const OVERLAY_ELEMENTS = ['title', 'runtime', 'resolution', 'hdr'];
+
+const OVERLAY_POSITIONS = ['top-left', 'top', 'top-right', 'center', 'bottom-left', 'bottom', 'bottom-right'];
+
+const BAND_POSITIONS = ['top', 'bottom'];
+
+// 默认叠加的图片类型（背景图一般不叠加文字）
+const DEFAULT_OVERLAY_TYPES = ['cover', 'poster', 'landscape', 'thumb'];
+
+// 可叠加的图片类型（拖动预览、动态预览、联系表不支持）
+const OVERLAY_TYPES = ['cover', 'poster', 'fanart', 'landscape', 'thumb'];
+
+// 元素未设置的字段使用的默认值，size 为字号占图片短边的百分比
+const DEFAULT_ELEMENT = { position: 'bottom-left', size: 5, color: 'white', box: '' };
+
+// 内置模板，可被配置文件中的 overlayTemplates 同名覆盖
+const BUILTIN_TEMPLATES = {
+  default: {
+    band: { position: 'bottom', height: 22, color: 'black@0.45' },
+    elements: [
+      { type: 'runtime', position: 'bottom-left', size: 4 },
+      { type: 'title', position: 'bottom-left', size: 6 },
+      { type: 'resolution', position: 'top-right', size: 4, box: 'black@0.6' },
+      { type: 'hdr', position: 'top-right', size: 4, color: 'gold', box: 'black@0.6' }
+    ]
+  },
+  title: {
+    band: { position: 'bottom', height: 16, color: 'black@0.45' },
+    elements: [
+      { type: 'title', position: 'bottom', size: 6 }
+    ]
+  },
+  badges: {
+    band: null,
+    elements: [
+      { type: 'resolution', position: 'top-left', size: 4, box: 'black@0.6' },
+      { type: 'hdr', position: 'top-left', size: 4, color: 'gold', box: 'black@0.6' }
+    ]
+  }
+};
+
+const TEMPLATE_FIELDS = ['types', 'onlyUnscraped', 'fontFile', 'band', 'elements'];
+const ELEMENT_FIELDS = ['type', 'position', 'size', 'color', 'box'];
+
+// 颜色只接受颜色名或十六进制值（可带 @透明度），避免写入滤镜参数时需要转义
+const COLOR_PATTERN = /^(?:[A-Za-z]+|(?:#|0x)[0-9A-Fa-f]{6}(?:[0-9A-Fa-f]{2})?)(?:@(?:0(?:\.\d+)?|1(?:\.0+)?))?$/;
+
+const HDR_LABELS = {
+  hdr10: 'HDR10',
+  dolbyvision: 'Dolby Vision',
+  hlg: 'HLG'
+};
+
+/**
+ * 合并内置和自定义叠加模板，返回 名称 → 模板
+ */
+function getOverlayTemplates(customTemplates = {}) {
+  return { ...BUILTIN_TEMPLATES, ...customTemplates };
+}
+
+/**
+ * 解析叠加模板选择：字符串为模板名称，对象为直接给出的模板，空值表示不叠加
+ * 名称不存在时抛出异常
+ */
+function resolveOverlayTemplate(selector, customTemplates = {}) {
+  if (!selector) return null;
+
+  const template = typeof selector === 'object' ? selector : getOverlayTemplates(customTemplates)[selector];
+  if (!template) {
+    throw new Error(`未知的叠加模板: ${selector}`);
+  }
+
+  return {
+    types: DEFAULT_OVERLAY_TYPES,
+    onlyUnscraped: true,
+    fontFile: '',
+    band: null,
+    ...template,
+    elements: (template.elements || []).map(element => ({ ...DEFAULT_ELEMENT, ...element }))
+  };
+}
+
+/**
+ * 格式化时长，如 1h 45m、42m
+ */
+function formatRuntime(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * 分辨率标记，按宽度或高度取较高的档位（宽银幕片源高度较小）
+ */
+function getResolutionLabel(width, height) {
+  if (width >= 3200 || height >= 2000) return '4K';
+  if (width >= 1800 || height >= 1000) return '1080p';
+  if (width >= 1200 || height >= 700) return '720p';
+  return `${height}p`;
+}
+
+/**
+ * 生成各叠加内容的文字，缺少信息的内容为 null（不绘制）
+ * media 为剧集识别结果，剧集的标题为 剧名 SxxEyy
+ */
+function getOverlayTexts(baseName, media = null, mediaInfo = null) {
+  const video = mediaInfo && mediaInfo.video;
+  const title = media && media.type === 'episode'
+    ? `${media.showTitle} S${String(media.season).padStart(2, '0')}E${String(media.episode).padStart(2, '0')}`
+    : baseName;
+
+  return {
+    title,
+    runtime: mediaInfo && mediaInfo.duration ? formatRuntime(mediaInfo.duration) : null,
+    resolution: video && video.width && video.height ? getResolutionLabel(video.width, video.height) : null,
+    hdr: video && video.hdrType ? HDR_LABELS[video.hdrType] || video.hdrType.toUpperCase() : null
+  };
+}
+
+/**
+ * 构建叠加滤镜（追加在缩放、裁剪之后）
+ * textFiles 为 内容 → 文字文件路径（没有的内容不绘制），size 为图片的输出尺寸
+ * 同一位置的多个元素按顺序排列：顶部和居中向下排列，底部向上排列
+ */
+function buildOverlayFilters(template, textFiles, size, fontFile = '') {
+  const filters = [];
+  const margin = Math.round(Math.min(size.width, size.height) * 0.04);
+
+  if (template.band) {
+    const bandHeight = Math.round(size.height * template.band.height / 100);
+    const y = template.band.position === 'top' ? 0 : size.height - bandHeight;
+    filters.push(`drawbox=x=0:y=${y}:w=iw:h=${bandHeight}:color=${template.band.color}:t=fill`);
+  }
+
+  const offsets = {};
+  for (const element of template.elements) {
+    const textFile = textFiles[element.type];
+    if (!textFile) continue;
+
+    const fontSize = Math.max(8, Math.round(Math.min(size.width, size.height) * element.size / 100));
+    const padding = element.box ? Math.round(fontSize * 0.3) : 0;
+    const inset = margin + padding;
+    const [vertical, horizontal = 'center'] = element.position.split('-');
+    const offset = offsets[element.position] || 0;
+
+    const x = horizontal === 'left' ? `${inset}` : horizontal === 'right' ? `w-tw-${inset}` : '(w-tw)/2';
+    const y = vertical === 'top'
+      ? `${inset + offset}`
+      : vertical === 'bottom' ? `h-th-${inset + offset}` : `(h-th)/2+${offset}`;
+
+    filters.push(buildDrawText(textFile, {
+      x,
+      y,
+      fontSize,
+      fontFile: template.fontFile || fontFile,
+      fontColor: element.color,
+      box: Boolean(element.box),
+      boxColor: element.box || undefined,
+      boxBorder: padding
+    }));
+    offsets[element.position] = offset + fontSize + padding * 2 + Math.round(fontSize * 0.3);
+  }
+
+  return filters;
+}
+
+/**
+ * 校验叠加模板，返回错误信息数组
+ */
+function validateOverlayTemplate(template, label = 'overlay') {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return [`${label} 必须是对象`];
+  }
+
+  const errors = [];
+  const checkColor = (value, field) => {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+      errors.push(`${field} 必须是颜色名或十六进制颜色（可带 @透明度，如 black@0.5）`);
+    }
+  };
+
+  for (const key of Object.keys(template)) {
+    if (!TEMPLATE_FIELDS.includes(key)) {
+      errors.push(`${label} 包含未知字段: ${key}`);
+    }
+  }
+
+  if (template.types !== undefined) {
+    if (!Array.isArray(template.types) || template.types.some(type => !OVERLAY_TYPES.includes(type))) {
+      errors.push(`${label}.types 必须是 ${OVERLAY_TYPES.join(' / ')} 组成的数组`);
+    }
+  }
+  if (template.onlyUnscraped !== undefined && typeof template.onlyUnscraped !== 'boolean') {
+    errors.push(`${label}.onlyUnscraped 必须是布尔值`);
+  }
+  if (template.fontFile !== undefined && typeof template.fontFile !== 'string') {
+    errors.push(`${label}.fontFile 必须是字符串`);
+  }
+
+  if (template.band !== undefined && template.band !== null) {
+    const band = template.band;
+    if (typeof band !== 'object' || Array.isArray(band)) {
+      errors.push(`${label}.band 必须是对象或 null`);
+    } else {
+      if (!BAND_POSITIONS.includes(band.position)) {
+        errors.push(`${label}.band.position 必须是 ${BAND_POSITIONS.join(' / ')} 之一`);
+      }
+      if (typeof band.height !== 'number' || band.height <= 0 || band.height > 100) {
+        errors.push(`${label}.band.height 必须是 0-100 之间的数字（占图片高度的百分比）`);
+      }
+      checkColor(band.color, `${label}.band.color`);
+    }
+  }
+
+  if (!Array.isArray(template.elements) || template.elements.length === 0) {
+    errors.push(`${label}.elements 必须是非空数组`);
+    return errors;
+  }
+
+  template.elements.forEach((element, i) => {
+    const field = `${label}.elements[${i}]`;
+    if (!element || typeof element !== 'object' || Array.isArray(element)) {
+      errors.push(`${field} 必须是对象`);
+      return;
+    }
+    for (const key of Object.keys(element)) {
+      if (!ELEMENT_FIELDS.includes(key)) {
+        errors.push(`${field} 包含未知字段: ${key}`);
+      }
+    }
+    if (!OVERLAY_ELEMENTS.includes(element.type)) {
+      errors.push(`${field}.type 必须是 ${OVERLAY_ELEMENTS.join(' / ')} 之一`);
+    }
+    if (element.position !== undefined && !OVERLAY_POSITIONS.includes(element.position)) {
+      errors.push(`${field}.position 必须是 ${OVERLAY_POSITIONS.join(' / ')} 之一`);
+    }
+    if (element.size !== undefined && (typeof element.size !== 'number' || element.size < 1 || element.size > 30)) {
+      errors.push(`${field}.size 必须是 1-30 之间的数字（字号占图片短边的百分比）`);
+    }
+    if (element.color !== undefined) {
+      checkColor(element.color, `${field}.color`);
+    }
+    if (element.box !== undefined && element.box !== '') {
+      checkColor(element.box, `${field}.box`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 校验叠加模板选择（名称、直接给出的模板或空值），返回错误信息数组
+ */
+function validateOverlaySelector(selector, customTemplates = {}, label = 'overlay') {
+  if (selector === undefined || selector === null || selector === '') return [];
+  if (typeof selector === 'string') {
+    return getOverlayTemplates(customTemplates)[selector] ? [] : [`${label} 不是已定义的叠加模板: ${selector}`];
+  }
+  return validateOverlayTemplate(selector, label);
+}
+
+/**
+ * 校验自定义叠加模板表（配置文件中的 overlayTemplates），返回错误信息数组
+ */
+function validateOverlayTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return ['overlayTemplates 必须是对象'];
+  }
+
+  const errors = [];
+  for (const [name, template] of Object.entries(templates)) {
+    errors.push(...validateOverlayTemplate(template, `overlayTemplates.${name}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  OVERLAY_ELEMENTS,
+  OVERLAY_POSITIONS,
+  OVERLAY_TYPES,
+  BUILTIN_TEMPLATES,
+  getOverlayTemplates,
+  resolveOverlayTemplate,
+  formatRuntime,
+  getResolutionLabel,
+  getOverlayTexts,
+  buildOverlayFilters,
+  validateOverlayTemplate,
+  validateOverlaySelector,
+  validateOverlayTemplates
+};
@@ -0,0 +1,72 @@
+/**
+ * 处理参数校验模块
+ * 校验 /api/process 提交的批处理配置
+ */
+
+const { FRAME_STRATEGIES } = require('./frameScorer');
+const { validateCaptureOptions } = require('./captureTime');
+const { validateArtworkOptions } = require('./artwork');
+const { validateTvRules } = require('./mediaClassifier');
+const { NFO_MODES } = require('./nfo');
+const { validateRetryOptions } = require('./retry');
+const { validateOutputOptions } = require('./outputLayout');
+const { validateOverlaySelector } = require('./overlay');
+const { validateHostLimits } = require('./hostLimiter');
+const config = require('../config');
+
+/**
+ * 校验处理配置，返回错误信息数组
+ */
+function validateProcessOptions(options) {
+  const errors = [];
+
+  if (options.frameStrategy !== undefined && !FRAME_STRATEGIES.includes(options.frameStrategy)) {
+    errors.push(`frameStrategy 必须是 ${FRAME_STRATEGIES.join(' / ')} 之一`);
+  }
+
+  if (options.frameCandidates !== undefined) {
+    const candidates = Number(options.frameCandidates);
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > 20) {
+      errors.push('frameCandidates 必须是 1-20 之间的整数');
+    }
+  }
+
+  if (options.nfoMode !== undefined && !NFO_MODES.includes(options.nfoMode)) {
+    errors.push(`nfoMode 必须是 ${NFO_MODES.join(' / ')} 之一`);
+  }
+
+  if (options.concurrency !== undefined && options.concurrency !== '') {
+    const concurrency = Number(options.concurrency);
+    const maxConcurrency = config.get('maxConcurrency');
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+      errors.push(`concurrency 必须是 1-${maxConcurrency} 之间的整数`);
+    }
+  }
+
+  if (options.adaptiveConcurrency !== undefined && typeof options.adaptiveConcurrency !== 'boolean') {
+    errors.push('adaptiveConcurrency 必须是布尔值');
+  }
+
+  if (options.mediaServerSync !== undefined && typeof options.mediaServerSync !== 'boolean') {
+    errors.push('mediaServerSync 必须是布尔值');
+  }
+
+  if (options.hostLimits !== undefined) {
+    errors.push(...validateHostLimits(options.hostLimits));
+  }
+
+  errors.push(...validateRetryOptions({ maxRetries: options.maxRetries }));
+  errors.push(...validateCaptureOptions(options));
+  errors.push(...validateArtworkOptions(options, config.get('imageProfiles')));
+  errors.push(...validateOutputOptions(options));
+  if (options.overlay !== false) {
+    errors.push(...validateOverlaySelector(options.overlay, config.get('overlayTemplates')));
+  }
+  errors.push(...validateTvRules(options));
+
+  return errors;
+}
+
+module.exports = {
+  validateProcessOptions
+};
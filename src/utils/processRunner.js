@@ -0,0 +1,232 @@
+/**
+ * 子进程运行模块
+ * 以参数数组方式启动外部程序（不经过 shell），支持超时、取消、输出上限
+ */
+
+const { spawn } = require('child_process');
+
+// 默认 stdout 上限（超出视为错误）
+const DEFAULT_MAX_STDOUT = 10 * 1024 * 1024; // 10MB
+
+// 默认 stderr 上限（超出只保留末尾部分）
+const DEFAULT_MAX_STDERR = 64 * 1024; // 64KB
+
+// 发送 SIGTERM 后等待多久强制 SIGKILL
+const KILL_GRACE_PERIOD = 2000;
+
+/**
+ * 子进程错误基类
+ */
+class ProcessError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProcessError';
+    this.command = details.command;
+    this.exitCode = details.exitCode;
+    this.signal = details.signal;
+    this.stderr = details.stderr || '';
+  }
+}
+
+/**
+ * 程序不存在
+ */
+class CommandNotFoundError extends ProcessError {
+  constructor(details) {
+    super(`找不到命令: ${details.command}`, details);
+    this.name = 'CommandNotFoundError';
+  }
+}
+
+/**
+ * 执行超时
+ */
+class ProcessTimeoutError extends ProcessError {
+  constructor(details) {
+    super(`${details.command} 执行超时 (${details.timeout}ms)`, details);
+    this.name = 'ProcessTimeoutError';
+    this.timeout = details.timeout;
+  }
+}
+
+/**
+ * 被取消
+ */
+class ProcessAbortError extends ProcessError {
+  constructor(details) {
+    super(`${details.command} 已被取消`, details);
+    this.name = 'ProcessAbortError';
+  }
+}
+
+/**
+ * 输出超过上限
+ */
+class OutputLimitError extends ProcessError {
+  constructor(details) {
+    super(`${details.command} 输出超过上限 (${details.maxStdout} 字节)`, details);
+    this.name = 'OutputLimitError';
+  }
+}
+
+/**
+ * 非零退出
+ */
+class ProcessExitError extends ProcessError {
+  constructor(details) {
+    const lastLine = (details.stderr || '').trim().split('\n').pop();
+    const reason = details.signal ? `被信号 ${details.signal} 终止` : `退出码 ${details.exitCode}`;
+    super(`${details.command} ${reason}${lastLine ? `: ${lastLine}` : ''}`, details);
+    this.name = 'ProcessExitError';
+  }
+}
+
+/**
+ * 终止子进程及其整个进程组
+ */
+function killTree(child, signal) {
+  try {
+    if (process.platform !== 'win32') {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (err) {
+    // 进程已退出
+  }
+}
+
+/**
+ * 运行外部程序
+ *
+ * @param {string} command 程序名
+ * @param {string[]} args 参数数组，原样传递，不做 shell 解析
+ * @param {object} options
+ * @param {number} [options.timeout] 超时毫秒数，0 表示不限制
+ * @param {AbortSignal} [options.signal] 取消信号
+ * @param {number} [options.maxStdout] stdout 字节上限
+ * @param {number} [options.maxStderr] stderr 保留的字节数
+ * @param {string} [options.encoding] 'utf-8' 或 'buffer'
+ * @returns {Promise<{stdout: string|Buffer, stderr: string}>}
+ */
+function runProcess(command, args = [], options = {}) {
+  const {
+    timeout = 0,
+    signal = null,
+    maxStdout = DEFAULT_MAX_STDOUT,
+    maxStderr = DEFAULT_MAX_STDERR,
+    encoding = 'utf-8'
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new ProcessAbortError({ command }));
+    }
+
+    const child = spawn(command, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // 独立进程组，便于连同孙进程一起终止
+      detached: process.platform !== 'win32',
+      windowsHide: true
+    });
+
+    const stdoutChunks = [];
+    let stdoutSize = 0;
+    let stderr = Buffer.alloc(0);
+    let failure = null;
+    let timeoutTimer = null;
+    let killTimer = null;
+    let settled = false;
+
+    const terminate = (error) => {
+      if (failure) return;
+      failure = error;
+      killTree(child, 'SIGTERM');
+      killTimer = setTimeout(() => killTree(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+    };
+
+    const onAbort = () => terminate(new ProcessAbortError({ command }));
+
+    const cleanup = () => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    child.stdout.on('data', (chunk) => {
+      stdoutSize += chunk.length;
+      if (stdoutSize > maxStdout) {
+        terminate(new OutputLimitError({ command, maxStdout }));
+        return;
+      }
+      stdoutChunks.push(chunk);
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr = Buffer.concat([stderr, chunk]);
+      if (stderr.length > maxStderr) {
+        stderr = stderr.subarray(stderr.length - maxStderr);
+      }
+    });
+
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+
+      if (err.code === 'ENOENT') {
+        reject(new CommandNotFoundError({ command }));
+      } else {
+        reject(new ProcessError(`${command} 启动失败: ${err.message}`, { command }));
+      }
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+
+      const stderrText = stderr.toString('utf-8');
+
+      if (failure) {
+        failure.stderr = stderrText;
+        return reject(failure);
+      }
+
+      if (exitCode !== 0) {
+        return reject(new ProcessExitError({
+          command,
+          exitCode,
+          signal: exitSignal,
+          stderr: stderrText
+        }));
+      }
+
+      const stdout = Buffer.concat(stdoutChunks);
+      resolve({
+        stdout: encoding === 'buffer' ? stdout : stdout.toString(encoding),
+        stderr: stderrText
+      });
+    });
+
+    if (timeout > 0) {
+      timeoutTimer = setTimeout(() => {
+        terminate(new ProcessTimeoutError({ command, timeout }));
+      }, timeout);
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+module.exports = {
+  runProcess,
+  ProcessError,
+  CommandNotFoundError,
+  ProcessTimeoutError,
+  ProcessAbortError,
+  OutputLimitError,
+  ProcessExitError
+};
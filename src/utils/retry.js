@@ -0,0 +1,70 @@
+/**
+ * 重试模块
+ * 计算指数退避延迟，判断失败类型是否值得自动重试
+ */
+
+const { LINK_FAILURES } = require('./linkChecker');
+
+/**
+ * 第 attempt 次重试前的等待时间（毫秒）：baseDelay × 2^(attempt-1)，不超过 maxDelay
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+}
+
+/**
+ * 失败类型是否属于可重试的临时故障
+ */
+function isRetryable(category, retryCategories) {
+  return Boolean(category) && retryCategories.includes(category);
+}
+
+/**
+ * 等待指定时间，signal 中止时提前结束
+ */
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 校验重试次数和失败类型列表
+ */
+function validateRetryOptions(options) {
+  const errors = [];
+
+  if (options.maxRetries !== undefined && options.maxRetries !== '') {
+    const retries = Number(options.maxRetries);
+    if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+      errors.push('maxRetries 必须是 0-10 之间的整数');
+    }
+  }
+
+  if (options.categories !== undefined) {
+    const categories = Object.values(LINK_FAILURES);
+    if (!Array.isArray(options.categories) || options.categories.some(c => !categories.includes(c))) {
+      errors.push(`categories 必须是 ${categories.join(' / ')} 组成的数组`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getBackoffDelay,
+  isRetryable,
+  sleep,
+  validateRetryOptions
+};
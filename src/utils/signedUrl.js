@@ -0,0 +1,73 @@
+/**
+ * 签名链接模块
+ * 从网盘/对象存储的签名链接中解析过期时间，用于决定解析结果可以缓存多久
+ */
+
+// 直接给出过期时间戳的参数（秒或毫秒）
+const EXPIRES_PARAMS = ['expires', 'expire', 'expiration', 'exp', 'e', 'x-oss-expires', 'deadline'];
+
+// 签名时间 + 有效期的参数组合（AWS S3 / Google Cloud Storage）
+const SIGNED_DATE_PARAMS = [
+  ['x-amz-date', 'x-amz-expires'],
+  ['x-goog-date', 'x-goog-expires']
+];
+
+/**
+ * 解析 20240101T120000Z 格式的签名时间
+ */
+function parseCompactDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+/**
+ * 解析时间戳参数，小于 10 位的数字不视为时间戳
+ */
+function parseTimestamp(value) {
+  if (!/^\d{10}(\d{3})?$/.test(value || '')) return null;
+
+  const number = Number(value);
+  return value.length === 13 ? number : number * 1000;
+}
+
+/**
+ * 获取签名链接的过期时间（毫秒时间戳），无法识别时返回 null
+ */
+function getSignedUrlExpiry(url) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (err) {
+    return null;
+  }
+
+  // 参数名大小写不一，统一转为小写
+  const query = new Map();
+  for (const [key, value] of params) {
+    query.set(key.toLowerCase(), value);
+  }
+
+  for (const [dateParam, expiresParam] of SIGNED_DATE_PARAMS) {
+    const signedAt = parseCompactDate(query.get(dateParam));
+    const expires = parseInt(query.get(expiresParam));
+    if (signedAt !== null && expires > 0) {
+      return signedAt + expires * 1000;
+    }
+  }
+
+  for (const param of EXPIRES_PARAMS) {
+    const expiry = parseTimestamp(query.get(param));
+    if (expiry !== null) {
+      return expiry;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getSignedUrlExpiry
+};
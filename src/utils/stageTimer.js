@@ -0,0 +1,60 @@
+/**
+ * 阶段耗时模块
+ * 记录单个文件各处理阶段的耗时，并汇总为任务级统计
+ */
+
+const STAGE_LABELS = {
+  resolve: '解析链接',
+  probe: '探测',
+  select: '选帧',
+  capture: '截图',
+  nfo: 'NFO'
+};
+
+/**
+ * 创建阶段计时器
+ * measure(stage, fn) 执行 fn 并把耗时（毫秒）累加到 timings[stage]
+ */
+function createStageTimer() {
+  const timings = {};
+
+  const measure = async (stage, fn) => {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      timings[stage] = (timings[stage] || 0) + Date.now() - start;
+    }
+  };
+
+  return { timings, measure };
+}
+
+/**
+ * 累加多组阶段耗时
+ */
+function sumTimings(timingsList) {
+  const total = {};
+  for (const timings of timingsList) {
+    for (const [stage, ms] of Object.entries(timings || {})) {
+      total[stage] = (total[stage] || 0) + ms;
+    }
+  }
+  return total;
+}
+
+/**
+ * 格式化阶段耗时，如 "解析链接 0.12s，探测 0.80s"
+ * 未定义标签的阶段（拖动预览等图片类型）直接使用阶段名
+ */
+function formatTimings(timings) {
+  return Object.entries(timings)
+    .map(([stage, ms]) => `${STAGE_LABELS[stage] || stage} ${(ms / 1000).toFixed(2)}s`)
+    .join('，');
+}
+
+module.exports = {
+  createStageTimer,
+  sumTimings,
+  formatTimings
+};
@@ -1,73 +1,183 @@
 /**
  * 智能任务队列模块
- * 支持并发控制、优先级、任务统计
+ * 支持并发控制、优先级、暂停/恢复、自适应并发和任务耗时统计
+ * 任务结束或恢复时立即唤醒排队中的任务，不轮询
  */
 
+// 自适应并发：每完成多少个任务评估一次（不少于当前并发数）
+const ADAPTIVE_WINDOW = 5;
+
+// 自适应并发：窗口内失败率超过该值时降低并发
+const ADAPTIVE_ERROR_RATE = 0.2;
+
+// 自适应并发：窗口平均耗时超过基准的倍数时降低并发，低于该倍数且无失败时提高并发
+const ADAPTIVE_SLOWDOWN = 1.5;
+const ADAPTIVE_SPEEDUP = 1.1;
+
+// 自适应并发：每个窗口的平均耗时计入基准耗时的权重（指数衰减，基准随片源和网络变化缓慢调整）
+const ADAPTIVE_BASELINE_WEIGHT = 0.3;
+
 class TaskQueue {
-  constructor(concurrency = 4, logger = null) {
+  /**
+   * @param {number} concurrency 初始并发数
+   * @param {object} logger 日志
+   * @param {object} options
+   * @param {boolean} options.adaptive 是否根据耗时和失败率自动调整并发
+   * @param {number} options.minConcurrency 自适应并发下限
+   * @param {number} options.maxConcurrency 自适应并发上限
+   * @param {Function} options.isFailure 根据任务返回值判断是否失败（抛出异常的任务总是视为失败）
+   * @param {Function} options.isSample 根据任务返回值判断是否计入自适应并发的耗时统计（跳过、取消的任务耗时不代表实际处理速度）
+   */
+  constructor(concurrency = 4, logger = null, options = {}) {
     this.concurrency = concurrency;
     this.running = 0;
     this.queue = [];
     this.logger = logger;
-    this.stats = {
-      total: 0,
-      completed: 0,
-      failed: 0,
-      active: 0
-    };
+    this.paused = false;
+    this.idleWaiters = [];
+
+    this.adaptive = Boolean(options.adaptive);
+    this.minConcurrency = Math.min(options.minConcurrency || 1, concurrency);
+    this.maxConcurrency = Math.max(options.maxConcurrency || concurrency, concurrency);
+    this.isFailure = options.isFailure || (() => false);
+    this.isSample = options.isSample || (() => true);
+
+    // 自适应并发的评估窗口和基准耗时（各窗口平均耗时的指数加权平均）
+    this.window = [];
+    this.baselineDuration = null;
+
+    this.resetStats();
   }
 
   /**
-   * 添加任务到队列
+   * 添加任务，返回任务的执行结果
+   * 优先级高的先执行，同优先级按添加顺序执行
    */
-  async add(task, priority = 0) {
+  add(task, priority = 0) {
     this.stats.total++;
 
-    // 等待直到有空闲槽位
-    while (this.running >= this.concurrency) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    return new Promise((resolve, reject) => {
+      const entry = { task, priority, queuedAt: Date.now(), resolve, reject };
+
+      // 按优先级插入（同优先级保持先进先出）
+      const index = this.queue.findIndex(item => item.priority < priority);
+      if (index === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(index, 0, entry);
+      }
+
+      this.processNext();
+    });
+  }
+
+  /**
+   * 有空闲槽位且未暂停时，启动排队中的任务
+   */
+  processNext() {
+    while (!this.paused && this.running < this.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
     }
 
+    if (this.running === 0 && this.queue.length === 0) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * 执行单个任务并记录耗时
+   */
+  async run(entry) {
+    const startedAt = Date.now();
     this.running++;
     this.stats.active = this.running;
+    this.recordWait(startedAt - entry.queuedAt);
 
+    let failed = true;
+    let sampled = true;
     try {
-      const result = await task();
-      this.stats.completed++;
-      return result;
+      const result = await entry.task();
+      failed = this.isFailure(result);
+      sampled = this.isSample(result);
+      entry.resolve(result);
     } catch (error) {
-      this.stats.failed++;
       if (this.logger) {
         this.logger.error('任务执行失败', { error: error.message });
       }
-      throw error;
+      entry.reject(error);
     } finally {
       this.running--;
       this.stats.active = this.running;
+      this.recordTask(Date.now() - startedAt, failed, sampled);
       this.processNext();
     }
   }
 
   /**
-   * 处理队列中的下一个任务
+   * 记录排队等待时间
    */
-  processNext() {
-    if (this.queue.length > 0 && this.running < this.concurrency) {
-      const task = this.queue.shift();
-      this.add(task);
+  recordWait(wait) {
+    this.stats.totalWait += wait;
+    this.stats.maxWait = Math.max(this.stats.maxWait, wait);
+  }
+
+  /**
+   * 记录任务耗时和结果，自适应模式下按窗口调整并发（sampled 为 false 的任务不计入窗口）
+   */
+  recordTask(duration, failed, sampled = true) {
+    if (failed) {
+      this.stats.failed++;
+    } else {
+      this.stats.completed++;
+    }
+    this.stats.totalDuration += duration;
+    this.stats.minDuration = Math.min(this.stats.minDuration, duration);
+    this.stats.maxDuration = Math.max(this.stats.maxDuration, duration);
+
+    if (!this.adaptive || !sampled) return;
+
+    this.window.push({ duration, failed });
+    if (this.window.length >= Math.max(ADAPTIVE_WINDOW, this.concurrency)) {
+      this.adjustConcurrency();
     }
   }
 
   /**
-   * 添加任务到等待队列
+   * 自适应调整并发（加法增大、乘法减小）
+   * 失败率过高或平均耗时明显变长时减小并发，耗时稳定且无失败时并发加一
+   * 与基准耗时比较后再把本窗口计入基准，个别异常快的窗口不会长期压低基准
    */
-  enqueue(task, priority = 0) {
-    this.queue.push({ task, priority });
+  adjustConcurrency() {
+    const window = this.window;
+    this.window = [];
 
-    // 按优先级排序（优先级高的在前）
-    this.queue.sort((a, b) => b.priority - a.priority);
+    const average = window.reduce((sum, item) => sum + item.duration, 0) / window.length;
+    const errorRate = window.filter(item => item.failed).length / window.length;
 
-    this.processNext();
+    const baseline = this.baselineDuration === null ? average : this.baselineDuration;
+    this.baselineDuration = baseline + (average - baseline) * ADAPTIVE_BASELINE_WEIGHT;
+
+    let next = this.concurrency;
+    if (errorRate > ADAPTIVE_ERROR_RATE || average > baseline * ADAPTIVE_SLOWDOWN) {
+      next = Math.max(this.minConcurrency, Math.floor(this.concurrency * 0.75));
+    } else if (errorRate === 0 && average <= baseline * ADAPTIVE_SPEEDUP) {
+      next = Math.min(this.maxConcurrency, this.concurrency + 1);
+    }
+
+    if (next !== this.concurrency) {
+      if (this.logger) {
+        this.logger.info(`自适应并发：${this.concurrency} → ${next}`, {
+          averageDuration: Math.round(average),
+          baselineDuration: Math.round(baseline),
+          errorRate
+        });
+      }
+      this.stats.adjustments++;
+      this.concurrency = next;
+      this.processNext();
+    }
   }
 
   /**
@@ -78,6 +188,7 @@ class TaskQueue {
       running: this.running,
       queued: this.queue.length,
       concurrency: this.concurrency,
+      paused: this.paused,
       stats: { ...this.stats }
     };
   }
@@ -97,13 +208,11 @@ class TaskQueue {
     }
 
     // 尝试处理更多任务
-    while (this.running < this.concurrency && this.queue.length > 0) {
-      this.processNext();
-    }
+    this.processNext();
   }
 
   /**
-   * 暂停队列
+   * 暂停队列：正在执行的任务继续完成，排队中的任务不再开始
    */
   pause() {
     this.paused = true;
@@ -124,25 +233,28 @@ class TaskQueue {
   }
 
   /**
-   * 清空队列
+   * 清空队列，排队中的任务以错误结束
    */
   clear() {
-    const cleared = this.queue.length;
-    this.queue = [];
+    const cleared = this.queue.splice(0);
+    for (const entry of cleared) {
+      entry.reject(new Error('任务已从队列中移除'));
+    }
 
     if (this.logger) {
-      this.logger.info(`已清空队列，移除了 ${cleared} 个任务`);
+      this.logger.info(`已清空队列，移除了 ${cleared.length} 个任务`);
     }
 
-    return cleared;
+    this.processNext();
+    return cleared.length;
   }
 
   /**
    * 等待所有任务完成
    */
   async drain() {
-    while (this.running > 0 || this.queue.length > 0) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (this.running > 0 || this.queue.length > 0) {
+      await new Promise(resolve => this.idleWaiters.push(resolve));
     }
 
     if (this.logger) {
@@ -151,13 +263,27 @@ class TaskQueue {
   }
 
   /**
-   * 获取统计信息
+   * 获取统计信息（耗时单位为毫秒）
    */
   getStats() {
+    const finished = this.stats.completed + this.stats.failed;
+    const started = finished + this.stats.active;
+
     return {
-      ...this.stats,
-      successRate: this.stats.total > 0
-        ? ((this.stats.completed / this.stats.total) * 100).toFixed(2) + '%'
+      total: this.stats.total,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      active: this.stats.active,
+      queued: this.queue.length,
+      concurrency: this.concurrency,
+      adjustments: this.stats.adjustments,
+      averageWait: started > 0 ? Math.round(this.stats.totalWait / started) : 0,
+      maxWait: this.stats.maxWait,
+      averageDuration: finished > 0 ? Math.round(this.stats.totalDuration / finished) : 0,
+      minDuration: finished > 0 ? this.stats.minDuration : 0,
+      maxDuration: this.stats.maxDuration,
+      successRate: finished > 0
+        ? ((this.stats.completed / finished) * 100).toFixed(2) + '%'
         : 'N/A'
     };
   }
@@ -170,7 +296,13 @@ class TaskQueue {
       total: 0,
       completed: 0,
       failed: 0,
-      active: this.running
+      active: this.running,
+      adjustments: 0,
+      totalWait: 0,
+      maxWait: 0,
+      totalDuration: 0,
+      minDuration: Infinity,
+      maxDuration: 0
     };
 
     if (this.logger) {
@@ -0,0 +1,122 @@
+/**
+ * 拖动预览（trickplay）模块
+ * 生成 WebVTT 缩略图轨道和 Roku BIF 文件内容
+ */
+
+// BIF 文件头魔数
+const BIF_MAGIC = Buffer.from([0x89, 0x42, 0x49, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BIF_HEADER_SIZE = 64;
+
+/**
+ * 格式化 WebVTT 时间戳（HH:MM:SS.mmm）
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const s = totalSeconds % 60;
+  const m = Math.floor(totalSeconds / 60) % 60;
+  const h = Math.floor(totalSeconds / 3600);
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+/**
+ * 获取第 index 张雪碧图的文件名
+ */
+function getSpriteName(index) {
+  return `sprite-${String(index + 1).padStart(3, '0')}.jpg`;
+}
+
+/**
+ * 生成 WebVTT 缩略图轨道
+ * 第 i 帧对应 [i * interval, (i + 1) * interval)，按行优先排列在雪碧图中
+ *
+ * @param {object} options
+ * @param {number} options.frameCount 帧数
+ * @param {number} options.duration 视频时长（秒）
+ * @param {number} options.interval 间隔（秒）
+ * @param {number} options.columns 每张雪碧图的列数
+ * @param {number} options.rows 每张雪碧图的行数
+ * @param {number} options.tileWidth 单帧宽度
+ * @param {number} options.tileHeight 单帧高度
+ * @param {string} options.spriteDir 雪碧图目录（相对于 .vtt 文件）
+ */
+function buildWebVtt({ frameCount, duration, interval, columns, rows, tileWidth, tileHeight, spriteDir }) {
+  const perSheet = columns * rows;
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < frameCount; i++) {
+    const start = i * interval;
+    const end = i === frameCount - 1 ? Math.max(duration, start + interval) : (i + 1) * interval;
+    const position = i % perSheet;
+    const x = (position % columns) * tileWidth;
+    const y = Math.floor(position / columns) * tileHeight;
+    const sprite = `${encodeURI(spriteDir)}/${getSpriteName(Math.floor(i / perSheet))}`;
+
+    lines.push(
+      `${formatVttTime(start)} --> ${formatVttTime(end)}`,
+      `${sprite}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 生成 BIF 文件
+ * frames 为按时间顺序排列的 JPEG 数据，interval 为帧间隔（秒）
+ */
+function buildBif(frames, interval) {
+  const header = Buffer.alloc(BIF_HEADER_SIZE);
+  BIF_MAGIC.copy(header, 0);
+  header.writeUInt32LE(0, 8); // 版本
+  header.writeUInt32LE(frames.length, 12);
+  header.writeUInt32LE(Math.round(interval * 1000), 16); // 时间戳单位（毫秒）
+
+  // 索引表：每帧 8 字节（时间戳 + 偏移），末尾一条结束标记
+  const index = Buffer.alloc((frames.length + 1) * 8);
+  let offset = BIF_HEADER_SIZE + index.length;
+
+  frames.forEach((frame, i) => {
+    index.writeUInt32LE(i, i * 8);
+    index.writeUInt32LE(offset, i * 8 + 4);
+    offset += frame.length;
+  });
+  index.writeUInt32LE(0xffffffff, frames.length * 8);
+  index.writeUInt32LE(offset, frames.length * 8 + 4);
+
+  return Buffer.concat([header, index, ...frames]);
+}
+
+/**
+ * 校验拖动预览配置
+ */
+function validateTrickplayOptions(override) {
+  const errors = [];
+  const ranges = { interval: [1, 600], columns: [1, 20], rows: [1, 20] };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    const value = override[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      errors.push(`trickplay.${field} 必须是 ${min}-${max} 之间的整数`);
+    }
+  }
+  for (const field of ['bif', 'keyframesOnly']) {
+    if (override[field] !== undefined && typeof override[field] !== 'boolean') {
+      errors.push(`trickplay.${field} 必须是布尔值`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  formatVttTime,
+  getSpriteName,
+  buildWebVtt,
+  buildBif,
+  validateTrickplayOptions
+};
@@ -0,0 +1,158 @@
+/**
+ * XML 工具模块
+ * 提供转义，以及一个宽松的 XML 解析/序列化实现，用于合并已有的 NFO 文件
+ * 解析时保留原始文本、属性、注释和空白，未修改的部分可原样写回
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * 转义文本或属性值
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+}
+
+/**
+ * 还原实体引用，无法识别的实体原样保留
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (err) {
+        return match;
+      }
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * 解析属性字符串
+ */
+function parseAttributes(raw) {
+  const attrs = {};
+  const pattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(raw)) !== null) {
+    attrs[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * 宽松解析 XML
+ * 未闭合或错误嵌套的标签会被自动修正，游离的 < 按文本处理
+ * 返回 { type: 'document', children } 树；元素节点为 { type: 'element', name, rawAttrs, attrs, children, selfClosing }
+ */
+function parseXml(text) {
+  const document = { type: 'document', children: [] };
+  const stack = [document];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/?[A-Za-z_][^<>]*>|<|[^<]+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const token = match[0];
+    const parent = stack[stack.length - 1];
+
+    if (token.startsWith('<![CDATA[')) {
+      parent.children.push({ type: 'cdata', value: token });
+    } else if (token.startsWith('<!') || token.startsWith('<?')) {
+      parent.children.push({ type: 'raw', value: token });
+    } else if (token.startsWith('</')) {
+      const name = token.slice(2, -1).trim();
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) {
+        stack.length = index;
+      }
+    } else if (token.length > 1 && token.startsWith('<')) {
+      const selfClosing = token.endsWith('/>');
+      const body = token.slice(1, selfClosing ? -2 : -1);
+      const name = body.match(/^[^\s/]+/)[0];
+      const rawAttrs = body.slice(name.length);
+
+      const element = {
+        type: 'element',
+        name,
+        rawAttrs,
+        attrs: parseAttributes(rawAttrs),
+        children: [],
+        selfClosing
+      };
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else {
+      parent.children.push({ type: 'text', value: token === '<' ? '&lt;' : token });
+    }
+  }
+
+  return document;
+}
+
+/**
+ * 序列化节点
+ */
+function serializeXml(node) {
+  switch (node.type) {
+    case 'document':
+      return node.children.map(serializeXml).join('');
+    case 'element':
+      if (node.selfClosing && node.children.length === 0) {
+        return `<${node.name}${node.rawAttrs}/>`;
+      }
+      return `<${node.name}${node.rawAttrs}>${node.children.map(serializeXml).join('')}</${node.name}>`;
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * 获取子元素
+ */
+function getChildElements(node, name = null) {
+  return node.children.filter(child =>
+    child.type === 'element' && (name === null || child.name === name)
+  );
+}
+
+/**
+ * 获取元素的文本内容（已还原实体）
+ */
+function getText(node) {
+  return node.children.map(child => {
+    if (child.type === 'text') return decodeXml(child.value);
+    if (child.type === 'cdata') return child.value.slice(9, -3);
+    if (child.type === 'element') return getText(child);
+    return '';
+  }).join('');
+}
+
+module.exports = {
+  escapeXml,
+  decodeXml,
+  parseXml,
+  serializeXml,
+  getChildElements,
+  getText
+};
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveArtworkTypes, getCropRect } = require('../src/utils/artwork');
+
+describe('resolveArtworkTypes', () => {
+  it('未指定类型时使用全局默认类型', () => {
+    assert.deepEqual(resolveArtworkTypes({}, { artworkTypes: ['poster', 'fanart'] }).map(a => a.type), ['poster', 'fanart']);
+    assert.deepEqual(resolveArtworkTypes().map(a => a.type), ['cover']);
+  });
+
+  it('内置定义 < 全局覆盖 < 批次统一裁剪方式 < 批次单类型配置', () => {
+    const defaults = { artworkOverrides: { poster: { width: 680, height: 1000, crop: 'center' }, fanart: { suffix: '-bg' } } };
+    const [poster, fanart] = resolveArtworkTypes({
+      artworkTypes: ['poster', 'fanart'],
+      artworkCrop: 'smart',
+      artworkOptions: { poster: { height: 1020 } }
+    }, defaults);
+
+    assert.equal(poster.width, 680);
+    assert.equal(poster.height, 1020);
+    assert.equal(poster.crop, 'smart');
+    assert.equal(poster.nfoAspect, 'poster');
+    assert.equal(fanart.suffix, '-bg');
+  });
+});
+
+describe('getCropRect', () => {
+  it('宽画面裁剪两侧，按 offset 定位', () => {
+    assert.deepEqual(getCropRect(1920, 1080, 2 / 3), { width: 720, height: 1080, x: 600, y: 0 });
+    assert.deepEqual(getCropRect(1920, 1080, 2 / 3, 0), { width: 720, height: 1080, x: 0, y: 0 });
+    assert.deepEqual(getCropRect(1920, 1080, 2 / 3, 1), { width: 720, height: 1080, x: 1200, y: 0 });
+  });
+
+  it('高画面裁剪上下，尺寸取偶数', () => {
+    assert.deepEqual(getCropRect(1000, 1000, 16 / 9), { width: 1000, height: 562, x: 0, y: 219 });
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLength, getCaptureWindow, getCaptureTime, validateCaptureOptions } = require('../src/utils/captureTime');
+
+describe('getCaptureWindow', () => {
+  it('按秒数或百分比排除片头片尾', () => {
+    assert.equal(parseLength('10%', 600), 60);
+    assert.equal(parseLength(90, 600), 90);
+    assert.equal(parseLength('', 600), 0);
+    assert.deepEqual(getCaptureWindow(600, { excludeStart: 90, excludeEnd: '10%' }), { start: 90, end: 540 });
+  });
+
+  it('排除后窗口为空时退回整个时长', () => {
+    assert.deepEqual(getCaptureWindow(100, { excludeStart: '60%', excludeEnd: '50%' }), { start: 0, end: 100 });
+  });
+});
+
+describe('getCaptureTime', () => {
+  const options = { excludeStart: 100, excludeEnd: 100 };
+
+  it('percent 取窗口内的百分比位置', () => {
+    assert.equal(getCaptureTime(1000, options), 500);
+    assert.equal(getCaptureTime(1000, { ...options, capturePercent: 0 }), 100);
+    assert.equal(getCaptureTime(1000, { ...options, capturePercent: 100 }), 899.5);
+  });
+
+  it('offset 限制在窗口内', () => {
+    assert.equal(getCaptureTime(1000, { ...options, captureMode: 'offset', captureOffset: 300 }), 300);
+    assert.equal(getCaptureTime(1000, { ...options, captureMode: 'offset', captureOffset: 10 }), 100);
+    assert.equal(getCaptureTime(1000, { ...options, captureMode: 'offset', captureOffset: 5000 }), 899.5);
+  });
+
+  it('random 在窗口内随机', (t) => {
+    t.mock.method(Math, 'random', () => 0.25);
+    assert.equal(getCaptureTime(1000, { ...options, captureMode: 'random' }), 300);
+  });
+});
+
+describe('validateCaptureOptions', () => {
+  it('接受合法配置', () => {
+    assert.deepEqual(validateCaptureOptions({ captureMode: 'offset', captureOffset: '90', excludeStart: '5%', excludeEnd: 120 }), []);
+  });
+
+  it('拒绝非法的模式、百分比、偏移和排除时长', () => {
+    assert.deepEqual(validateCaptureOptions({
+      captureMode: 'middle',
+      capturePercent: 150,
+      captureOffset: -1,
+      excludeStart: '100%',
+      excludeEnd: 'abc'
+    }), [
+      'captureMode 必须是 percent / offset / random 之一',
+      'capturePercent 必须在 0-100 之间',
+      'captureOffset 必须是非负秒数',
+      'excludeStart 必须是秒数或小于 100 的百分比（如 90 或 10%）',
+      'excludeEnd 必须是秒数或小于 100 的百分比（如 90 或 10%）'
+    ]);
+  });
+});
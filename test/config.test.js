@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+const Config = config.constructor;
+
+describe('Config.loadFromFile', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('文件中的设置覆盖默认值，其余保留', () => {
+    const file = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ hostLimits: { 'pan.example.com': { concurrency: 2 } } }));
+
+    const instance = new Config();
+    assert.equal(instance.loadFromFile(file), true);
+    assert.deepEqual(instance.get('hostLimits'), { 'pan.example.com': { concurrency: 2 } });
+    assert.equal(instance.get('nfoMode'), 'merge');
+  });
+
+  it('文件不存在时返回 false，无法解析时抛出异常', () => {
+    const instance = new Config();
+    assert.equal(instance.loadFromFile(path.join(tmpDir, 'missing.json')), false);
+
+    const broken = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(broken, '{ "port": ');
+    assert.throws(() => instance.loadFromFile(broken), SyntaxError);
+
+    const array = path.join(tmpDir, 'array.json');
+    fs.writeFileSync(array, '[]');
+    assert.throws(() => instance.loadFromFile(array), /必须是 JSON 对象/);
+  });
+
+  it('配置文件模板可以通过校验', () => {
+    const instance = new Config();
+    instance.loadFromFile(path.join(__dirname, '..', 'config.example.json'));
+    assert.deepEqual(instance.validate().errors, []);
+  });
+});
+
+describe('Config.validate', () => {
+  const validate = (values) => {
+    const instance = new Config();
+    Object.entries(values).forEach(([key, value]) => instance.set(key, value));
+    return instance.validate().errors;
+  };
+
+  it('校验配置文件中的图片类型覆盖', () => {
+    assert.deepEqual(validate({ artworkOverrides: { poster: { width: 8 } } }), ['poster.width 必须是 16-7680 之间的整数']);
+  });
+
+  it('校验配置文件中的剧集识别规则', () => {
+    assert.deepEqual(validate({ tvRules: { episodePatterns: ['('] } }), ['tvRules.episodePatterns 中的正则无效: (']);
+    assert.deepEqual(validate({ mediaType: 'anime' }), ['mediaType 必须是 auto / movie / tv 之一']);
+  });
+
+  it('校验配置文件中的按主机限流', () => {
+    assert.deepEqual(validate({ hostLimits: { 'pan.example.com': { concurrency: -1 } } }), ['hostLimits.pan.example.com.concurrency 必须是非负整数']);
+    assert.deepEqual(validate({ hostLimits: [] }), ['hostLimits 必须是以主机名为键的对象']);
+  });
+
+  it('校验自定义图片输出配置', () => {
+    assert.ok(validate({ imageProfiles: { small: { format: 'bmp' } } }).length > 0);
+    assert.equal(validate({ imageProfile: 'small' }).length, 1);
+    assert.deepEqual(validate({ imageProfile: 'small', imageProfiles: { small: { format: 'webp', quality: 75 } } }), []);
+  });
+
+  it('校验自定义叠加模板', () => {
+    assert.deepEqual(validate({ overlayTemplate: 'corner' }), ['overlayTemplate 不是已定义的叠加模板: corner']);
+    assert.deepEqual(validate({ overlayTemplates: { corner: { elements: [] } } }), ['overlayTemplates.corner.elements 必须是非空数组']);
+    assert.deepEqual(validate({
+      overlayTemplate: 'corner',
+      overlayTemplates: { corner: { elements: [{ type: 'resolution' }] } }
+    }), []);
+  });
+});
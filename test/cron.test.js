@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextRun, validateCron } = require('../src/utils/cron');
+
+// 使用本地时间构造日期（cron 按服务器本地时区计算）
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  it('解析列表、范围和步长', () => {
+    const cron = parseCron('0,30 9-17/4 * * 1-5');
+
+    assert.deepEqual([...cron.minutes], [0, 30]);
+    assert.deepEqual([...cron.hours], [9, 13, 17]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, true);
+  });
+
+  it('星期中的 7 等同于周日，支持宏', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.deepEqual([...parseCron('@daily').hours], [0]);
+  });
+
+  it('格式错误或超出范围时抛出异常', () => {
+    assert.throws(() => parseCron('* * * *'), /5 个字段/);
+    assert.throws(() => parseCron('60 * * * *'), /超出范围/);
+    assert.throws(() => parseCron('*/0 * * * *'), /超出范围/);
+    assert.throws(() => parseCron('a * * * *'), /格式错误/);
+  });
+});
+
+describe('getNextRun', () => {
+  it('不含当前分钟', () => {
+    assert.deepEqual(getNextRun('* * * * *', local(2024, 1, 1, 10, 0)), local(2024, 1, 1, 10, 1));
+    assert.deepEqual(getNextRun('0 3 * * *', local(2024, 1, 1, 3, 0)), local(2024, 1, 2, 3, 0));
+  });
+
+  it('跨月和闰年', () => {
+    assert.deepEqual(getNextRun('30 0 1 * *', local(2024, 1, 31, 12, 0)), local(2024, 2, 1, 0, 30));
+    assert.deepEqual(getNextRun('0 0 29 2 *', local(2024, 3, 1)), local(2028, 2, 29));
+  });
+
+  it('日期和星期都有限制时满足其一即可', () => {
+    // 2024-01-01 是周一
+    assert.deepEqual(getNextRun('0 0 15 * 3', local(2024, 1, 1, 1, 0)), local(2024, 1, 3));
+  });
+
+  it('永远不会到来的时间返回 null', () => {
+    assert.equal(getNextRun('0 0 30 2 *', local(2024, 1, 1)), null);
+  });
+});
+
+describe('validateCron', () => {
+  it('返回错误信息', () => {
+    assert.deepEqual(validateCron('*/15 * * * *'), []);
+    assert.deepEqual(validateCron(''), ['cron 必须是非空字符串']);
+    assert.deepEqual(validateCron('0 0 31 2 *'), ['cron 表达式没有可运行的时间']);
+    assert.equal(validateCron('0 24 * * *').length, 1);
+  });
+});
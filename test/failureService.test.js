@@ -0,0 +1,56 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FailureService = require('../src/services/failureService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createService(tmpDir) {
+  const config = { get: key => (key === 'failuresFile' ? path.join(tmpDir, 'failures.json') : undefined) };
+  return new FailureService(config, logger);
+}
+
+describe('FailureService', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('再次失败时累加尝试次数，保存后重新加载', async () => {
+    const service = createService(tmpDir);
+    service.record('/media/a.strm', { error: '超时', failure: 'timeout', attempts: 3, jobId: 'job1', config: {} });
+    service.record('/media/a.strm', { error: '服务器错误', failure: 'server', attempts: 2, jobId: 'job2', config: {} });
+    await service.close();
+
+    const reloaded = createService(tmpDir);
+    await reloaded.init();
+    const [failure] = reloaded.list();
+
+    assert.equal(failure.attempts, 5);
+    assert.equal(failure.failure, 'server');
+    assert.equal(failure.jobId, 'job2');
+  });
+
+  it('按文件和失败类型筛选、统计，处理成功后移除', async () => {
+    const service = createService(tmpDir);
+    service.record('/media/a.strm', { error: '超时', failure: 'timeout', attempts: 1, config: {} });
+    service.record('/media/b.strm', { error: '404', failure: 'not_found', attempts: 1, config: {} });
+    service.record('/media/c.strm', { error: '超时', failure: 'timeout', attempts: 1, config: {} });
+
+    assert.deepEqual(service.list({ categories: ['timeout'] }).map(f => f.path).sort(), ['/media/a.strm', '/media/c.strm']);
+    assert.deepEqual(service.list({ files: ['/media/b.strm'] }).map(f => f.path), ['/media/b.strm']);
+    assert.deepEqual(service.getStats(), { total: 3, categories: { timeout: 2, not_found: 1 } });
+
+    service.resolve('/media/a.strm');
+    assert.equal(service.remove(['/media/b.strm', '/media/x.strm']), 1);
+    assert.deepEqual(service.list().map(f => f.path), ['/media/c.strm']);
+    await service.close();
+  });
+});
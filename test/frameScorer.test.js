@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFrame, scoreFrame, findSmartCropOffset } = require('../src/utils/frameScorer');
+
+const WIDTH = 32;
+const HEIGHT = 18;
+
+/**
+ * 生成灰度帧，pixel(x, y) 返回 0-255 的亮度
+ */
+function makeFrame(pixel, width = WIDTH, height = HEIGHT) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = pixel(x, y);
+    }
+  }
+  return pixels;
+}
+
+const checkerboard = makeFrame((x, y) => ((x + y) % 2 === 0 ? 40 : 200));
+const gradient = makeFrame(x => Math.round(x * 255 / (WIDTH - 1)));
+
+describe('analyzeFrame / scoreFrame', () => {
+  it('计算亮度、对比度、信息熵和清晰度', () => {
+    const metrics = analyzeFrame(checkerboard, WIDTH, HEIGHT);
+    assert.equal(metrics.brightness, 120 / 255);
+    assert.equal(metrics.contrast, 80 / 128);
+    assert.equal(metrics.entropy, 1 / 8);
+    assert.equal(metrics.sharpness, 1);
+  });
+
+  it('黑场、白场和低对比度画面大幅降分', () => {
+    const black = scoreFrame(makeFrame(() => 5), WIDTH, HEIGHT);
+    const white = scoreFrame(makeFrame(() => 250), WIDTH, HEIGHT);
+    const flat = scoreFrame(makeFrame((x, y) => 120 + ((x + y) % 2)), WIDTH, HEIGHT);
+    const detailed = scoreFrame(checkerboard, WIDTH, HEIGHT);
+
+    assert.equal(black.score, 0);
+    assert.equal(white.score, 0);
+    assert.ok(flat.score < detailed.score * 0.3);
+    assert.ok(scoreFrame(gradient, WIDTH, HEIGHT).score < detailed.score);
+  });
+
+  it('帧数据不完整时抛出异常', () => {
+    assert.throws(() => analyzeFrame(Buffer.alloc(10), WIDTH, HEIGHT), /帧数据不完整/);
+  });
+});
+
+describe('findSmartCropOffset', () => {
+  it('裁剪窗口移向细节集中的区域', () => {
+    const rightDetail = makeFrame((x, y) => (x >= 24 && (x + y) % 2 === 0 ? 255 : 0));
+    assert.equal(findSmartCropOffset(rightDetail, WIDTH, HEIGHT, 0.25, 'x'), 1);
+
+    const topDetail = makeFrame((x, y) => (y < 6 && (x + y) % 2 === 0 ? 255 : 0));
+    assert.ok(findSmartCropOffset(topDetail, WIDTH, HEIGHT, 0.5, 'y') < 0.2);
+  });
+
+  it('纯色画面或窗口覆盖整幅画面时居中', () => {
+    assert.equal(findSmartCropOffset(makeFrame(() => 128), WIDTH, HEIGHT, 0.5), 0.5);
+    assert.equal(findSmartCropOffset(checkerboard, WIDTH, HEIGHT, 1), 0.5);
+  });
+});
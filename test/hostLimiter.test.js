@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HostLimiter,
+  parseRetryAfter,
+  isThrottledOutput,
+  mergeHostLimits,
+  validateHostLimits
+} = require('../src/utils/hostLimiter');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('parseRetryAfter', () => {
+  it('解析秒数和 HTTP 日期', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+    assert.ok(parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) > 50000);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+  });
+});
+
+describe('isThrottledOutput', () => {
+  it('识别 HTTP 429 / 503 输出', () => {
+    assert.equal(isThrottledOutput('[https @ 0x1] HTTP error 429 Too Many Requests'), true);
+    assert.equal(isThrottledOutput('< HTTP/1.1 429'), true);
+    assert.equal(isThrottledOutput('< HTTP/2 429'), true);
+    assert.equal(isThrottledOutput('The requested URL returned error: 429'), true);
+    assert.equal(isThrottledOutput('HTTP error 503 Service Unavailable'), true);
+  });
+
+  it('不把链接、帧数、字节数中的 429 当作限流', () => {
+    assert.equal(isThrottledOutput('https://example.com/429/video.mp4: Invalid data found'), false);
+    assert.equal(isThrottledOutput('frame=  429 fps= 25 size=    4290kB'), false);
+    assert.equal(isThrottledOutput(''), false);
+    assert.equal(isThrottledOutput(undefined), false);
+  });
+});
+
+describe('mergeHostLimits / validateHostLimits', () => {
+  it('同一主机的同一限制项取更严格的值，0 表示不限制', () => {
+    const merged = mergeHostLimits([
+      { 'a.com': { concurrency: 4, requestsPerMinute: 0 } },
+      { 'a.com': { concurrency: 2, requestsPerMinute: 30 }, 'b.com': { minDelay: 500 } },
+      null
+    ]);
+
+    assert.deepEqual(merged, {
+      'a.com': { concurrency: 2, requestsPerMinute: 30 },
+      'b.com': { minDelay: 500 }
+    });
+  });
+
+  it('校验限制项和取值', () => {
+    assert.deepEqual(validateHostLimits({ 'a.com': { concurrency: 1 } }), []);
+    assert.equal(validateHostLimits([]).length, 1);
+    assert.equal(validateHostLimits({ 'a.com': { concurrency: -1, burst: 2 } }).length, 2);
+  });
+});
+
+describe('HostLimiter', () => {
+  it('按最具体的主机名匹配覆盖配置，同时匹配子域名', () => {
+    const limiter = new HostLimiter({ concurrency: 4 }, { 'example.com': { concurrency: 2 }, 'cdn.example.com': { concurrency: 1 } });
+
+    assert.equal(limiter.getLimits('pan.example.com').concurrency, 2);
+    assert.equal(limiter.getLimits('cdn.example.com:8443').concurrency, 1);
+    assert.equal(limiter.getLimits('other.net').concurrency, 4);
+  });
+
+  it('限制同一主机的并发连接数，不同主机互不影响', async () => {
+    const limiter = new HostLimiter({ concurrency: 1 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(10);
+      active--;
+    };
+
+    await Promise.all([1, 2, 3].map(() => limiter.run('http://a.com/v.mp4', task)));
+    assert.equal(peak, 1);
+
+    await Promise.all([limiter.run('http://a.com/v.mp4', task), limiter.run('http://b.com/v.mp4', task)]);
+    assert.equal(peak, 2);
+  });
+
+  it('本地文件不受限制', async () => {
+    const limiter = new HostLimiter({ concurrency: 1 });
+    limiter.throttle('http://a.com/v.mp4', 60000);
+
+    assert.equal(await limiter.run('/tmp/sample.mp4', () => 'ok'), 'ok');
+  });
+
+  it('被限流的主机暂停访问，取消时停止等待', async () => {
+    const limiter = new HostLimiter({});
+    const controller = new AbortController();
+    limiter.throttle('http://a.com/v.mp4', 60000);
+
+    const pending = limiter.run('http://a.com/v.mp4', () => 'ok', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(pending, /请求已取消/);
+  });
+
+  it('任务额外的限制只作用于带有该任务信号的请求', () => {
+    const limiter = new HostLimiter({ concurrency: 4, minDelay: 0 }, { 'example.com': { concurrency: 3 } });
+    const controller = new AbortController();
+    limiter.setScopedOverrides(controller.signal, { 'pan.example.com': { concurrency: 1, minDelay: 500 } });
+
+    assert.deepEqual(limiter.getLimits('pan.example.com', controller.signal), { concurrency: 1, minDelay: 500 });
+    assert.deepEqual(limiter.getLimits('pan.example.com'), { concurrency: 3, minDelay: 0 });
+    assert.deepEqual(limiter.getLimits('pan.example.com', new AbortController().signal), { concurrency: 3, minDelay: 0 });
+    assert.deepEqual(limiter.getLimits('other.net', controller.signal), { concurrency: 4, minDelay: 0 });
+  });
+});
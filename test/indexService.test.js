@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IndexService = require('../src/services/indexService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createService(tmpDir) {
+  const config = { get: key => (key === 'indexFile' ? path.join(tmpDir, 'index.json') : undefined) };
+  return new IndexService(config, logger);
+}
+
+/**
+ * 写入 .strm 文件并指定修改时间
+ */
+function writeStrm(file, url, mtime) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${url}\n`);
+  fs.utimesSync(file, mtime, mtime);
+}
+
+describe('IndexService', () => {
+  let tmpDir;
+  let mediaDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-'));
+    mediaDir = path.join(tmpDir, 'media');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('区分新增、链接变化、未变化和已删除的文件', async () => {
+    const service = createService(tmpDir);
+    const same = path.join(mediaDir, 'same.strm');
+    const touched = path.join(mediaDir, 'touched.strm');
+    const changed = path.join(mediaDir, 'changed.strm');
+    const added = path.join(mediaDir, 'added.strm');
+    const deleted = path.join(mediaDir, 'deleted.strm');
+
+    for (const file of [same, touched, changed, deleted]) {
+      writeStrm(file, `http://example.com/${path.basename(file)}`, 1000);
+      service.record(file, await service.inspect(file), [`${file}.jpg`]);
+    }
+    // 修改时间变化但链接不变的文件仍视为未变化
+    writeStrm(touched, 'http://example.com/touched.strm', 2000);
+    writeStrm(changed, 'http://example.com/other.mp4', 2000);
+    writeStrm(added, 'http://example.com/added.mp4', 2000);
+    fs.rmSync(deleted);
+
+    const changes = await service.diff(mediaDir, [same, touched, changed, added]);
+
+    assert.deepEqual(changes.new, [added]);
+    assert.deepEqual(changes.changed, [changed]);
+    assert.deepEqual(changes.unchanged, [same, touched]);
+    assert.deepEqual(changes.orphaned, [deleted]);
+    await service.close();
+  });
+
+  it('扫描后无法读取的文件按新文件处理，其他目录的记录不算孤立', async () => {
+    const service = createService(tmpDir);
+    const other = path.join(tmpDir, 'media2', 'a.strm');
+    writeStrm(other, 'http://example.com/a.mp4', 1000);
+    service.record(other, await service.inspect(other), []);
+
+    const missing = path.join(mediaDir, 'missing.strm');
+    const changes = await service.diff(mediaDir, [missing]);
+
+    assert.deepEqual(changes.new, [missing]);
+    assert.deepEqual(changes.orphaned, []);
+    await service.close();
+  });
+
+  it('链接未变化时合并输出，链接变化时只保留本次输出', async () => {
+    const service = createService(tmpDir);
+    const file = path.join(mediaDir, 'a.strm');
+    writeStrm(file, 'http://example.com/a.mp4', 1000);
+
+    service.record(file, await service.inspect(file), ['a.jpg']);
+    service.record(file, await service.inspect(file), ['a-fanart.jpg', 'a.jpg']);
+    assert.deepEqual(service.entries.get(file).outputs, ['a.jpg', 'a-fanart.jpg']);
+
+    writeStrm(file, 'http://example.com/b.mp4', 2000);
+    service.record(file, await service.inspect(file), ['a.jpg']);
+    assert.deepEqual(service.entries.get(file).outputs, ['a.jpg']);
+    await service.close();
+  });
+
+  it('关闭时写入索引，重新加载后可继续对比', async () => {
+    const service = createService(tmpDir);
+    const file = path.join(mediaDir, 'a.strm');
+    writeStrm(file, 'http://example.com/a.mp4', 1000);
+    service.record(file, await service.inspect(file), ['a.jpg']);
+    await service.close();
+
+    const reloaded = createService(tmpDir);
+    await reloaded.init();
+    assert.equal((await reloaded.inspect(file)).status, IndexService.FILE_CHANGES.UNCHANGED);
+
+    assert.equal(reloaded.remove([file, path.join(mediaDir, 'b.strm')]), 1);
+    assert.equal((await reloaded.inspect(file)).status, IndexService.FILE_CHANGES.NEW);
+    await reloaded.close();
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const http = require('http');
+const JobService = require('../src/services/jobService');
+const createJobRoutes = require('../src/routes/jobs');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const allow = (req, res, next) => next();
+
+/**
+ * 读取整个事件流，返回解析后的事件数据
+ */
+function readEvents(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        resolve(body.split('\n\n')
+          .filter(block => block.includes('data: '))
+          .map(block => JSON.parse(block.slice(block.indexOf('data: ') + 6))));
+      });
+    }).on('error', reject);
+  });
+}
+
+describe('GET /api/jobs/:id/events', () => {
+  let server;
+  let baseUrl;
+  let jobService;
+
+  before(async () => {
+    jobService = new JobService({ get: () => null }, logger);
+    const app = express();
+    app.use('/api/jobs', createJobRoutes(jobService, allow, logger));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  function addJob(status) {
+    const job = {
+      id: `job-${jobService.jobs.size + 1}`,
+      status,
+      config: {},
+      files: [{ path: '/strm/a.strm', status: status === 'completed' ? 'success' : 'pending' }],
+      createdAt: new Date().toISOString()
+    };
+    jobService.jobs.set(job.id, job);
+    return job;
+  }
+
+  it('重连已结束的任务时补发完成事件并移除监听', async () => {
+    const job = addJob('completed');
+    jobService.emitEvent(job, { type: 'progress', progress: jobService.getProgress(job) });
+    jobService.emitEvent(job, { type: 'complete', progress: jobService.getProgress(job), failedFiles: [] });
+
+    for (let i = 0; i < 12; i++) {
+      const events = await readEvents(`${baseUrl}/${job.id}/events`);
+      assert.deepEqual(events.map(e => e.type), ['snapshot', 'progress', 'complete']);
+    }
+    assert.equal(jobService.getRuntime(job.id).emitter.listenerCount('event'), 0);
+  });
+
+  it('Last-Event-ID 之后的事件才补发', async () => {
+    const job = addJob('completed');
+    jobService.emitEvent(job, { type: 'log', message: 'a' });
+    jobService.emitEvent(job, { type: 'complete', progress: jobService.getProgress(job), failedFiles: [] });
+
+    const events = await readEvents(`${baseUrl}/${job.id}/events`, { 'Last-Event-ID': '1' });
+    assert.deepEqual(events.map(e => e.type), ['snapshot', 'complete']);
+  });
+
+  it('运行中的任务收到完成事件后结束事件流', async () => {
+    const job = addJob('running');
+    const reading = readEvents(`${baseUrl}/${job.id}/events`);
+
+    const runtime = jobService.getRuntime(job.id);
+    while (runtime.emitter.listenerCount('event') === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    jobService.emitEvent(job, { type: 'complete', progress: jobService.getProgress(job), failedFiles: [] });
+
+    assert.deepEqual((await reading).map(e => e.type), ['snapshot', 'complete']);
+    assert.equal(runtime.emitter.listenerCount('event'), 0);
+  });
+
+  it('没有完成事件的历史任务直接结束', async () => {
+    const job = addJob('completed');
+
+    const events = await readEvents(`${baseUrl}/${job.id}/events`);
+    assert.deepEqual(events.map(e => e.type), ['snapshot', 'complete']);
+    assert.equal(jobService.getRuntime(job.id).emitter.listenerCount('event'), 0);
+  });
+
+  it('任务不存在时返回 404', async () => {
+    const status = await new Promise(resolve => {
+      http.get(`${baseUrl}/missing/events`, res => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+    });
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobService = require('../src/services/jobService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * 创建使用桩服务的任务服务，process 为每个文件的处理函数
+ */
+function createService(jobsDir, process) {
+  const values = {
+    jobsDir,
+    jobRetention: 60000,
+    retryDelay: 10,
+    retryMaxDelay: 10,
+    retryCategories: ['timeout'],
+    maxRetries: 0,
+    defaultConcurrency: 1,
+    maxConcurrency: 4,
+    minConcurrency: 1,
+    adaptiveConcurrency: false
+  };
+  const processed = [];
+  const videoService = {
+    hostLimiter: { setScopedOverrides() {} },
+    processVideo: async (file, config, sendEvent, signal) => {
+      processed.push(file);
+      return process ? process(file, signal) : { success: true, file };
+    }
+  };
+  const failureService = { record() {}, resolve() {} };
+  const mediaServerService = { isEnabled: () => false };
+
+  const service = new JobService({ get: key => values[key] }, logger, videoService, failureService, mediaServerService);
+  return { service, processed };
+}
+
+/**
+ * 等待任务的完成事件
+ */
+function waitForComplete(service, job) {
+  return new Promise(resolve => {
+    const unsubscribe = service.subscribe(job.id, event => {
+      if (event.data.type !== 'complete') return;
+      setImmediate(() => unsubscribe());
+      resolve(event.data);
+    });
+  });
+}
+
+function readJobFile(jobsDir, jobId) {
+  return JSON.parse(fs.readFileSync(path.join(jobsDir, `${jobId}.json`), 'utf-8'));
+}
+
+describe('JobService', () => {
+  let jobsDir;
+
+  beforeEach(() => {
+    jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+
+  it('任务状态和处理结果写入任务文件', async () => {
+    const { service } = createService(jobsDir, file => (file.endsWith('bad.strm')
+      ? { success: false, error: '无法获取视频时长' }
+      : { success: true, file }));
+    await service.init();
+
+    const job = await service.createJob(['/strm/a.strm', '/strm/bad.strm'], { concurrency: 1 });
+    const complete = await waitForComplete(service, job);
+
+    assert.deepEqual(complete.failedFiles, ['/strm/bad.strm']);
+    const saved = readJobFile(jobsDir, job.id);
+    assert.equal(saved.status, 'completed');
+    assert.deepEqual(saved.files.map(f => f.status), ['success', 'failed']);
+    assert.equal(saved.files[1].error, '无法获取视频时长');
+  });
+
+  it('重启后只续跑待处理的文件，暂停的任务保持暂停', async () => {
+    const now = new Date().toISOString();
+    const base = { config: {}, createdAt: now, updatedAt: now, startedAt: now, finishedAt: null };
+    fs.writeFileSync(path.join(jobsDir, 'running.json'), JSON.stringify({
+      ...base,
+      id: 'running',
+      status: 'running',
+      files: [{ path: '/strm/done.strm', status: 'success' }, { path: '/strm/todo.strm', status: 'pending' }]
+    }));
+    fs.writeFileSync(path.join(jobsDir, 'paused.json'), JSON.stringify({
+      ...base,
+      id: 'paused',
+      status: 'paused',
+      files: [{ path: '/strm/later.strm', status: 'pending' }]
+    }));
+
+    const { service, processed } = createService(jobsDir);
+    await service.init();
+    await waitForComplete(service, service.getJob('running'));
+
+    assert.deepEqual(processed, ['/strm/todo.strm']);
+    assert.equal(readJobFile(jobsDir, 'running').status, 'completed');
+    assert.equal(service.getJob('paused').status, 'paused');
+
+    // 重启前暂停的任务在恢复时重新启动
+    const paused = service.getJob('paused');
+    assert.equal((await service.resumeJob('paused')).success, true);
+    await waitForComplete(service, paused);
+    assert.deepEqual(processed, ['/strm/todo.strm', '/strm/later.strm']);
+  });
+
+  it('取消任务终止处理中的文件，未处理的文件保持待处理', async () => {
+    let started;
+    const startedPromise = new Promise(resolve => { started = resolve; });
+    const { service, processed } = createService(jobsDir, (file, signal) => new Promise(resolve => {
+      started();
+      signal.addEventListener('abort', () => resolve({ success: false, cancelled: true, file }));
+    }));
+    await service.init();
+
+    const job = await service.createJob(['/strm/a.strm', '/strm/b.strm'], { concurrency: 1 });
+    const completing = waitForComplete(service, job);
+    await startedPromise;
+
+    assert.equal((await service.cancelJob(job.id)).success, true);
+    const complete = await completing;
+
+    assert.equal(complete.cancelled, true);
+    assert.deepEqual(processed, ['/strm/a.strm']);
+    assert.deepEqual(job.files.map(f => f.status), ['pending', 'pending']);
+    assert.equal(readJobFile(jobsDir, job.id).status, 'cancelled');
+    assert.equal((await service.cancelJob(job.id)).success, false);
+  });
+
+  it('暂停后不再开始新文件，恢复后继续', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const { service, processed } = createService(jobsDir, async file => {
+      if (file.endsWith('a.strm')) await gate;
+      return { success: true, file };
+    });
+    await service.init();
+
+    const job = await service.createJob(['/strm/a.strm', '/strm/b.strm'], { concurrency: 1 });
+    const completing = waitForComplete(service, job);
+    while (processed.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.equal((await service.pauseJob(job.id)).success, true);
+    release();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual(processed, ['/strm/a.strm']);
+    assert.equal(readJobFile(jobsDir, job.id).status, 'paused');
+
+    assert.equal((await service.resumeJob(job.id)).success, true);
+    await completing;
+    assert.deepEqual(processed, ['/strm/a.strm', '/strm/b.strm']);
+  });
+
+  it('按扫描根目录或文件路径查找未结束的任务', () => {
+    const { service } = createService(jobsDir);
+    service.jobs.set('a', { id: 'a', status: 'running', config: {}, files: [{ path: '/media/tv/Show/E01.strm' }] });
+    service.jobs.set('b', { id: 'b', status: 'paused', config: { strmDir: '/movies/' }, files: [] });
+    service.jobs.set('c', { id: 'c', status: 'completed', config: { strmDir: '/done' }, files: [{ path: '/done/a.strm' }] });
+
+    assert.equal(service.findUnfinishedJob('/media').id, 'a');
+    assert.equal(service.findUnfinishedJob('/media/tv/Show').id, 'a');
+    assert.equal(service.findUnfinishedJob('/movies').id, 'b');
+    assert.equal(service.findUnfinishedJob('/med'), null);
+    assert.equal(service.findUnfinishedJob('/done'), null);
+  });
+});
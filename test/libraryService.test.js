@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryService = require('../src/services/libraryService');
+const createLibraryRoutes = require('../src/routes/libraries');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const allow = (req, res, next) => next();
+
+function createService(tmpDir) {
+  const config = { get: key => (key === 'librariesFile' ? path.join(tmpDir, 'libraries.json') : undefined) };
+  return new LibraryService(config, logger);
+}
+
+describe('LibraryService', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'libraries-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('保存后重新加载，按名称排序', async () => {
+    const service = createService(tmpDir);
+    await service.create({ name: '电影', strmDir: path.join(tmpDir, 'movies') });
+    const tv = await service.create({ strmDir: path.join(tmpDir, 'tv'), config: { nfoMode: 'merge' } });
+    await service.close();
+
+    const reloaded = createService(tmpDir);
+    await reloaded.init();
+
+    assert.deepEqual(reloaded.list().map(library => library.name), ['tv', '电影']);
+    assert.deepEqual(reloaded.get(tv.id).config, { nfoMode: 'merge' });
+    assert.equal(reloaded.get(tv.id).watch, false);
+  });
+
+  it('只修改传入的字段', async () => {
+    const service = createService(tmpDir);
+    const library = await service.create({ name: 'tv', strmDir: path.join(tmpDir, 'tv'), config: { nfoMode: 'merge' } });
+
+    const updated = await service.update(library.id, { watch: true, strmDir: 'relative/tv' });
+
+    assert.equal(updated.name, 'tv');
+    assert.deepEqual(updated.config, { nfoMode: 'merge' });
+    assert.equal(updated.watch, true);
+    assert.equal(updated.strmDir, path.resolve('relative/tv'));
+    assert.equal(await service.update('missing', { watch: true }), null);
+    assert.equal(await service.remove(library.id), true);
+    assert.equal(await service.remove(library.id), false);
+    await service.close();
+  });
+
+  it('处理配置带上媒体库的根目录、ID 和主机限流', async () => {
+    const service = createService(tmpDir);
+    const library = await service.create({
+      strmDir: path.join(tmpDir, 'tv'),
+      config: { nfoMode: 'merge', strmDir: '/elsewhere' },
+      hostLimits: { 'example.com': { concurrency: 1 } }
+    });
+
+    assert.deepEqual(service.getProcessConfig(library), {
+      nfoMode: 'merge',
+      strmDir: library.strmDir,
+      libraryId: library.id,
+      hostLimits: { 'example.com': { concurrency: 1 } }
+    });
+    await service.close();
+  });
+});
+
+describe('/api/libraries', () => {
+  let tmpDir;
+  let server;
+  let baseUrl;
+  let libraryService;
+  let synced;
+  let unwatched;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'libraries-'));
+    libraryService = createService(tmpDir);
+    synced = [];
+    unwatched = [];
+    const watchService = {
+      syncLibrary: async library => { synced.push(library.id); },
+      unwatchLibrary: id => { unwatched.push(id); }
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/libraries', createLibraryRoutes(libraryService, watchService, allow, logger));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/libraries`;
+  });
+
+  afterEach(async () => {
+    server.close();
+    await libraryService.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const request = async (method, url, body) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('校验根目录、处理配置、主机限流和监控设置', async () => {
+    const { status, body } = await request('POST', '/', {
+      strmDir: path.join(tmpDir, 'missing'),
+      config: { frameStrategy: 'random' },
+      hostLimits: { 'example.com': { concurrency: -1 } },
+      watch: 'yes'
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.errors.length, 4);
+    assert.match(body.errors[0], /strmDir 无法访问/);
+    assert.match(body.errors[1], /frameStrategy/);
+    assert.match(body.errors[2], /hostLimits\.example\.com\.concurrency/);
+    assert.match(body.errors[3], /watch 必须是布尔值/);
+  });
+
+  it('开启监控的媒体库创建和修改根目录时同步监控，删除时停止监控', async () => {
+    const created = await request('POST', '/', { name: ' 剧集 ', strmDir: tmpDir, watch: true });
+    assert.equal(created.status, 200);
+    const { id } = created.body.library;
+    assert.equal(created.body.library.name, '剧集');
+    assert.deepEqual(synced, [id]);
+
+    // 只修改处理配置时不重新监控
+    await request('PUT', `/${id}`, { config: { nfoMode: 'merge' } });
+    assert.deepEqual(synced, [id]);
+    await request('PUT', `/${id}`, { watchPolling: true });
+    assert.deepEqual(synced, [id, id]);
+
+    assert.equal((await request('DELETE', `/${id}`)).status, 200);
+    assert.deepEqual(unwatched, [id]);
+    assert.equal((await request('GET', `/${id}`)).status, 404);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LINK_FAILURES,
+  LinkCheckError,
+  classifyStatus,
+  classifyRequestError,
+  shouldFallbackToGet,
+  isVideoContentType
+} = require('../src/utils/linkChecker');
+
+describe('classifyStatus', () => {
+  it('按状态码分类', () => {
+    assert.equal(classifyStatus(401), LINK_FAILURES.AUTH);
+    assert.equal(classifyStatus(403), LINK_FAILURES.AUTH);
+    assert.equal(classifyStatus(404), LINK_FAILURES.NOT_FOUND);
+    assert.equal(classifyStatus(410), LINK_FAILURES.NOT_FOUND);
+    assert.equal(classifyStatus(429), LINK_FAILURES.RATE_LIMITED);
+    assert.equal(classifyStatus(502), LINK_FAILURES.SERVER);
+    assert.equal(classifyStatus(418), LINK_FAILURES.HTTP);
+  });
+});
+
+describe('classifyRequestError', () => {
+  it('按错误码分类没有响应的请求', () => {
+    assert.equal(classifyRequestError({ code: 'ENOTFOUND', message: '' }), LINK_FAILURES.DNS);
+    assert.equal(classifyRequestError({ code: 'ECONNABORTED', message: '' }), LINK_FAILURES.TIMEOUT);
+    assert.equal(classifyRequestError({ code: 'CERT_HAS_EXPIRED', message: '' }), LINK_FAILURES.TLS);
+    assert.equal(classifyRequestError({ code: 'ECONNREFUSED', message: '' }), LINK_FAILURES.NETWORK);
+    assert.equal(classifyRequestError({ message: 'boom' }), LINK_FAILURES.UNKNOWN);
+  });
+
+  it('读取 cause 中的错误码', () => {
+    assert.equal(classifyRequestError({ message: '', cause: { code: 'EAI_AGAIN' } }), LINK_FAILURES.DNS);
+  });
+});
+
+describe('shouldFallbackToGet / isVideoContentType', () => {
+  it('不支持 HEAD 的常见响应改用 GET', () => {
+    assert.equal(shouldFallbackToGet(405), true);
+    assert.equal(shouldFallbackToGet(404), false);
+  });
+
+  it('错误页等非视频类型不视为视频，未提供类型时视为可能', () => {
+    assert.equal(isVideoContentType('text/html; charset=utf-8'), false);
+    assert.equal(isVideoContentType('application/JSON'), false);
+    assert.equal(isVideoContentType('video/mp4'), true);
+    assert.equal(isVideoContentType('application/octet-stream'), true);
+    assert.equal(isVideoContentType(undefined), true);
+  });
+});
+
+describe('LinkCheckError', () => {
+  it('消息包含失败类型和状态码', () => {
+    const error = new LinkCheckError(LINK_FAILURES.NOT_FOUND, { status: 404 });
+
+    assert.equal(error.category, 'not_found');
+    assert.equal(error.status, 404);
+    assert.match(error.message, /链接已失效 \(HTTP 404\)/);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyMedia, validateTvRules } = require('../src/utils/mediaClassifier');
+
+describe('classifyMedia', () => {
+  it('从文件名识别季号和集号，剧名取自剧集目录', () => {
+    const media = classifyMedia('/media/tv/Show/Season 1/Show.S01E02.strm', { rootDir: '/media/tv' });
+
+    assert.equal(media.type, 'episode');
+    assert.equal(media.season, 1);
+    assert.equal(media.episode, 2);
+    assert.equal(media.showTitle, 'Show');
+    assert.equal(media.showDir, '/media/tv/Show');
+  });
+
+  it('支持 1x02 格式', () => {
+    const media = classifyMedia('/media/tv/Show/Show 1x02.strm');
+
+    assert.equal(media.season, 1);
+    assert.equal(media.episode, 2);
+  });
+
+  it('只有集号时季号取自季目录', () => {
+    const media = classifyMedia('/media/tv/剧名/第 2 季/第 5 集.strm', { rootDir: '/media/tv' });
+
+    assert.equal(media.type, 'episode');
+    assert.equal(media.season, 2);
+    assert.equal(media.episode, 5);
+    assert.equal(media.showTitle, '剧名');
+  });
+
+  it('特别篇目录的季号为 0', () => {
+    const media = classifyMedia('/media/tv/Show/Specials/E01.strm', { rootDir: '/media/tv' });
+
+    assert.equal(media.season, 0);
+    assert.equal(media.episode, 1);
+  });
+
+  it('剧集直接放在扫描根目录时剧名取自文件名，不写入剧集目录', () => {
+    const media = classifyMedia('/media/tv/My.Show.S02E03.strm', { rootDir: '/media/tv' });
+
+    assert.equal(media.showTitle, 'My Show');
+    assert.equal(media.showDir, null);
+  });
+
+  it('扫描根目录本身不作为季目录', () => {
+    const media = classifyMedia('/media/S01/01.strm', { rootDir: '/media/S01' });
+
+    assert.equal(media.type, 'movie');
+  });
+
+  it('无法识别的文件按 mediaType 归为电影或未识别', () => {
+    assert.equal(classifyMedia('/media/Movie (2020).strm').type, 'movie');
+    assert.equal(classifyMedia('/media/Movie (2020).strm', { mediaType: 'tv' }).type, 'unknown');
+  });
+
+  it('mediaType 为 movie 时不识别剧集', () => {
+    const media = classifyMedia('/media/tv/Show/Season 1/Show.S01E02.strm', { mediaType: 'movie' });
+
+    assert.equal(media.type, 'movie');
+    assert.equal(media.rule, 'mediaType=movie');
+  });
+
+  it('自定义规则覆盖默认规则', () => {
+    const media = classifyMedia('/media/tv/Show/Show - 0305.strm', {
+      rules: { episodePatterns: ['(\\d{2})(\\d{2})$'] }
+    });
+
+    assert.equal(media.season, 3);
+    assert.equal(media.episode, 5);
+  });
+});
+
+describe('validateTvRules', () => {
+  it('接受有效的规则', () => {
+    assert.deepEqual(validateTvRules({ mediaType: 'tv', tvRules: { episodePatterns: ['E(\\d+)'] } }), []);
+  });
+
+  it('拒绝未知的规则、非数组和无效的正则', () => {
+    const errors = validateTvRules({
+      mediaType: 'anime',
+      tvRules: { unknown: [], episodePatterns: 'E(\\d+)', seasonFolderPatterns: ['('] }
+    });
+
+    assert.equal(errors.length, 4);
+  });
+});
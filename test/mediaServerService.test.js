@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const MediaServerService = require('../src/services/mediaServerService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * 模拟 Emby / Jellyfin 的 HTTP 接口，记录收到的请求
+ */
+function startStubServer(items) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, token: req.headers['x-emby-token'], body });
+
+      const send = (status, data = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.headers['x-emby-token'] !== 'secret') return send(401);
+      if (url.pathname === '/System/Info') {
+        return send(200, { ServerName: 'Stub', Version: '4.8', Id: 'stub' });
+      }
+      if (url.pathname === '/Items') {
+        const start = parseInt(url.searchParams.get('StartIndex'));
+        const limit = parseInt(url.searchParams.get('Limit'));
+        return send(200, { Items: items.slice(start, start + limit), TotalRecordCount: items.length });
+      }
+      send(204);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function createService(url, overrides = {}) {
+  const values = {
+    mediaServerUrl: url,
+    mediaServerApiKey: 'secret',
+    mediaServerRefresh: 'item',
+    mediaServerTimeout: 5000,
+    mediaServerPathMap: { '/local/strm': '/server/strm' },
+    mediaServerSync: true,
+    ...overrides
+  };
+  return new MediaServerService({ get: key => values[key] }, logger);
+}
+
+describe('MediaServerService', () => {
+  let stub;
+  let tmpDir;
+  let cover;
+
+  before(async () => {
+    stub = await startStubServer([
+      { Id: 'm1', Type: 'Movie', Path: '/server/strm/Movie.strm' },
+      { Id: 'e1', Type: 'Episode', Path: '/server/strm/Show/Season 1/E01.strm' }
+    ]);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-server-'));
+    cover = path.join(tmpDir, 'Movie.jpg');
+    fs.writeFileSync(cover, 'jpeg');
+  });
+
+  after(() => {
+    stub.server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('测试连接使用已保存的地址和 API Key', async () => {
+    const server = await createService(stub.url).testConnection();
+
+    assert.deepEqual(server, { name: 'Stub', version: '4.8', id: 'stub', os: null });
+  });
+
+  it('测试其他地址时不发送已保存的 API Key', async () => {
+    stub.requests.length = 0;
+    const service = createService('http://127.0.0.1:1');
+
+    await assert.rejects(service.testConnection({ url: stub.url }), /API Key/);
+    assert.equal(stub.requests.length, 0);
+
+    const server = await service.testConnection({ url: `${stub.url}/`, apiKey: 'secret' });
+    assert.equal(server.name, 'Stub');
+  });
+
+  it('按路径转换规则转换本地路径', () => {
+    const service = createService(stub.url, { mediaServerPathMap: { '/local': 'D:\\media' } });
+
+    assert.equal(service.toServerPath('/local/TV/E01.strm'), 'D:\\media\\TV\\E01.strm');
+    assert.equal(service.toServerPath('/localfile.strm'), '/localfile.strm');
+  });
+
+  it('上传图片并刷新匹配的媒体项，未匹配的文件通知服务器扫描', async () => {
+    stub.requests.length = 0;
+    const service = createService(stub.url);
+
+    const result = await service.syncFiles([
+      { path: '/local/strm/Movie.strm', artworks: [{ type: 'cover', path: cover }, { type: 'trickplay', path: '/x.bif' }] },
+      { path: '/local/strm/New.strm', artworks: [] }
+    ]);
+
+    assert.equal(result.matched, 1);
+    assert.equal(result.uploaded, 1);
+    assert.equal(result.refreshed, 1);
+    assert.equal(result.unmatched, 1);
+    assert.deepEqual(result.errors, []);
+
+    const upload = stub.requests.find(r => r.path === '/Items/m1/Images/Primary');
+    assert.equal(upload.body, Buffer.from('jpeg').toString('base64'));
+    assert.ok(stub.requests.some(r => r.path === '/Items/m1/Refresh'));
+
+    const notify = stub.requests.find(r => r.path === '/Library/Media/Updated');
+    assert.deepEqual(JSON.parse(notify.body), { Updates: [{ Path: '/server/strm/New.strm', UpdateType: 'Created' }] });
+  });
+
+  it('连续的批次复用媒体项缓存', async () => {
+    stub.requests.length = 0;
+    const service = createService(stub.url, { mediaServerRefresh: 'none' });
+    const files = [{ path: '/local/strm/Movie.strm', artworks: [{ type: 'cover', path: cover }] }];
+
+    await service.syncFiles(files);
+    await service.syncFiles(files);
+
+    assert.equal(stub.requests.filter(r => r.path === '/Items').length, 1);
+    assert.equal(stub.requests.filter(r => r.path === '/Items/m1/Images/Primary').length, 2);
+  });
+
+  it('请求失败时记录错误，不抛出异常', async () => {
+    const service = createService(stub.url, { mediaServerApiKey: 'wrong' });
+
+    const result = await service.syncFiles([{ path: '/local/strm/Movie.strm', artworks: [] }]);
+
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0].error, /HTTP 401/);
+    assert.equal(service.getStatus().lastSync, result);
+  });
+});
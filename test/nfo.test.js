@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMovieNfo, buildEpisodeNfo, mergeNfo, hasScrapedArtwork } = require('../src/utils/nfo');
+const { parseXml, getChildElements, getText } = require('../src/utils/xml');
+
+const cover = { artwork: { nfoTag: 'thumb' }, name: 'Movie.jpg' };
+const poster = { artwork: { nfoTag: 'thumb', nfoAspect: 'poster' }, name: 'Movie-poster.jpg' };
+const fanart = { artwork: { nfoTag: 'fanart' }, name: 'Movie-fanart.jpg' };
+const trickplay = { artwork: {}, name: 'Movie.bif' };
+
+const mediaInfo = {
+  duration: 5400,
+  video: { codec: 'hevc', width: 3840, height: 2160, aspect: 1.78, hdrType: 'hdr10' },
+  audio: [{ codec: 'eac3', language: 'eng', channels: 6 }],
+  subtitles: [{ language: 'chi' }]
+};
+
+function root(xml) {
+  return getChildElements(parseXml(xml))[0];
+}
+
+describe('buildMovieNfo / buildEpisodeNfo', () => {
+  it('生成图片标签和 streamdetails，非图片输出不写入', () => {
+    const xml = buildMovieNfo({
+      title: 'A & B',
+      streamUrl: 'http://example.com/v.mp4?a=1&b=2',
+      artworks: [cover, poster, fanart, trickplay],
+      mediaInfo,
+      dateAdded: '2024-01-01'
+    });
+    const movie = root(xml);
+
+    assert.equal(getText(getChildElements(movie, 'title')[0]), 'A & B');
+    assert.equal(getText(getChildElements(movie, 'streamUrl')[0]), 'http://example.com/v.mp4?a=1&b=2');
+    assert.equal(getText(getChildElements(movie, 'runtime')[0]), '90');
+    assert.deepEqual(getChildElements(movie, 'thumb').map(getText), ['Movie.jpg', 'Movie-poster.jpg']);
+    assert.equal(getText(getChildElements(getChildElements(movie, 'fanart')[0], 'thumb')[0]), 'Movie-fanart.jpg');
+    assert.ok(!xml.includes('Movie.bif'));
+    assert.match(xml, /<hdrtype>hdr10<\/hdrtype>/);
+    assert.match(xml, /<channels>6<\/channels>/);
+  });
+
+  it('单集写入剧名、季号和集号', () => {
+    const episode = root(buildEpisodeNfo({
+      title: 'Show.S01E02',
+      showTitle: 'Show',
+      season: 1,
+      episode: 2,
+      streamUrl: 'http://example.com/v.mp4',
+      dateAdded: '2024-01-01'
+    }));
+
+    assert.equal(episode.name, 'episodedetails');
+    assert.equal(getText(getChildElements(episode, 'showtitle')[0]), 'Show');
+    assert.equal(getText(getChildElements(episode, 'season')[0]), '1');
+    assert.equal(getText(getChildElements(episode, 'episode')[0]), '2');
+  });
+});
+
+describe('mergeNfo', () => {
+  const generated = buildMovieNfo({
+    title: 'Movie',
+    streamUrl: 'http://example.com/new.mp4',
+    artworks: [cover, poster, fanart],
+    dateAdded: '2024-02-02'
+  });
+
+  it('保留刮削信息，更新本工具负责的字段', () => {
+    const existing = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<movie>',
+      '    <title>刮削的标题</title>',
+      '    <plot>简介</plot>',
+      '    <streamUrl>http://example.com/old.mp4</streamUrl>',
+      '    <uniqueid type="tmdb">123</uniqueid>',
+      '</movie>'
+    ].join('\n');
+    const merged = mergeNfo(existing, generated);
+    const movie = root(merged);
+
+    assert.ok(merged.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<movie>\n    <title>刮削的标题</title>'));
+    assert.equal(getText(getChildElements(movie, 'plot')[0]), '简介');
+    assert.equal(getText(getChildElements(movie, 'uniqueid')[0]), '123');
+    assert.equal(getText(getChildElements(movie, 'streamUrl')[0]), 'http://example.com/new.mp4');
+    assert.equal(getText(getChildElements(movie, 'dateadded')[0]), '2024-02-02');
+    assert.equal(getChildElements(movie, 'title').length, 1);
+  });
+
+  it('只替换本工具写入的同一张图片，刮削器的图片保留，新背景图排在最前', () => {
+    const existing = [
+      '<movie>',
+      '  <thumb>https://image.tmdb.org/t/p/original/cover.jpg</thumb>',
+      '  <thumb aspect="poster">https://image.tmdb.org/t/p/original/poster.jpg</thumb>',
+      '  <thumb aspect="poster">Movie-poster.png</thumb>',
+      '  <thumb aspect="banner">banner.jpg</thumb>',
+      '  <thumb type="season">season01.jpg</thumb>',
+      '  <fanart>',
+      '    <thumb>scraped-fanart.jpg</thumb>',
+      '    <thumb>Movie-fanart.jpg</thumb>',
+      '  </fanart>',
+      '</movie>'
+    ].join('\n');
+    const movie = root(mergeNfo(existing, generated));
+
+    assert.deepEqual(getChildElements(movie, 'thumb').map(getText), [
+      'https://image.tmdb.org/t/p/original/cover.jpg',
+      'https://image.tmdb.org/t/p/original/poster.jpg',
+      'Movie.jpg',
+      'Movie-poster.jpg',
+      'banner.jpg',
+      'season01.jpg'
+    ]);
+    assert.deepEqual(
+      getChildElements(getChildElements(movie, 'fanart')[0], 'thumb').map(getText),
+      ['Movie-fanart.jpg', 'scraped-fanart.jpg']
+    );
+  });
+
+  it('没有本工具写入的图片时追加在末尾', () => {
+    const existing = '<movie>\n  <thumb>https://image.tmdb.org/t/p/original/cover.jpg</thumb>\n</movie>';
+    const movie = root(mergeNfo(existing, generated));
+
+    assert.deepEqual(getChildElements(movie, 'thumb').map(getText), [
+      'https://image.tmdb.org/t/p/original/cover.jpg',
+      'Movie.jpg',
+      'Movie-poster.jpg'
+    ]);
+  });
+
+  it('多次合并结果不变', () => {
+    const once = mergeNfo('<movie>\n  <plot>简介</plot>\n</movie>', generated);
+
+    assert.equal(mergeNfo(once, generated), once);
+  });
+
+  it('找不到根元素时返回 null', () => {
+    assert.equal(mergeNfo('not xml', generated), null);
+  });
+});
+
+describe('hasScrapedArtwork', () => {
+  it('本工具写入的图片不算刮削图片', () => {
+    const xml = '<movie><thumb aspect="poster">Movie-poster.jpg</thumb><fanart><thumb>Movie-fanart.jpg</thumb></fanart></movie>';
+    assert.equal(hasScrapedArtwork(xml, 'Movie'), false);
+  });
+
+  it('输出目录中的图片按 ownNames 中的相对路径识别', () => {
+    const xml = '<movie><thumb>../../out/Movie.jpg</thumb></movie>';
+    assert.equal(hasScrapedArtwork(xml, 'Movie'), true);
+    assert.equal(hasScrapedArtwork(xml, 'Movie', ['../../out/Movie.jpg']), false);
+  });
+
+  it('其他文件名、路径或 <art> 中的图片视为刮削图片', () => {
+    assert.equal(hasScrapedArtwork('<movie><thumb>poster.jpg</thumb></movie>', 'Movie'), true);
+    assert.equal(hasScrapedArtwork('<movie><art><poster>/images/Movie.jpg</poster></art></movie>', 'Movie'), true);
+    assert.equal(hasScrapedArtwork('<movie/>', 'Movie'), false);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getOutputPath, validateOutputOptions } = require('../src/utils/outputLayout');
+const { resolveArtworkTypes } = require('../src/utils/artwork');
+
+const [poster] = resolveArtworkTypes({ artworkTypes: ['poster'] });
+const strmDir = path.join('/media', 'strm');
+const strmFile = path.join(strmDir, 'Show', 'Season 1', 'E01.strm');
+const posterName = `E01${poster.suffix}.${poster.ext}`;
+
+describe('getOutputPath', () => {
+  it('未设置输出目录时与 .strm 放在同一目录', () => {
+    assert.equal(getOutputPath(strmFile, poster), path.join(strmDir, 'Show', 'Season 1', posterName));
+  });
+
+  it('flat 直接放在输出目录下', () => {
+    const output = getOutputPath(strmFile, poster, { outputDir: '/out', outputLayout: 'flat', strmDir });
+    assert.equal(output, path.join('/out', posterName));
+  });
+
+  it('mirror 按相对扫描根目录的路径重建子目录', () => {
+    const output = getOutputPath(strmFile, poster, { outputDir: '/out', outputLayout: 'mirror', strmDir });
+    assert.equal(output, path.join('/out', 'Show', 'Season 1', posterName));
+  });
+
+  it('不在扫描根目录下的文件 relDir 为空', () => {
+    const output = getOutputPath('/other/Movie.strm', poster, { outputDir: '/out', outputLayout: 'mirror', strmDir });
+    assert.equal(output, path.join('/out', `Movie${poster.suffix}.${poster.ext}`));
+  });
+
+  it('命名模板替换所有占位符，优先于布局', () => {
+    const output = getOutputPath(strmFile, poster, {
+      outputDir: '/out',
+      outputLayout: 'flat',
+      outputTemplate: '{type}/{relDir}/{name}.{ext}',
+      strmDir
+    });
+    assert.equal(output, path.join('/out', 'poster', 'Show', 'Season 1', `E01.${poster.ext}`));
+  });
+});
+
+describe('validateOutputOptions', () => {
+  it('合法的配置没有错误', () => {
+    assert.deepEqual(validateOutputOptions({}), []);
+    assert.deepEqual(validateOutputOptions({ outputLayout: 'mirror', outputTemplate: '{relDir}/{name}-{type}.{ext}' }), []);
+    assert.deepEqual(validateOutputOptions({ outputTemplate: '' }), []);
+  });
+
+  it('拒绝未知的布局和非字符串模板', () => {
+    assert.equal(validateOutputOptions({ outputLayout: 'tree' }).length, 1);
+    assert.deepEqual(validateOutputOptions({ outputTemplate: 42 }), ['outputTemplate 必须是字符串']);
+  });
+
+  it('拒绝未知占位符、缺少 {name} 或 .{ext}', () => {
+    assert.match(validateOutputOptions({ outputTemplate: '{name}{year}.{ext}' })[0], /未知的占位符：year/);
+    assert.deepEqual(validateOutputOptions({ outputTemplate: '{type}.{ext}' }), ['outputTemplate 必须包含 {name}']);
+    assert.deepEqual(validateOutputOptions({ outputTemplate: '{name}.jpg' }), ['outputTemplate 必须以 .{ext} 结尾']);
+  });
+
+  it('拒绝绝对路径和 ..', () => {
+    const expected = ['outputTemplate 必须是输出目录下的相对路径'];
+    assert.deepEqual(validateOutputOptions({ outputTemplate: '/tmp/{name}.{ext}' }), expected);
+    assert.deepEqual(validateOutputOptions({ outputTemplate: '../{name}.{ext}' }), expected);
+  });
+});
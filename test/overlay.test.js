@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveOverlayTemplate,
+  formatRuntime,
+  getResolutionLabel,
+  getOverlayTexts,
+  validateOverlaySelector
+} = require('../src/utils/overlay');
+
+describe('resolveOverlayTemplate', () => {
+  it('空值表示不叠加', () => {
+    assert.equal(resolveOverlayTemplate(''), null);
+    assert.equal(resolveOverlayTemplate(false), null);
+  });
+
+  it('按名称解析，元素补齐默认值，自定义模板可覆盖内置模板', () => {
+    const template = resolveOverlayTemplate('title');
+    assert.equal(template.onlyUnscraped, true);
+    assert.deepEqual(template.elements, [{ type: 'title', position: 'bottom', size: 6, color: 'white', box: '' }]);
+
+    const custom = resolveOverlayTemplate('title', { title: { elements: [{ type: 'hdr' }] } });
+    assert.equal(custom.band, null);
+    assert.equal(custom.elements[0].position, 'bottom-left');
+  });
+
+  it('未知名称抛出异常', () => {
+    assert.throws(() => resolveOverlayTemplate('missing'), /未知的叠加模板: missing/);
+  });
+});
+
+describe('getOverlayTexts', () => {
+  it('格式化时长和分辨率档位', () => {
+    assert.equal(formatRuntime(42 * 60), '42m');
+    assert.equal(formatRuntime(105 * 60), '1h 45m');
+    assert.equal(getResolutionLabel(3840, 1600), '4K');
+    assert.equal(getResolutionLabel(1920, 800), '1080p');
+    assert.equal(getResolutionLabel(720, 576), '576p');
+  });
+
+  it('剧集标题为 剧名 SxxEyy，缺少信息的内容为 null', () => {
+    const media = { type: 'episode', showTitle: 'Show', season: 1, episode: 2 };
+    const mediaInfo = { duration: 2700, video: { width: 1920, height: 1080, hdrType: 'dolbyvision' } };
+    assert.deepEqual(getOverlayTexts('S01E02', media, mediaInfo), {
+      title: 'Show S01E02',
+      runtime: '45m',
+      resolution: '1080p',
+      hdr: 'Dolby Vision'
+    });
+    assert.deepEqual(getOverlayTexts('Movie'), { title: 'Movie', runtime: null, resolution: null, hdr: null });
+  });
+});
+
+describe('validateOverlaySelector', () => {
+  it('接受空值、已定义的名称和合法模板', () => {
+    assert.deepEqual(validateOverlaySelector(undefined), []);
+    assert.deepEqual(validateOverlaySelector('badges'), []);
+    assert.deepEqual(validateOverlaySelector('mine', { mine: {} }), []);
+    assert.deepEqual(validateOverlaySelector({ types: ['poster'], band: null, elements: [{ type: 'title', color: '#ffffff@0.8' }] }), []);
+  });
+
+  it('拒绝未定义的名称、未知字段、空元素和非法颜色', () => {
+    const elements = [{ type: 'title' }];
+    assert.deepEqual(validateOverlaySelector('missing'), ['overlay 不是已定义的叠加模板: missing']);
+    assert.deepEqual(validateOverlaySelector({ foo: 1, elements }), ['overlay 包含未知字段: foo']);
+    assert.deepEqual(validateOverlaySelector({ elements: [] }), ['overlay.elements 必须是非空数组']);
+    assert.equal(validateOverlaySelector({ types: ['trickplay'], elements }).length, 1);
+    assert.equal(validateOverlaySelector({ elements: [{ type: 'title', color: 'red;drawbox' }] }).length, 1);
+    assert.deepEqual(validateOverlaySelector([]), ['overlay 必须是对象']);
+  });
+});
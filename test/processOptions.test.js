@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProcessOptions } = require('../src/utils/processOptions');
+const config = require('../src/config');
+
+describe('validateProcessOptions', () => {
+  it('接受空配置', () => {
+    assert.deepEqual(validateProcessOptions({}), []);
+  });
+
+  it('并发数必须在 1 到最大并发数之间', () => {
+    const max = config.get('maxConcurrency');
+
+    assert.deepEqual(validateProcessOptions({ concurrency: String(max) }), []);
+    assert.deepEqual(validateProcessOptions({ concurrency: '' }), []);
+    assert.equal(validateProcessOptions({ concurrency: max + 1 }).length, 1);
+    assert.equal(validateProcessOptions({ concurrency: 0 }).length, 1);
+    assert.equal(validateProcessOptions({ concurrency: 2.5 }).length, 1);
+  });
+
+  it('校验批次的按主机限流设置', () => {
+    assert.deepEqual(validateProcessOptions({ hostLimits: { 'a.com': { concurrency: 1 } } }), []);
+    assert.equal(validateProcessOptions({ hostLimits: { 'a.com': { concurrency: 'x' } } }).length, 1);
+  });
+});
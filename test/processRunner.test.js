@@ -0,0 +1,140 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  runProcess,
+  CommandNotFoundError,
+  ProcessTimeoutError,
+  ProcessAbortError,
+  OutputLimitError,
+  ProcessExitError
+} = require('../src/utils/processRunner');
+
+const node = process.execPath;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-runner-'));
+
+/**
+ * 进程是否仍在运行（父进程已退出的孙进程可能暂时成为僵尸进程，视为已终止）
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (err) {
+    return false;
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf-8').split(') ')[1][0] !== 'Z';
+  } catch (err) {
+    return true;
+  }
+}
+
+/**
+ * 等待进程退出（收到信号后需要一点时间），超时后返回进程是否仍在运行
+ */
+async function waitForExit(pid, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (isAlive(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return isAlive(pid);
+}
+
+/**
+ * 等待子进程把孙进程的 pid 写入文件
+ */
+async function readPid(file) {
+  for (;;) {
+    const pid = parseInt(fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '');
+    if (pid) return pid;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// 启动一个孙进程（5 秒后自行退出，避免测试失败时残留），把 pid 写入文件后一直运行
+const spawnGrandchild = (pidFile) => `
+  const { spawn } = require('child_process');
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 5000)'], { stdio: 'inherit' });
+  require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(child.pid));
+  setInterval(() => {}, 1000);
+`;
+
+describe('runProcess', () => {
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('参数原样传递，不经过 shell', async () => {
+    const args = ['a b', '$(echo hi)', '; rm -rf /', '"quoted"'];
+    const { stdout } = await runProcess(node, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', ...args]);
+    assert.deepEqual(JSON.parse(stdout), args);
+  });
+
+  it('encoding 为 buffer 时返回 Buffer', async () => {
+    const { stdout } = await runProcess(node, ['-e', 'process.stdout.write(Buffer.from([0, 255]))'], { encoding: 'buffer' });
+    assert.deepEqual([...stdout], [0, 255]);
+  });
+
+  it('非零退出时错误包含退出码和 stderr 最后一行', async () => {
+    await assert.rejects(
+      runProcess(node, ['-e', 'console.error("first"); console.error("Server returned 503"); process.exit(3)']),
+      err => err instanceof ProcessExitError && err.exitCode === 3 &&
+        /退出码 3: Server returned 503$/.test(err.message) && err.stderr.includes('first')
+    );
+  });
+
+  it('找不到程序时抛出 CommandNotFoundError', async () => {
+    await assert.rejects(runProcess('definitely-not-a-command-xyz'), CommandNotFoundError);
+  });
+
+  it('超时后终止整个进程组', async () => {
+    const pidFile = path.join(tmpDir, 'timeout.pid');
+    const running = runProcess(node, ['-e', spawnGrandchild(pidFile)], { timeout: 300 });
+
+    await assert.rejects(running, err => err instanceof ProcessTimeoutError && err.timeout === 300);
+    assert.equal(await waitForExit(await readPid(pidFile)), false);
+  });
+
+  it('取消信号终止进程组，已取消的信号不启动程序', async () => {
+    const pidFile = path.join(tmpDir, 'abort.pid');
+    const controller = new AbortController();
+    const running = runProcess(node, ['-e', spawnGrandchild(pidFile)], { signal: controller.signal });
+
+    const grandchild = await readPid(pidFile);
+    controller.abort();
+    await assert.rejects(running, ProcessAbortError);
+    assert.equal(await waitForExit(grandchild), false);
+
+    const pidFile2 = path.join(tmpDir, 'never.pid');
+    await assert.rejects(runProcess(node, ['-e', spawnGrandchild(pidFile2)], { signal: controller.signal }), ProcessAbortError);
+    assert.equal(fs.existsSync(pidFile2), false);
+  });
+
+  it('忽略 SIGTERM 的进程在宽限期后被 SIGKILL 终止', async () => {
+    const pidFile = path.join(tmpDir, 'stubborn.pid');
+    const controller = new AbortController();
+    const running = runProcess(node, ['-e', `
+      process.on('SIGTERM', () => {});
+      require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(process.pid));
+      setInterval(() => {}, 1000);
+    `], { signal: controller.signal });
+
+    await readPid(pidFile);
+    const abortedAt = Date.now();
+    controller.abort();
+    await assert.rejects(running, ProcessAbortError);
+    assert.ok(Date.now() - abortedAt >= 1900);
+  });
+
+  it('stdout 超过上限时终止，stderr 只保留末尾', async () => {
+    await assert.rejects(
+      runProcess(node, ['-e', 'process.stdout.write("x".repeat(4096)); setInterval(() => {}, 1000)'], { maxStdout: 1024 }),
+      OutputLimitError
+    );
+
+    const { stderr } = await runProcess(node, ['-e', 'process.stderr.write("a".repeat(100) + "tail")'], { maxStderr: 10 });
+    assert.equal(stderr, 'aaaaaatail');
+  });
+});
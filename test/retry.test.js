@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBackoffDelay, isRetryable, sleep, validateRetryOptions } = require('../src/utils/retry');
+const { LINK_FAILURES, LinkCheckError, getFailureCategory } = require('../src/utils/linkChecker');
+const { ProcessTimeoutError, ProcessExitError } = require('../src/utils/processRunner');
+
+describe('getBackoffDelay', () => {
+  it('按指数增长，不超过上限', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getBackoffDelay(attempt, 1000, 10000)), [1000, 2000, 4000, 8000, 10000]);
+  });
+});
+
+describe('isRetryable', () => {
+  it('只重试列表中的失败类型', () => {
+    assert.equal(isRetryable('timeout', ['timeout', 'server']), true);
+    assert.equal(isRetryable('auth', ['timeout', 'server']), false);
+    assert.equal(isRetryable(null, ['timeout']), false);
+  });
+});
+
+describe('sleep', () => {
+  it('signal 中止时提前结束', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    setTimeout(() => controller.abort(), 10);
+
+    await sleep(10000, controller.signal);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
+
+describe('validateRetryOptions', () => {
+  it('校验重试次数和失败类型', () => {
+    assert.deepEqual(validateRetryOptions({ maxRetries: '3', categories: ['timeout'] }), []);
+    assert.equal(validateRetryOptions({ maxRetries: 11 }).length, 1);
+    assert.equal(validateRetryOptions({ categories: ['nope'] }).length, 1);
+  });
+});
+
+describe('getFailureCategory', () => {
+  const exitError = (command, exitCode, stderr) => new ProcessExitError({ command, exitCode, stderr });
+
+  it('链接检查错误使用其分类', () => {
+    assert.equal(getFailureCategory(new LinkCheckError(LINK_FAILURES.AUTH)), LINK_FAILURES.AUTH);
+  });
+
+  it('子进程超时和 curl 超时归为 timeout', () => {
+    assert.equal(getFailureCategory(new ProcessTimeoutError({ command: 'ffprobe', timeout: 1000 })), LINK_FAILURES.TIMEOUT);
+    assert.equal(getFailureCategory(exitError('curl', 28, 'curl: (28) Operation timed out')), LINK_FAILURES.TIMEOUT);
+  });
+
+  it('按错误输出识别限流和服务器错误', () => {
+    assert.equal(getFailureCategory(exitError('ffprobe', 1, '[http @ 0x1] HTTP error 429 Too Many Requests')), LINK_FAILURES.RATE_LIMITED);
+    assert.equal(getFailureCategory(exitError('ffprobe', 1, 'Server returned 5XX Server Error reply')), LINK_FAILURES.SERVER);
+    assert.equal(getFailureCategory(exitError('ffmpeg', 1, 'HTTP error 502 Bad Gateway')), LINK_FAILURES.SERVER);
+    assert.equal(getFailureCategory(exitError('ffmpeg', 1, 'frame=  429 fps=0.0')), LINK_FAILURES.UNKNOWN);
+  });
+
+  it('包装后的错误按 cause 分类', () => {
+    const error = new Error('无法下载视频样本');
+    error.cause = new ProcessTimeoutError({ command: 'curl', timeout: 1000 });
+
+    assert.equal(getFailureCategory(error), LINK_FAILURES.TIMEOUT);
+    assert.equal(getFailureCategory(new Error('boom')), LINK_FAILURES.UNKNOWN);
+    assert.equal(getFailureCategory(null), LINK_FAILURES.UNKNOWN);
+  });
+});
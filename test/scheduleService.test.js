@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScheduleService = require('../src/services/scheduleService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * 创建使用桩服务的定时任务服务，扫描有延迟以便模拟并发运行
+ */
+function createService(tmpDir) {
+  const config = { get: key => (key === 'schedulesFile' ? path.join(tmpDir, 'schedules.json') : undefined) };
+  const jobs = [];
+  const videoService = {
+    scanChanges: async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { files: ['/media/a.strm'], summary: {} };
+    }
+  };
+  const jobService = {
+    createJob: async (files, processConfig) => {
+      const job = { id: `job${jobs.length + 1}`, status: 'running', files, config: processConfig };
+      jobs.push(job);
+      return job;
+    },
+    getJob: id => jobs.find(job => job.id === id),
+    findUnfinishedJob: dir => jobs.find(job => job.status === 'running' && job.files.some(f => f.startsWith(`${dir}/`))) || null,
+    isUnfinished: job => job.status === 'running',
+    subscribe: () => () => {}
+  };
+
+  return { service: new ScheduleService(config, logger, videoService, jobService, {}), jobs };
+}
+
+describe('ScheduleService.run', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('同时触发的运行只创建一个任务', async () => {
+    const { service, jobs } = createService(tmpDir);
+    const schedule = await service.create({ strmDir: '/media', cron: '0 3 * * *' });
+
+    const runs = await Promise.all([service.run(schedule.id, 'schedule'), service.run(schedule.id)]);
+
+    assert.equal(jobs.length, 1);
+    assert.deepEqual(runs.map(run => run.status).sort(), ['running', 'skipped']);
+    await service.close();
+  });
+
+  it('上一次运行未结束时跳过，指向同一目录的其他定时任务也跳过', async () => {
+    const { service, jobs } = createService(tmpDir);
+    const first = await service.create({ strmDir: '/media', cron: '0 3 * * *' });
+    const second = await service.create({ strmDir: '/media', cron: '0 4 * * *' });
+
+    assert.equal((await service.run(first.id)).status, 'running');
+    const skipped = await service.run(second.id);
+
+    assert.equal(skipped.status, 'skipped');
+    assert.match(skipped.error, /job1/);
+
+    // 上一次运行结束后可以再次运行
+    jobs[0].status = 'completed';
+    service.finishRun(service.schedules.get(first.id).history[0], 'completed', null);
+    assert.equal((await service.run(second.id)).status, 'running');
+    await service.close();
+  });
+
+  it('手动提交或目录监控的任务正在处理同一目录时跳过', async () => {
+    const { service, jobs } = createService(tmpDir);
+    const schedule = await service.create({ strmDir: '/media', cron: '0 3 * * *' });
+    jobs.push({ id: 'manual', status: 'running', files: ['/media/Show/E01.strm'], config: {} });
+
+    const skipped = await service.run(schedule.id);
+    assert.equal(skipped.status, 'skipped');
+    assert.match(skipped.error, /manual/);
+    assert.equal(jobs.length, 1);
+
+    jobs[0].status = 'completed';
+    assert.equal((await service.run(schedule.id)).status, 'running');
+    await service.close();
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TaskQueue = require('../src/utils/taskQueue');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 直接记录一个评估窗口的任务耗时
+ */
+function recordWindow(queue, duration, { failed = 0, sampled = true } = {}) {
+  const size = Math.max(5, queue.concurrency);
+  for (let i = 0; i < size; i++) {
+    queue.recordTask(duration, i < failed, sampled);
+  }
+}
+
+describe('TaskQueue', () => {
+  it('同时执行的任务不超过并发数', async () => {
+    const queue = new TaskQueue(2);
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, () => queue.add(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    })));
+
+    assert.equal(peak, 2);
+    assert.equal(queue.getStats().completed, 6);
+  });
+
+  it('优先级高的任务先执行，同优先级先进先出', async () => {
+    const queue = new TaskQueue(1);
+    const order = [];
+    queue.pause();
+
+    const tasks = [['a', 0], ['b', 1], ['c', 0], ['d', 1]].map(([name, priority]) =>
+      queue.add(async () => order.push(name), priority)
+    );
+    queue.resume();
+    await Promise.all(tasks);
+
+    assert.deepEqual(order, ['b', 'd', 'a', 'c']);
+  });
+
+  it('暂停后排队中的任务不再开始，恢复后继续', async () => {
+    const queue = new TaskQueue(1);
+    const order = [];
+
+    const first = queue.add(async () => {
+      await delay(10);
+      order.push('first');
+    });
+    const second = queue.add(async () => order.push('second'));
+    queue.pause();
+
+    await first;
+    await delay(10);
+    assert.deepEqual(order, ['first']);
+
+    queue.resume();
+    await second;
+    assert.deepEqual(order, ['first', 'second']);
+  });
+
+  it('抛出异常的任务计为失败', async () => {
+    const queue = new TaskQueue(1);
+
+    await assert.rejects(queue.add(async () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.equal(queue.getStats().failed, 1);
+  });
+});
+
+describe('TaskQueue 自适应并发', () => {
+  const options = { adaptive: true, minConcurrency: 1, maxConcurrency: 8 };
+
+  it('耗时稳定且无失败时并发加一，不超过上限', () => {
+    const queue = new TaskQueue(4, null, options);
+    for (let i = 0; i < 10; i++) recordWindow(queue, 100);
+
+    assert.equal(queue.concurrency, 8);
+  });
+
+  it('失败率过高时降低并发，不低于下限', () => {
+    const queue = new TaskQueue(4, null, options);
+    recordWindow(queue, 100);
+    recordWindow(queue, 100, { failed: 3 });
+
+    assert.equal(queue.concurrency, 3);
+
+    for (let i = 0; i < 10; i++) recordWindow(queue, 100, { failed: 5 });
+    assert.equal(queue.concurrency, 1);
+  });
+
+  it('跳过的任务不计入耗时，不会压低基准耗时', () => {
+    const queue = new TaskQueue(4, null, options);
+    for (let i = 0; i < 4; i++) recordWindow(queue, 1, { sampled: false });
+    for (let i = 0; i < 4; i++) recordWindow(queue, 100);
+
+    assert.ok(queue.concurrency >= 4);
+    assert.equal(Math.round(queue.baselineDuration), 100);
+  });
+
+  it('个别异常快的窗口之后并发可以恢复', () => {
+    const queue = new TaskQueue(4, null, options);
+    recordWindow(queue, 1);
+    for (let i = 0; i < 3; i++) recordWindow(queue, 100);
+    assert.equal(queue.concurrency, 1);
+
+    for (let i = 0; i < 10; i++) recordWindow(queue, 100);
+    assert.ok(queue.concurrency > 1);
+  });
+
+  it('isSample 返回 false 的任务结果不计入评估窗口', async () => {
+    const queue = new TaskQueue(1, null, { ...options, isSample: result => !result.skipped });
+
+    await Promise.all(Array.from({ length: 5 }, () => queue.add(async () => ({ skipped: true }))));
+    assert.equal(queue.window.length, 0);
+
+    await queue.add(async () => ({ skipped: false }));
+    assert.equal(queue.window.length, 1);
+  });
+});
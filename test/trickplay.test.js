@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatVttTime, buildWebVtt, buildBif, validateTrickplayOptions } = require('../src/utils/trickplay');
+
+describe('buildWebVtt', () => {
+  it('格式化时间戳', () => {
+    assert.equal(formatVttTime(0), '00:00:00.000');
+    assert.equal(formatVttTime(3725.5), '01:02:05.500');
+  });
+
+  it('按行优先排列，满一张雪碧图后换下一张，最后一帧延伸到结尾', () => {
+    const vtt = buildWebVtt({
+      frameCount: 5,
+      duration: 57,
+      interval: 10,
+      columns: 2,
+      rows: 2,
+      tileWidth: 320,
+      tileHeight: 180,
+      spriteDir: 'Movie 1-trickplay'
+    });
+    const cues = vtt.trim().split('\n\n').slice(1).map(cue => cue.split('\n'));
+
+    assert.ok(vtt.startsWith('WEBVTT\n\n'));
+    assert.deepEqual(cues[0], ['00:00:00.000 --> 00:00:10.000', 'Movie%201-trickplay/sprite-001.jpg#xywh=0,0,320,180']);
+    assert.equal(cues[3][1], 'Movie%201-trickplay/sprite-001.jpg#xywh=320,180,320,180');
+    assert.deepEqual(cues[4], ['00:00:40.000 --> 00:00:57.000', 'Movie%201-trickplay/sprite-002.jpg#xywh=0,0,320,180']);
+  });
+});
+
+describe('buildBif', () => {
+  it('写入文件头、索引表和帧数据', () => {
+    const frames = [Buffer.from('aaa'), Buffer.from('bbbbb')];
+    const bif = buildBif(frames, 10);
+
+    assert.deepEqual([...bif.subarray(0, 8)], [0x89, 0x42, 0x49, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal(bif.readUInt32LE(12), 2);
+    assert.equal(bif.readUInt32LE(16), 10000);
+
+    // 索引表从 64 字节开始：每帧（序号, 偏移），末尾为结束标记
+    const dataStart = 64 + 3 * 8;
+    assert.deepEqual([bif.readUInt32LE(64), bif.readUInt32LE(68)], [0, dataStart]);
+    assert.deepEqual([bif.readUInt32LE(72), bif.readUInt32LE(76)], [1, dataStart + 3]);
+    assert.deepEqual([bif.readUInt32LE(80), bif.readUInt32LE(84)], [0xffffffff, dataStart + 8]);
+    assert.equal(bif.subarray(dataStart).toString(), 'aaabbbbb');
+  });
+});
+
+describe('validateTrickplayOptions', () => {
+  it('校验间隔、行列数和开关', () => {
+    assert.deepEqual(validateTrickplayOptions({ interval: 5, columns: 10, rows: 10, bif: true }), []);
+    assert.deepEqual(validateTrickplayOptions({ interval: 0, columns: 21, bif: 'yes' }), [
+      'trickplay.interval 必须是 1-600 之间的整数',
+      'trickplay.columns 必须是 1-20 之间的整数',
+      'trickplay.bif 必须是布尔值'
+    ]);
+  });
+});
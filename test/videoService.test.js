@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const VideoService = require('../src/services/videoService');
+const { buildMovieNfo } = require('../src/utils/nfo');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const probe = {
+  format: { duration: '5400.5' },
+  streams: [
+    { codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080 },
+    { codec_type: 'audio', codec_name: 'aac', channels: 2 }
+  ]
+};
+
+/**
+ * 创建使用内存缓存的视频服务，probeResult 为探测结果（Error 表示探测失败）
+ */
+function createService(probeResult, entries = {}) {
+  const cache = new Map(Object.entries(entries));
+  const cacheService = {
+    get: key => cache.get(key),
+    set: (key, value) => cache.set(key, value),
+    has: key => cache.has(key)
+  };
+  const service = new VideoService({ get: key => (key === 'tmpDir' ? os.tmpdir() : undefined) }, logger, cacheService, null);
+
+  let probes = 0;
+  service.runProbe = async () => {
+    probes++;
+    if (probeResult instanceof Error) throw probeResult;
+    return probeResult;
+  };
+  service.runRemote = async () => {
+    throw new Error('curl 退出码 22');
+  };
+
+  return { service, cache, probes: () => probes };
+}
+
+describe('VideoService.getMediaInfo', () => {
+  const url = 'http://example.com/video.mp4';
+
+  it('探测结果和时长一起缓存，再次获取时不探测', async () => {
+    const { service, cache, probes } = createService(probe);
+
+    const mediaInfo = await service.getMediaInfo(url, 'Movie');
+    assert.equal(mediaInfo.duration, 5400.5);
+    assert.equal(mediaInfo.video.codec, 'h264');
+    assert.equal(cache.get(`duration:${url}`).duration, 5400.5);
+
+    await service.getMediaInfo(url, 'Movie');
+    assert.equal(probes(), 1);
+  });
+
+  it('旧版本缓存的时长在探测成功后改写为带时间戳的记录', async () => {
+    const { service, cache } = createService(probe, { [`duration:${url}`]: 5400 });
+
+    await service.getMediaInfo(url, 'Movie');
+    assert.equal(cache.get(`duration:${url}`).duration, 5400.5);
+    assert.ok(cache.get(`duration:${url}`).timestamp > 0);
+  });
+
+  it('探测失败时使用旧版本缓存的时长，NFO 不写空的 streamdetails', async () => {
+    const { service, cache } = createService(new Error('ffprobe 执行超时'), { [`duration:${url}`]: 1800 });
+
+    const mediaInfo = await service.getMediaInfo(url, 'Movie');
+    assert.equal(mediaInfo.duration, 1800);
+    assert.equal(mediaInfo.video, null);
+    assert.equal(cache.has(`probe:${url}`), false);
+
+    const nfo = buildMovieNfo({ title: 'Movie', streamUrl: url, mediaInfo, dateAdded: '2024-01-01' });
+    assert.match(nfo, /<runtime>30<\/runtime>/);
+    assert.doesNotMatch(nfo, /<fileinfo>/);
+  });
+
+  it('没有缓存时探测失败抛出异常', async () => {
+    const { service } = createService(new Error('ffprobe 执行超时'));
+    await assert.rejects(service.getMediaInfo(url, 'Movie'), /无法下载视频样本/);
+  });
+});
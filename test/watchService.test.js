@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WatchService = require('../src/services/watchService');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const settings = {
+  watchDebounce: 60,
+  watchPollInterval: 30,
+  watchPolling: false,
+  watchDirs: []
+};
+
+/**
+ * 创建使用桩服务的监控服务，startupChanges 为启动扫描时返回的新增文件
+ */
+function createService(startupChanges = []) {
+  const jobs = [];
+  const videoService = {
+    scanChanges: async () => ({ changes: { new: startupChanges, changed: [] } }),
+    findStrmFiles: async (dir) => fs.readdirSync(dir)
+      .filter(name => name.endsWith('.strm'))
+      .map(name => path.join(dir, name))
+  };
+  const jobService = {
+    createJob: async (files, processConfig) => {
+      const job = { id: `job${jobs.length + 1}`, status: 'running', files, config: processConfig };
+      jobs.push(job);
+      return job;
+    },
+    getJob: id => jobs.find(job => job.id === id),
+    isUnfinished: job => job.status === 'running'
+  };
+
+  return { service: new WatchService({ get: key => settings[key] }, logger, videoService, jobService), jobs };
+}
+
+/**
+ * 等待条件成立，超时后失败
+ */
+async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('等待超时');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WatchService', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeStrm = (name) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, 'http://example.com/v.mp4\n');
+    return file;
+  };
+
+  it('防抖时间内连续出现的文件合并为一个任务，已删除的文件不提交', async () => {
+    const { service, jobs } = createService();
+    await service.watch(tmpDir, { polling: true, config: { coverMode: '2' } });
+    const root = service.roots.get(tmpDir);
+
+    const a = writeStrm('a.strm');
+    service.enqueue(root, [a, path.join(tmpDir, 'renamed.strm.tmp')]);
+    await delay(30);
+    const b = writeStrm('b.strm');
+    service.enqueue(root, [b]);
+
+    await waitFor(() => jobs.length > 0);
+    await delay(100);
+    assert.equal(jobs.length, 1);
+    assert.deepEqual(jobs[0].files, [a, b]);
+    assert.equal(jobs[0].config.coverMode, '2');
+    service.close();
+  });
+
+  it('持续有新文件时最多推迟有限次数后提交', async () => {
+    const { service, jobs } = createService();
+    await service.watch(tmpDir, { polling: true });
+    const root = service.roots.get(tmpDir);
+    const file = writeStrm('a.strm');
+
+    // 每隔 20ms 出现新文件，防抖不会无限推迟
+    for (let i = 0; i < 30 && jobs.length === 0; i++) {
+      service.enqueue(root, [file]);
+      await delay(20);
+    }
+
+    assert.equal(jobs.length, 1);
+    service.close();
+  });
+
+  it('上一个自动任务未结束时延后提交', async () => {
+    const { service, jobs } = createService();
+    await service.watch(tmpDir, { polling: true });
+    const root = service.roots.get(tmpDir);
+
+    service.enqueue(root, [writeStrm('a.strm')]);
+    await waitFor(() => jobs.length === 1);
+    service.enqueue(root, [writeStrm('b.strm')]);
+    await delay(200);
+    assert.equal(jobs.length, 1);
+
+    jobs[0].status = 'completed';
+    await waitFor(() => jobs.length === 2);
+    assert.deepEqual(jobs[1].files, [path.join(tmpDir, 'b.strm')]);
+    service.close();
+  });
+
+  it('轮询模式发现新增和修改的文件', async () => {
+    const existing = writeStrm('old.strm');
+    const { service, jobs } = createService();
+    const status = await service.watch(tmpDir, { polling: true });
+    assert.equal(status.mode, WatchService.WATCH_MODES.POLL);
+
+    const added = writeStrm('new.strm');
+    fs.utimesSync(existing, new Date(), new Date(Date.now() + 5000));
+
+    await waitFor(() => jobs.length > 0);
+    assert.deepEqual(jobs[0].files, [added, existing].sort());
+    service.close();
+  });
+
+  it('文件事件监控不可用时改为轮询', async () => {
+    const { service, jobs } = createService();
+    const originalWatch = fs.watch;
+    fs.watch = () => {
+      throw new Error('not supported');
+    };
+    try {
+      const status = await service.watch(tmpDir);
+      assert.equal(status.mode, WatchService.WATCH_MODES.POLL);
+    } finally {
+      fs.watch = originalWatch;
+    }
+
+    const file = writeStrm('a.strm');
+    await waitFor(() => jobs.length > 0);
+    assert.deepEqual(jobs[0].files, [file]);
+    service.close();
+  });
+
+  it('启动时提交监控前新增的文件，停止监控后不再提交', async () => {
+    const file = writeStrm('a.strm');
+    const { service, jobs } = createService([file]);
+    await service.watch(tmpDir, { polling: true });
+    await waitFor(() => jobs.length === 1);
+
+    assert.equal(service.unwatch(tmpDir), true);
+    writeStrm('b.strm');
+    await delay(200);
+
+    assert.equal(jobs.length, 1);
+    assert.equal(service.unwatch(tmpDir), false);
+    assert.deepEqual(service.getStatus().events.map(event => event.type), ['stopped', 'queued', 'started']);
+    service.close();
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeXml, decodeXml, parseXml, serializeXml, getChildElements, getText } = require('../src/utils/xml');
+
+describe('escapeXml / decodeXml', () => {
+  it('转义并还原特殊字符', () => {
+    const text = `Tom & Jerry <"1'>`;
+
+    assert.equal(escapeXml(text), 'Tom &amp; Jerry &lt;&quot;1&apos;&gt;');
+    assert.equal(decodeXml(escapeXml(text)), text);
+  });
+
+  it('还原数字实体，无法识别的实体原样保留', () => {
+    assert.equal(decodeXml('&#20013;&#x6587; &nbsp; &#x110000;'), '中文 &nbsp; &#x110000;');
+  });
+});
+
+describe('parseXml / serializeXml', () => {
+  it('未修改的内容原样写回（注释、声明、CDATA、属性、空白）', () => {
+    const xml = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- 刮削器 -->\n<movie>\n  <title lang=\'zh\'>片名</title>\n  <plot><![CDATA[a < b]]></plot>\n  <empty/>\n</movie>\n';
+
+    assert.equal(serializeXml(parseXml(xml)), xml);
+  });
+
+  it('解析元素、属性和文本', () => {
+    const root = getChildElements(parseXml('<movie><thumb aspect="poster">a&amp;b.jpg</thumb><plot><![CDATA[x<y]]></plot></movie>'))[0];
+    const [thumb] = getChildElements(root, 'thumb');
+
+    assert.equal(root.name, 'movie');
+    assert.equal(thumb.attrs.aspect, 'poster');
+    assert.equal(getText(thumb), 'a&b.jpg');
+    assert.equal(getText(getChildElements(root, 'plot')[0]), 'x<y');
+  });
+
+  it('宽松处理未闭合的标签和游离的 <', () => {
+    const root = getChildElements(parseXml('<movie><title>a < b</title><genre>Drama</movie>'))[0];
+
+    assert.equal(getText(getChildElements(root, 'title')[0]), 'a < b');
+    assert.equal(getText(getChildElements(root, 'genre')[0]), 'Drama');
+    assert.equal(serializeXml(parseXml('<movie><title>a < b</title></movie>')), '<movie><title>a &lt; b</title></movie>');
+  });
+});